@@ -0,0 +1,772 @@
+// Express app construction: the services (stores, LLM provider, caches)
+// and every route, built from settings and optional ready-made dependencies.
+// Nothing listens and no process handlers are installed here, so tests can
+// build an app in-process with a fake model; server.js starts the real one.
+
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const { SessionStore } = require('./lib/sessionStore');
+const { OfferStore } = require('./lib/offerStore');
+const { createOffersRouter } = require('./routes/offers');
+const { runChat, validateChatRequest } = require('./lib/chat');
+const { mapChatError } = require('./lib/errors');
+const { createProvider, describeProvider } = require('./lib/providers');
+const { ProfileStore } = require('./lib/profileStore');
+const { UserStore } = require('./lib/userStore');
+const { createAuthMiddleware, requireRole } = require('./lib/auth');
+const { createAuthRouter } = require('./routes/auth');
+const { RateLimiter, createChatLimitMiddleware, createLoginLimitMiddleware } = require('./lib/rateLimiter');
+const { QuotaStore } = require('./lib/quotaStore');
+const { UsageStore, createUsageMiddleware } = require('./lib/usageStore');
+const { loadPricing } = require('./lib/pricing');
+const { createUsageRouter } = require('./routes/usage');
+const { createSessionsRouter } = require('./routes/sessions');
+const { OfferBatchStore } = require('./lib/offerBatchStore');
+const { createAdminOffersRouter } = require('./routes/adminOffers');
+const { OfferHistory } = require('./lib/offerHistory');
+const { createChangesRouter } = require('./routes/changes');
+const { FeedbackStore } = require('./lib/feedbackStore');
+const { createFeedbackRouter } = require('./routes/feedback');
+const { configureLogger, createRequestLogMiddleware } = require('./lib/logger');
+const { createAppMetrics, createMetricsMiddleware } = require('./lib/metrics');
+const { ResponseCache } = require('./lib/responseCache');
+const { loadConfig } = require('./lib/config');
+const { Guardrails } = require('./lib/guardrails');
+const { ScreeningLog } = require('./lib/screeningLog');
+const { createScreeningRouter } = require('./routes/screening');
+const { JobStore } = require('./lib/jobStore');
+const { BatchRunner } = require('./lib/batchRunner');
+const { createBatchRouter, createJobsRouter } = require('./routes/jobs');
+const { createRecommendRouter } = require('./routes/recommend');
+
+
+// Load a freshly created store from disk
+function loaded(store) {
+  store.load();
+  return store;
+}
+
+/**
+ * Build the app.
+ * @param {object} [options]
+ * @param {object} [options.config] - checked settings (lib/config.js); by default
+ *   loaded from options.env or process.env, throwing ConfigError on bad values
+ * @param {object} [options.env] - environment to load the settings from
+ * @param {object} [options.provider] - LLM provider ({ name, model, client, supportsTools }),
+ *   used as given; by default created from the settings
+ * @param {Function} [options.clock] - current time in milliseconds, Date.now by default
+ * @param {object} [options.logger] - by default the shared logger, configured from the settings
+ * @param {object} [options.userStore], [options.sessionStore], [options.offerStore],
+ *   [options.offerHistory], [options.offerBatchStore], [options.profileStore],
+ *   [options.quotaStore], [options.rateLimiter], [options.usageStore],
+ *   [options.feedbackStore], [options.responseCache], [options.screeningLog], [options.jobStore]
+ *   - ready-made services, used as given
+ * @returns {{ app, services, close }} close() saves pending state, stops watchers and
+ *   interrupts running batch jobs
+ */
+function createApp(options = {}) {
+  const config = options.config || loadConfig(options.env || process.env);
+  const clock = options.clock || Date.now;
+  const logger = options.logger || configureLogger(config);
+  // Unexpected errors include their message in development only
+  const errorOptions = { details: config.nodeEnv === 'development' };
+
+  const app = express();
+
+  // Request IDs, structured request logs and Prometheus metrics
+  const metrics = createAppMetrics();
+  app.use(createRequestLogMiddleware(logger));
+  app.use(createMetricsMiddleware(metrics));
+
+  // Middleware. Cross-origin frontends must be listed in CORS_ORIGINS.
+  app.use(cors({
+    origin: config.corsOrigins,
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+    exposedHeaders: ['Retry-After', 'Content-Disposition', 'X-Request-Id']
+  }));
+
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Runtime settings for the HTML frontend (where to send API calls), read
+  // by index.html before script.js
+  app.get('/config.js', (req, res) => {
+    const frontendConfig = { apiBaseUrl: config.publicApiBaseUrl };
+    res.set('Cache-Control', 'no-cache');
+    res.type('application/javascript');
+    res.send(`window.RDA_CONFIG = ${JSON.stringify(frontendConfig)};\n`);
+  });
+
+  // Serve static files from frontend-html directory
+  app.use(express.static(path.join(__dirname, 'frontend-html')));
+
+  // Local persistent state (users, tokens, ...)
+  const { storageDir } = config;
+
+  // User accounts, login tokens and API keys
+  const userStore = options.userStore || loaded(new UserStore({
+    file: path.join(storageDir, 'users.json'),
+    tokenTtlMs: config.authTokenTtlHours * 60 * 60 * 1000,
+    clock
+  }));
+  if (userStore.size === 0) {
+    logger.warn('No user accounts yet. Create one with: npm run create-user -- --username admin --role admin');
+  }
+
+  // Per-minute request limits, for sign-in and chat
+  const rateLimiter = options.rateLimiter || new RateLimiter({ clock });
+
+  // Every /api route except health and login requires a bearer token
+  app.use('/api', createAuthMiddleware(userStore, { publicPaths: ['/health', '/auth/login'] }));
+  app.use('/api/auth', createAuthRouter(userStore, createLoginLimitMiddleware({
+    rateLimiter,
+    limit: config.rateLimitLoginPerMinute
+  })));
+
+  // The LLM provider (openai, openai-compatible or mock)
+  const provider = options.provider || createProviderFromSettings();
+
+  function createProviderFromSettings() {
+    const llmProvider = config.llmProvider;
+    try {
+      const created = createProvider({
+        provider: llmProvider,
+        apiKey: llmProvider === 'openai' ? config.openaiApiKey : config.llmApiKey,
+        baseURL: config.llmBaseUrl,
+        model: config.llmModel,
+        supportsTools: config.llmSupportsTools,
+        mockScriptPath: config.llmMockScript,
+        // Timeouts, retries with backoff and a circuit breaker around model calls
+        resilience: {
+          timeoutMs: config.llmTimeoutMs,
+          maxRetries: config.llmMaxRetries,
+          failureThreshold: config.circuitFailureThreshold,
+          resetTimeoutMs: config.circuitResetSeconds * 1000,
+          clock,
+          onRetry: () => metrics.llmRetries.inc({ provider: llmProvider }),
+          onStateChange: (state, from) => {
+            const level = state === 'open' ? 'error' : 'info';
+            logger.log(level, `Circuit breaker ${state}`, { provider: llmProvider, from });
+          }
+        }
+      });
+
+      if (created.client) {
+        logger.info('LLM provider initialized', { provider: created.name, model: created.model });
+      } else {
+        logger.warn(created.configError, { provider: created.name });
+      }
+      return created;
+    } catch (error) {
+      logger.error('Failed to initialize LLM provider', { provider: llmProvider, error: error.message });
+      return { name: llmProvider, model: null, client: null, configError: error.message };
+    }
+  }
+
+  // Conversation memory for multi-turn chats, saved so past chats can be reopened
+  const sessionStore = options.sessionStore || loaded(new SessionStore({
+    dir: path.join(storageDir, 'conversations'),
+    maxHistoryTokens: config.sessionMaxHistoryTokens,
+    ttlMs: config.sessionTtlMinutes * 60 * 1000,
+    clock
+  }));
+
+  // Carrier reference offer database
+  const offerStore = options.offerStore || loaded(new OfferStore({
+    dataDir: config.offersDataDir
+  }));
+
+  // Dated revisions of every offer change
+  const offerHistory = options.offerHistory || new OfferHistory({
+    file: path.join(storageDir, 'offer-history.jsonl'),
+    offerStore,
+    clock
+  });
+
+  // Imported rate sheets, applied on top of the offer files
+  const offerBatchStore = options.offerBatchStore || loaded(new OfferBatchStore({
+    file: path.join(storageDir, 'offer-batches.json'),
+    offerStore,
+    history: offerHistory,
+    clock
+  }));
+
+  // Imports record their own revisions; anything new at startup came from the data files
+  if (!options.offerHistory) {
+    offerHistory.load();
+    offerHistory.sync({ type: 'data-files' });
+  }
+
+  // Prompt profiles (system prompt + sampling settings), hot-reloaded from disk
+  let profileStore = options.profileStore;
+  if (!profileStore) {
+    profileStore = loaded(new ProfileStore({
+      dir: config.profilesDir,
+      defaultProfile: config.defaultProfile
+    }));
+    profileStore.watch();
+  }
+
+  // Per-minute request limits and daily/monthly token budgets for chat
+  const quotaStore = options.quotaStore || loaded(new QuotaStore({
+    file: path.join(storageDir, 'quotas.json'),
+    dailyTokens: config.tokenBudgetDaily,
+    monthlyTokens: config.tokenBudgetMonthly,
+    clock
+  }));
+
+  const chatLimits = createChatLimitMiddleware({
+    rateLimiter,
+    quotaStore,
+    limits: {
+      user: config.rateLimitUserPerMinute,
+      ip: config.rateLimitIpPerMinute,
+      session: config.rateLimitSessionPerMinute
+    }
+  });
+
+  // Usage and cost accounting for every chat call
+  const usageStore = options.usageStore || loaded(new UsageStore({
+    file: path.join(storageDir, 'usage.jsonl'),
+    pricing: loadPricing(config.pricingFile),
+    onRecord: record => {
+      metrics.chatRequests.inc({ endpoint: record.endpoint, outcome: record.outcome });
+      metrics.llmTokens.inc({ model: record.model, type: 'prompt' }, record.promptTokens);
+      metrics.llmTokens.inc({ model: record.model, type: 'completion' }, record.completionTokens);
+    },
+    clock
+  }));
+
+  // Answers to repeated opening questions, keyed by question, profile and offer data
+  const responseCache = options.responseCache || new ResponseCache({
+    maxEntries: config.cacheMaxEntries,
+    ttlMs: config.cacheTtlMinutes * 60 * 1000,
+    clock
+  });
+
+  // Screening of chat messages and replies; refusals and masking are
+  // recorded in the screening log
+  const screeningLog = options.screeningLog || loaded(new ScreeningLog({
+    file: path.join(storageDir, 'screening.jsonl'),
+    clock
+  }));
+  const guardrails = new Guardrails({ enabled: config.guardrailsEnabled, screeningLog, metrics });
+
+  // Thumbs up/down and corrections on assistant answers
+  const feedbackStore = options.feedbackStore || loaded(new FeedbackStore({
+    file: path.join(storageDir, 'feedback.json'),
+    clock
+  }));
+
+  // Batches of questions answered in the background, a few at a time
+  const jobStore = options.jobStore || loaded(new JobStore({
+    file: path.join(storageDir, 'jobs.json'),
+    retentionDays: config.jobRetentionDays,
+    clock
+  }));
+
+  // Answer one question of a batch job through the chat pipeline, without
+  // conversation memory. Each answer counts against the owner's token budget
+  // and shows up in the usage report under the "batch" endpoint.
+  async function answerBatchQuestion(job, item, signal) {
+    const startedAt = clock();
+    const log = logger.child({ jobId: job.id });
+    const profile = profileStore.resolve(job.profile) || profileStore.resolve();
+    const usageEntry = {
+      userId: job.userId,
+      username: job.username,
+      endpoint: 'batch',
+      provider: provider.name,
+      model: (profile && profile.model) || provider.model,
+      profile: profile && profile.id
+    };
+
+    try {
+      const budget = quotaStore.check(job.userId);
+      if (!budget.allowed) {
+        const error = new Error(`The ${budget.scope} token budget is used up`);
+        Object.assign(error, { code: 'token_budget_exceeded', scope: budget.scope, retryAfterSeconds: budget.retryAfterSeconds });
+        throw error;
+      }
+
+      const audit = { requestId: job.id, userId: job.userId, username: job.username, endpoint: 'batch' };
+      const result = await runChat(chatDeps(profile, log, audit), {
+        message: item.question,
+        sessionId: null,
+        language: job.language
+      }, { signal });
+
+      quotaStore.record(job.userId, result.usage.total_tokens);
+      usageStore.record({ ...usageEntry, usage: result.usage, latencyMs: clock() - startedAt, status: 200, outcome: 'success' });
+      return result;
+    } catch (error) {
+      if (error.usage) quotaStore.record(job.userId, error.usage.total_tokens);
+      const { status, body } = mapChatError(error, errorOptions);
+      const outcome = signal.aborted ? 'cancelled' : body.code;
+      usageStore.record({ ...usageEntry, usage: error.usage, latencyMs: clock() - startedAt, status, outcome });
+      throw error;
+    }
+  }
+
+  const batchRunner = new BatchRunner({
+    jobStore,
+    answer: answerBatchQuestion,
+    concurrency: config.batchConcurrency,
+    logger
+  });
+
+  // Pick the prompt profile for a chat request: the one named in the request
+  // (remembered for the session), else the session's, else the default.
+  // Returns { profile } or { error }.
+  function resolveProfile(requestedProfile, session) {
+    if (requestedProfile) {
+      if (!profileStore.has(requestedProfile)) {
+        return {
+          error: `Unknown profile "${requestedProfile}". Available profiles: ${profileStore.list().map(p => p.id).join(', ')}`
+        };
+      }
+      sessionStore.setProfile(session.id, requestedProfile);
+      return { profile: profileStore.resolve(requestedProfile) };
+    }
+
+    const profile = (session.profile && profileStore.resolve(session.profile)) || profileStore.resolve();
+    if (!profile) {
+      return { error: 'No prompt profile is available. Please check the profiles directory.' };
+    }
+    return { profile };
+  }
+
+  // Dependencies shared by the chat endpoints and batch jobs. auditContext
+  // identifies the caller in the screening log.
+  function chatDeps(profile, log, auditContext) {
+    return {
+      provider,
+      offerStore,
+      offerHistory,
+      sessionStore,
+      profile,
+      maxToolIterations: config.maxToolIterations,
+      logger: log,
+      metrics,
+      cache: responseCache,
+      guardrails,
+      auditContext
+    };
+  }
+
+  function requestAudit(req, endpoint) {
+    return { requestId: req.id, userId: req.user.id, username: req.user.username, endpoint };
+  }
+
+  // Log lines for a chat turn. The text itself is only logged with
+  // LOG_CHAT_CONTENT=true (see lib/logger.js).
+  function logChatRequest(req, sessionId, profile, message, stream) {
+    req.log.info('Chat request', {
+      user: req.user.username,
+      sessionId,
+      profile: profile.id,
+      stream,
+      messageLength: message.length,
+      message: req.log.content(message)
+    });
+  }
+
+  function logChatReply(req, sessionId, { reply, sources, toolCalls, usage, language }) {
+    req.log.info('Chat reply', {
+      sessionId,
+      language,
+      replyLength: reply.length,
+      sources: sources.length,
+      toolCalls: toolCalls.length,
+      totalTokens: usage.total_tokens,
+      reply: req.log.content(reply)
+    });
+  }
+
+  // Input validation, ahead of the limits: a rejected request uses up no
+  // rate limit or budget and is not recorded as usage
+  const validateChatBody = (req, res, next) => {
+    const validationError = validateChatRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    next();
+  };
+
+  // Chat endpoint - matches your frontend expectation
+  app.post('/api/chat', validateChatBody, createUsageMiddleware(usageStore, provider, 'chat'), chatLimits, async (req, res) => {
+    try {
+      const { message, language } = req.body;
+
+      // Sessions belong to the authenticated user; unknown or expired IDs
+      // start a new session whose ID is returned in the response
+      const session = sessionStore.resolveForUser(req.body.sessionId, req.user.id);
+      const sessionId = session.id;
+      res.locals.chat.sessionId = sessionId;
+
+      const { profile, error: profileError } = resolveProfile(req.body.profile, session);
+      if (profileError) {
+        return res.status(400).json({ 
+          error: profileError 
+        });
+      }
+      res.locals.chat.profile = profile.id;
+      res.locals.chat.model = profile.model || provider.model;
+
+      // Check if the LLM provider is configured
+      if (!provider.client) {
+        return res.status(500).json({ 
+          error: provider.configError 
+        });
+      }
+
+      logChatRequest(req, sessionId, profile, message, false);
+
+      // Run the chat pipeline (history, retrieval and tool-calling loop)
+      const result = await runChat(chatDeps(profile, req.log, requestAudit(req, 'chat')), { message, sessionId, language });
+      const { reply, sources, toolCalls, usage, language: replyLanguage, messageId, cached, masked } = result;
+      res.locals.chat.usage = usage;
+      quotaStore.record(req.user.id, usage.total_tokens);
+
+      logChatReply(req, sessionId, result);
+
+      // Return in format your frontend expects
+      res.json({ 
+        reply: reply,
+        sources: sources,
+        toolCalls: toolCalls,
+        profile: profile.id,
+        language: replyLanguage,
+        sessionId: sessionId,
+        messageId: messageId,
+        cached: cached,
+        masked: masked,
+        timestamp: new Date(clock()).toISOString()
+      });
+
+    } catch (error) {
+      req.log.error('Chat request failed', { sessionId: res.locals.chat.sessionId, error });
+
+      // Handle different types of OpenAI errors
+      const { status, body } = mapChatError(error, errorOptions);
+      res.locals.chat.usage = error.usage;
+      res.locals.chat.outcome = body.code;
+      if (error.usage) quotaStore.record(req.user.id, error.usage.total_tokens);
+      if (body.retryAfter) res.set('Retry-After', String(body.retryAfter));
+      res.status(status).json(body);
+    }
+  });
+
+  // Streaming chat endpoint (Server-Sent Events).
+  // Events: "delta" ({ content }, only text that has passed the guardrails),
+  // "tool" (tool call record), "done" (same metadata as /api/chat, plus the
+  // final reply when personal data was masked in it) and "error" ({ error,
+  // code }). Closing the connection aborts the upstream request.
+  app.post('/api/chat/stream', validateChatBody, createUsageMiddleware(usageStore, provider, 'stream'), chatLimits, async (req, res) => {
+    const { message, language } = req.body;
+
+    const session = sessionStore.resolveForUser(req.body.sessionId, req.user.id);
+    const sessionId = session.id;
+    res.locals.chat.sessionId = sessionId;
+
+    const { profile, error: profileError } = resolveProfile(req.body.profile, session);
+    if (profileError) {
+      return res.status(400).json({ error: profileError });
+    }
+    res.locals.chat.profile = profile.id;
+    res.locals.chat.model = profile.model || provider.model;
+
+    if (!provider.client) {
+      return res.status(500).json({ 
+        error: provider.configError 
+      });
+    }
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const controller = new AbortController();
+
+    try {
+      logChatRequest(req, sessionId, profile, message, true);
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+
+      // Abort the upstream request if the client goes away
+      res.on('close', () => {
+        if (!res.writableEnded) {
+          req.log.info('Stream cancelled by client', { sessionId });
+          controller.abort();
+        }
+      });
+
+      const pipeline = runChat(chatDeps(profile, req.log, requestAudit(req, 'stream')), { message, sessionId, language }, {
+        signal: controller.signal,
+        onDelta: content => sendEvent('delta', { content }),
+        onToolCall: record => sendEvent('tool', record)
+      });
+      res.locals.chat.pending = pipeline;
+
+      const result = await pipeline;
+      const { reply, sources, toolCalls, usage, language: replyLanguage, messageId, cached, masked } = result;
+      res.locals.chat.usage = usage;
+      quotaStore.record(req.user.id, usage.total_tokens);
+
+      logChatReply(req, sessionId, result);
+
+      sendEvent('done', {
+        sources: sources,
+        toolCalls: toolCalls,
+        profile: profile.id,
+        language: replyLanguage,
+        sessionId: sessionId,
+        messageId: messageId,
+        cached: cached,
+        masked: masked,
+        reply: masked.output.length > 0 ? reply : undefined,
+        timestamp: new Date(clock()).toISOString()
+      });
+    } catch (error) {
+      res.locals.chat.usage = error.usage;
+      if (error.usage) quotaStore.record(req.user.id, error.usage.total_tokens);
+      if (controller.signal.aborted) {
+        res.locals.chat.outcome = 'cancelled';
+        return;
+      }
+
+      req.log.error('Chat stream failed', { sessionId, error });
+      const { status, body } = mapChatError(error, errorOptions);
+      res.locals.chat.outcome = body.code;
+      // Failed before the event stream started: answer like /api/chat
+      if (!res.headersSent) return res.status(status).json(body);
+      sendEvent('error', body);
+    }
+
+    res.end();
+  });
+
+  // Batch questions and the background jobs answering them
+  app.use('/api/chat/batch', createBatchRouter({
+    jobStore,
+    batchRunner,
+    profileStore,
+    provider,
+    chatLimits,
+    maxQuestions: config.batchMaxQuestions,
+    maxFileBytes: config.importMaxFileMb * 1024 * 1024
+  }));
+  app.use('/api/jobs', createJobsRouter(jobStore, batchRunner));
+
+  // Offers ranked for a customer's monthly usage, explained by the model
+  app.use('/api/recommend', createRecommendRouter({
+    offerStore,
+    profileStore,
+    provider,
+    usageStore,
+    quotaStore,
+    chatLimits,
+    metrics,
+    guardrails,
+    errorOptions,
+    clock
+  }));
+
+  // Saved conversations: list, reopen, rename and delete
+  app.use('/api/sessions', createSessionsRouter(sessionStore));
+
+  // Answer feedback and the review queue (admins see all users)
+  app.use('/api/feedback', createFeedbackRouter(feedbackStore, sessionStore, userStore));
+
+  // Usage and cost report (admins see all users)
+  app.use('/api/usage', createUsageRouter(usageStore, userStore));
+
+  // The caller's token budget usage for the current day and month
+  app.get('/api/quota', (req, res) => {
+    res.json(quotaStore.status(req.user.id));
+  });
+
+  // Prompt profiles available for the frontend's picker
+  app.get('/api/profiles', (req, res) => {
+    res.json({ profiles: profileStore.list() });
+  });
+
+  // Reference offer search API
+  app.use('/api/offers', createOffersRouter(offerStore, offerHistory));
+
+  // Offer change log ("what changed since ...")
+  app.use('/api/changes', createChangesRouter(offerHistory));
+
+  // Guardrail audit log (admins only)
+  app.use('/api/admin/screening', requireRole('admin'), createScreeningRouter(screeningLog, userStore));
+
+  // Rate sheet imports (admins only)
+  app.use('/api/admin/offers', requireRole('admin'), createAdminOffersRouter(offerBatchStore, {
+    maxFileBytes: config.importMaxFileMb * 1024 * 1024
+  }));
+
+  // Health check endpoint. "degraded" while the model circuit breaker is
+  // open or testing the upstream again: chat fails fast, the rest works.
+  app.get('/api/health', (req, res) => {
+    const breakerState = provider.breaker ? provider.breaker.state : 'closed';
+    const health = {
+      status: breakerState === 'closed' ? 'healthy' : 'degraded',
+      timestamp: new Date(clock()).toISOString(),
+      uptime: process.uptime(),
+      environment: config.nodeEnv,
+      openai_configured: !!config.openaiApiKey,
+      provider: describeProvider(provider),
+      offers_loaded: offerStore.size,
+      response_cache: responseCache.stats(),
+      version: '1.0.0'
+    };
+
+    res.json(health);
+  });
+
+  // Prometheus metrics. Outside /api so scrapers need no user account; set
+  // METRICS_TOKEN to require "Authorization: Bearer <token>".
+  app.get('/metrics', (req, res) => {
+    const token = config.metricsToken;
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+      return res.status(401).json({ error: 'A valid metrics token is required', code: 'unauthorized' });
+    }
+
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
+  });
+
+  // Root endpoint
+  app.get('/', (req, res) => {
+    res.json({
+      message: '🚀 RDA Carrier Reference Agent Backend',
+      status: 'Running',
+      version: '1.0.0',
+      endpoints: {
+        health: '/api/health',
+        metrics: '/metrics (Prometheus)',
+        auth: '/api/auth/login (POST), /api/auth/logout (POST), /api/auth/me, /api/auth/keys',
+        chat: '/api/chat (POST)',
+        chatStream: '/api/chat/stream (POST, Server-Sent Events)',
+        chatBatch: '/api/chat/batch (POST, JSON or CSV upload)',
+        recommend: '/api/recommend (POST)',
+        jobs: '/api/jobs (GET), /api/jobs/:id (GET), /api/jobs/:id/results?format=json|csv (GET), /api/jobs/:id/cancel (POST)',
+        sessions: '/api/sessions (GET), /api/sessions/:id (GET, PATCH, DELETE), /api/sessions/:id/export (GET)',
+        feedback: '/api/feedback (POST, GET), /api/feedback/:id (PATCH, admin)',
+        quota: '/api/quota (GET)',
+        usage: '/api/usage?groupBy=day|user|model|none&format=json|csv (GET)',
+        offers: '/api/offers, /api/offers/facets, /api/offers/compare, /api/offers/:id, /api/offers/:id/history (GET)',
+        changes: '/api/changes?since=&carrier= (GET)',
+        offerImport: '/api/admin/offers/import (POST, admin), /api/admin/offers/imports (GET), /api/admin/offers/imports/:id/commit|rollback (POST)',
+        screening: '/api/admin/screening?stage=&action=&category=&format=json|csv (GET, admin)',
+        profiles: '/api/profiles (GET)'
+      },
+      frontend: '/',
+      documentation: 'https://github.com/your-repo/carrier-chat'
+    });
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      error: 'Endpoint not found',
+      path: req.originalUrl,
+      method: req.method,
+      available_endpoints: [
+        'GET /',
+        'GET /api/health',
+        'GET /metrics',
+        'POST /api/auth/login',
+        'POST /api/auth/logout',
+        'GET /api/auth/me',
+        'GET /api/auth/keys',
+        'POST /api/auth/keys',
+        'DELETE /api/auth/keys/:id',
+        'POST /api/chat',
+        'POST /api/chat/stream',
+        'POST /api/chat/batch',
+        'GET /api/jobs',
+        'GET /api/jobs/:id',
+        'GET /api/jobs/:id/results',
+        'POST /api/jobs/:id/cancel',
+        'POST /api/recommend',
+        'GET /api/sessions',
+        'GET /api/sessions/:id',
+        'PATCH /api/sessions/:id',
+        'GET /api/sessions/:id/export',
+        'DELETE /api/sessions/:id',
+        'POST /api/feedback',
+        'GET /api/feedback',
+        'PATCH /api/feedback/:id',
+        'GET /api/quota',
+        'GET /api/usage',
+        'GET /api/offers',
+        'GET /api/offers/facets',
+        'GET /api/offers/compare',
+        'GET /api/offers/:id',
+        'GET /api/offers/:id/history',
+        'GET /api/changes',
+        'POST /api/admin/offers/import',
+        'GET /api/admin/offers/imports',
+        'GET /api/admin/offers/imports/:id',
+        'POST /api/admin/offers/imports/:id/commit',
+        'POST /api/admin/offers/imports/:id/rollback',
+        'DELETE /api/admin/offers/imports/:id',
+        'GET /api/admin/screening',
+        'GET /api/profiles'
+      ]
+    });
+  });
+
+  // Global error handler
+  app.use((error, req, res, next) => {
+    req.log.error('Unhandled error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      requestId: req.id,
+      timestamp: new Date(clock()).toISOString(),
+      details: errorOptions.details ? error.message : undefined
+    });
+  });
+
+  const services = {
+    config,
+    provider,
+    metrics,
+    userStore,
+    sessionStore,
+    offerStore,
+    offerHistory,
+    offerBatchStore,
+    profileStore,
+    rateLimiter,
+    quotaStore,
+    usageStore,
+    responseCache,
+    feedbackStore,
+    screeningLog,
+    guardrails,
+    jobStore,
+    batchRunner
+  };
+
+  // Interrupt running batch jobs, save pending token counts and stop
+  // watching the profiles directory
+  function close() {
+    batchRunner.stop();
+    jobStore.save();
+    quotaStore.save();
+    profileStore.close();
+  }
+
+  return { app, services, close };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,410 @@
+// Interface translations (English and Urdu).
+// Static markup names its string with data-i18n (text content),
+// data-i18n-placeholder and data-i18n-title; applyTranslations() fills them
+// in for the current locale. Script code uses t('key', { param }) directly.
+// Urdu is written right to left, so setLocale() also flips the page direction.
+
+const LOCALES = {
+    en: { name: 'English', dir: 'ltr' },
+    ur: { name: 'اردو', dir: 'rtl' }
+};
+
+const TRANSLATIONS = {
+    en: {
+        // Header, sidebar and status
+        statusConnecting: 'Connecting...',
+        statusConnected: 'Connected',
+        statusDisconnected: 'Disconnected',
+        newChat: 'New chat',
+        searchConversations: 'Search conversations...',
+        chatTitle: 'Carrier Chat Assistant',
+        chatSubtitle: 'Ask about Pakistani telecom services, pricing, and offers',
+        conversations: 'Conversations',
+        language: 'Language',
+        assistantProfile: 'Assistant profile',
+        defaultProfile: 'Default profile',
+        compareOffers: 'Compare offers',
+        clearConversation: 'Clear conversation',
+        exportConversation: 'Export conversation',
+        exportCsvTranscript: 'CSV transcript',
+        exportCsvComparisons: 'CSV offer comparisons',
+        signOut: 'Sign out',
+        signOutUser: 'Sign out {username}',
+        footer: '© 2024 RDA Carrier Reference Agent | Built for Telecom Industry',
+        loading: 'Initializing chat...',
+
+        // Welcome screen
+        welcomeTitle: 'Welcome to RDA Carrier Reference Agent',
+        welcomeText: 'I can help you with carrier offers, pricing, and telecom database queries. Ask me anything about Pakistani telecom services!',
+        tryAsking: 'Try asking:',
+        exampleDataPlans: '"What are the current data plans for Karachi?"',
+        exampleCompare: '"Compare Jazz and Telenor pricing"',
+        exampleEnterprise: '"Show me enterprise solutions for Lahore"',
+        compareHint: 'Or',
+        compareHintLink: 'compare offers side by side',
+
+        // Conversation
+        typing: 'Assistant is typing',
+        messagePlaceholder: 'Ask about carrier offers, pricing, or telecom services...',
+        send: 'Send',
+        stop: 'Stop',
+        stopGenerating: 'Stop generating',
+        stopped: 'Stopped',
+        sources: 'Sources:',
+        copyTable: 'Copy as TSV',
+        copyTableTitle: 'Copy table as tab-separated values',
+        copied: 'Copied!',
+        rename: 'Rename',
+        delete: 'Delete',
+        renamePrompt: 'Rename conversation:',
+        noConversations: 'No conversations yet',
+        noMatchingConversations: 'No matching conversations',
+        confirmClear: 'Are you sure you want to clear the conversation?',
+        confirmDelete: 'Delete this conversation? This cannot be undone.',
+        feedbackHelpful: 'Helpful',
+        feedbackNotHelpful: 'Not helpful',
+        feedbackAddNote: 'Add a correction',
+        feedbackNotePlaceholder: 'What was wrong, and what should the answer have said?',
+        feedbackSend: 'Send',
+        feedbackThanks: 'Thanks for your feedback',
+        feedbackFailed: 'Could not save your feedback. Please try again.',
+
+        // Errors
+        errorGeneric: 'Sorry, something went wrong. Please try again.',
+        errorTimeout: 'Request timed out. Please try again.',
+        errorNetwork: 'Cannot connect to server. Please check if the backend is running.',
+        errorQuota: 'API quota exceeded. Please add credits to your OpenAI account.',
+        errorInvalidKey: 'Authentication error. Please check the API configuration.',
+        errorContextLength: 'Message too long for the model. Please shorten your message.',
+        blockedInjection: 'This message tries to change how the assistant works, so it was not sent. Please ask about carrier offers.',
+        blockedOffTopic: 'I can only help with carrier offers: data, call and SMS bundles and their prices.',
+        blockedLeak: 'The answer was withheld because it contained internal instructions. Please rephrase your question.',
+        blockedGeneric: 'This message cannot be answered. Please ask about carrier offers.',
+        errorServer: 'The AI service had a problem. Please try again.',
+        errorUnauthorized: 'Please sign in to continue.',
+        errorForbidden: 'You do not have permission to do that.',
+        rateLimitExceeded: 'Rate limit exceeded.',
+        tokenBudgetUsed: 'Your token budget is used up.',
+        cooldown: '{reason} You can send again in {time}.',
+        serviceUnavailable: 'The AI service is temporarily unavailable.',
+        sessionExpired: 'Your session has expired. Please sign in again.',
+        nothingToExport: 'There is nothing to export yet. Send a message first.',
+        exportFailed: 'Export failed. Please check if the backend is running.',
+        offline: 'You are offline. Please check your internet connection.',
+
+        // Sign in
+        signIn: 'Sign in',
+        signInText: 'Sign in to use the RDA Carrier Reference Agent',
+        username: 'Username',
+        password: 'Password',
+        signInFailed: 'Sign in failed. Please try again.',
+
+        // Offer comparison panel
+        close: 'Close',
+        carriers: 'Carriers',
+        city: 'City',
+        anyCity: 'Any city',
+        category: 'Category',
+        anyCategory: 'Any category',
+        compare: 'Compare',
+        compareIntro: 'Pick carriers, a city and a category, then press Compare.',
+        compareLoading: 'Loading offers...',
+        compareNoOffers: 'No offers match these filters.',
+        compareFiltersFailed: 'Could not load the offer filters. Please check if the backend is running.',
+        compareFailed: 'Could not load offers. Please check if the backend is running.',
+        compareShowing: 'Showing {shown} of {total} offers',
+        offerCountOne: '{count} offer',
+        offerCountOther: '{count} offers',
+        sendToChat: 'Send to chat',
+        compareWait: 'Please wait for the current reply before sending the comparison.',
+        columnCarrier: 'Carrier',
+        columnOffer: 'Offer',
+        columnPrice: 'Price (PKR)',
+        columnDays: 'Days',
+        columnData: 'Data (GB)',
+        columnMinutes: 'Minutes',
+        columnPricePerGB: 'PKR/GB',
+        columnPricePerMinute: 'PKR/min',
+        badgeCheapest: 'Cheapest',
+        badgeBestPerGB: 'Best PKR/GB',
+        badgeBestPerMinute: 'Best PKR/min',
+        compareQuestion: 'Explain the differences between these offers ({scope}) and which kind of user each one suits best:',
+        allCarriers: 'all carriers',
+        allCategories: 'all categories',
+        categoryOffers: '{category} offers',
+        inCity: 'in {city}',
+        listSeparator: ', ',
+
+        // Batch questions panel
+        batchQuestions: 'Batch questions',
+        batchQuestionsLabel: 'Questions, one per line',
+        batchPlaceholder: 'Cheapest Jazz weekly bundle?',
+        batchFileLabel: 'Or upload a CSV file with a "question" column',
+        batchStart: 'Start',
+        batchCancel: 'Cancel batch',
+        batchDownload: 'Download CSV',
+        batchEmpty: 'Type some questions or choose a CSV file.',
+        batchQueued: 'Queued',
+        batchRunning: 'Answering',
+        batchCompleted: 'Finished',
+        batchCancelled: 'Cancelled',
+        batchInterrupted: 'Interrupted by a server restart',
+        batchProgress: '{done} of {total} questions',
+        batchFailedCount: '{count} failed',
+        batchStartFailed: 'Could not start the batch. Please check if the backend is running.',
+        batchStatusFailed: 'Could not load the batch status. Please check if the backend is running.',
+        findPlan: 'Find a plan',
+        recommendStepCustomer: '1. Customer',
+        recommendStepUsage: '2. Monthly usage',
+        recommendStepBudget: '3. Budget',
+        planType: 'Plan type',
+        anyPlanType: 'Prepaid or postpaid',
+        prepaid: 'Prepaid',
+        postpaid: 'Postpaid',
+        recommendPresets: 'Start from:',
+        presetLight: 'Light user',
+        presetData: 'Heavy data',
+        presetTalker: 'Talker',
+        usageData: 'Data (GB)',
+        usageOnNet: 'On-net minutes',
+        usageOffNet: 'Off-net minutes',
+        usageSms: 'SMS',
+        budgetLabel: 'Monthly budget (PKR, optional)',
+        findPlans: 'Find plans',
+        recommendIntro: 'Describe the customer\'s monthly usage, then press Find plans.',
+        recommendLoading: 'Ranking offers…',
+        recommendFailed: 'Could not rank the offers. Please check if the backend is running.',
+        recommendExplanationFailed: 'The ranking is shown without an explanation: {error}',
+        recommendSummary: '{covering} of {considered} offers cover this usage',
+        recommendShortfall: '{usage}: {included} of {needed}',
+        recommendOverBudget: 'Over budget',
+        recommendBudget: 'budget PKR {budget} a month',
+        recommendQuestion: 'Explain which of these offers best suits a customer with this monthly usage ({usage}) and why:',
+        badgeFits: 'Fits',
+        columnMonthlyCost: 'PKR / month',
+        columnPurchases: 'Purchases',
+        columnFit: 'Fit',
+        columnNotes: 'Notes'
+    },
+
+    ur: {
+        statusConnecting: 'رابطہ ہو رہا ہے...',
+        statusConnected: 'منسلک',
+        statusDisconnected: 'رابطہ منقطع',
+        newChat: 'نئی گفتگو',
+        searchConversations: 'گفتگو تلاش کریں...',
+        chatTitle: 'کیریئر چیٹ اسسٹنٹ',
+        chatSubtitle: 'پاکستانی ٹیلی کام سروسز، قیمتوں اور آفرز کے بارے میں پوچھیں',
+        conversations: 'گفتگوئیں',
+        language: 'زبان',
+        assistantProfile: 'اسسٹنٹ پروفائل',
+        defaultProfile: 'ڈیفالٹ پروفائل',
+        compareOffers: 'آفرز کا موازنہ',
+        clearConversation: 'گفتگو صاف کریں',
+        exportConversation: 'گفتگو ایکسپورٹ کریں',
+        exportCsvTranscript: 'CSV ٹرانسکرپٹ',
+        exportCsvComparisons: 'CSV آفر موازنے',
+        signOut: 'سائن آؤٹ',
+        signOutUser: '{username} کو سائن آؤٹ کریں',
+        footer: '© 2024 آر ڈی اے کیریئر ریفرنس ایجنٹ | ٹیلی کام انڈسٹری کے لیے',
+        loading: 'چیٹ شروع ہو رہی ہے...',
+
+        welcomeTitle: 'آر ڈی اے کیریئر ریفرنس ایجنٹ میں خوش آمدید',
+        welcomeText: 'میں کیریئر آفرز، قیمتوں اور ٹیلی کام ڈیٹا بیس کے سوالات میں آپ کی مدد کر سکتا ہوں۔ پاکستانی ٹیلی کام سروسز کے بارے میں کچھ بھی پوچھیں!',
+        tryAsking: 'یہ پوچھ کر دیکھیں:',
+        exampleDataPlans: '"کراچی کے لیے اس وقت کون سے ڈیٹا پلان دستیاب ہیں؟"',
+        exampleCompare: '"جاز اور ٹیلی نار کی قیمتوں کا موازنہ کریں"',
+        exampleEnterprise: '"لاہور کے لیے انٹرپرائز سلوشنز دکھائیں"',
+        compareHint: 'یا',
+        compareHintLink: 'آفرز کا ساتھ ساتھ موازنہ کریں',
+
+        typing: 'اسسٹنٹ لکھ رہا ہے',
+        messagePlaceholder: 'کیریئر آفرز، قیمتوں یا ٹیلی کام سروسز کے بارے میں پوچھیں...',
+        send: 'بھیجیں',
+        stop: 'روکیں',
+        stopGenerating: 'جواب روکیں',
+        stopped: 'روک دیا گیا',
+        sources: 'ذرائع:',
+        copyTable: 'TSV کاپی کریں',
+        copyTableTitle: 'ٹیبل کو ٹیب سے الگ کی گئی ویلیوز کے طور پر کاپی کریں',
+        copied: 'کاپی ہو گیا!',
+        rename: 'نام بدلیں',
+        delete: 'حذف کریں',
+        renamePrompt: 'گفتگو کا نیا نام:',
+        noConversations: 'ابھی کوئی گفتگو نہیں',
+        noMatchingConversations: 'کوئی ملتی جلتی گفتگو نہیں',
+        confirmClear: 'کیا آپ واقعی یہ گفتگو صاف کرنا چاہتے ہیں؟',
+        confirmDelete: 'یہ گفتگو حذف کریں؟ یہ عمل واپس نہیں ہو سکتا۔',
+        feedbackHelpful: 'مفید',
+        feedbackNotHelpful: 'مفید نہیں',
+        feedbackAddNote: 'درستی شامل کریں',
+        feedbackNotePlaceholder: 'کیا غلط تھا، اور درست جواب کیا ہونا چاہیے تھا؟',
+        feedbackSend: 'بھیجیں',
+        feedbackThanks: 'آپ کی رائے کا شکریہ',
+        feedbackFailed: 'آپ کی رائے محفوظ نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+
+        errorGeneric: 'معذرت، کچھ غلط ہو گیا۔ براہ کرم دوبارہ کوشش کریں۔',
+        errorTimeout: 'درخواست کا وقت ختم ہو گیا۔ براہ کرم دوبارہ کوشش کریں۔',
+        errorNetwork: 'سرور سے رابطہ نہیں ہو سکا۔ براہ کرم چیک کریں کہ بیک اینڈ چل رہا ہے۔',
+        errorQuota: 'API کوٹا ختم ہو گیا ہے۔ براہ کرم اپنے OpenAI اکاؤنٹ میں کریڈٹ شامل کریں۔',
+        errorInvalidKey: 'تصدیق میں خرابی۔ براہ کرم API کنفیگریشن چیک کریں۔',
+        errorContextLength: 'پیغام ماڈل کے لیے بہت لمبا ہے۔ براہ کرم اسے مختصر کریں۔',
+        blockedInjection: 'یہ پیغام اسسٹنٹ کی ہدایات بدلنے کی کوشش کرتا ہے، اس لیے بھیجا نہیں گیا۔ براہ کرم کیریئر آفرز کے بارے میں پوچھیں۔',
+        blockedOffTopic: 'میں صرف کیریئر آفرز میں مدد کر سکتا ہوں: ڈیٹا، کال اور ایس ایم ایس بنڈل اور ان کی قیمتیں۔',
+        blockedLeak: 'جواب روک لیا گیا کیونکہ اس میں اندرونی ہدایات تھیں۔ براہ کرم اپنا سوال دوبارہ لکھیں۔',
+        blockedGeneric: 'اس پیغام کا جواب نہیں دیا جا سکتا۔ براہ کرم کیریئر آفرز کے بارے میں پوچھیں۔',
+        errorServer: 'AI سروس میں مسئلہ پیش آیا۔ براہ کرم دوبارہ کوشش کریں۔',
+        errorUnauthorized: 'جاری رکھنے کے لیے براہ کرم سائن ان کریں۔',
+        errorForbidden: 'آپ کو اس کی اجازت نہیں ہے۔',
+        rateLimitExceeded: 'درخواستوں کی حد پوری ہو گئی ہے۔',
+        tokenBudgetUsed: 'آپ کا ٹوکن بجٹ ختم ہو گیا ہے۔',
+        cooldown: '{reason} آپ {time} بعد دوبارہ پیغام بھیج سکتے ہیں۔',
+        serviceUnavailable: 'AI سروس عارضی طور پر دستیاب نہیں ہے۔',
+        sessionExpired: 'آپ کا سیشن ختم ہو گیا ہے۔ براہ کرم دوبارہ سائن ان کریں۔',
+        nothingToExport: 'ابھی ایکسپورٹ کرنے کے لیے کچھ نہیں۔ پہلے کوئی پیغام بھیجیں۔',
+        exportFailed: 'ایکسپورٹ ناکام ہو گیا۔ براہ کرم چیک کریں کہ بیک اینڈ چل رہا ہے۔',
+        offline: 'آپ آف لائن ہیں۔ براہ کرم اپنا انٹرنیٹ کنکشن چیک کریں۔',
+
+        signIn: 'سائن ان',
+        signInText: 'آر ڈی اے کیریئر ریفرنس ایجنٹ استعمال کرنے کے لیے سائن ان کریں',
+        username: 'صارف نام',
+        password: 'پاس ورڈ',
+        signInFailed: 'سائن ان ناکام ہو گیا۔ براہ کرم دوبارہ کوشش کریں۔',
+
+        close: 'بند کریں',
+        carriers: 'کیریئرز',
+        city: 'شہر',
+        anyCity: 'کوئی بھی شہر',
+        category: 'کیٹیگری',
+        anyCategory: 'کوئی بھی کیٹیگری',
+        compare: 'موازنہ کریں',
+        compareIntro: 'کیریئرز، شہر اور کیٹیگری منتخب کریں، پھر "موازنہ کریں" دبائیں۔',
+        compareLoading: 'آفرز لوڈ ہو رہی ہیں...',
+        compareNoOffers: 'ان فلٹرز سے کوئی آفر نہیں ملی۔',
+        compareFiltersFailed: 'آفر فلٹرز لوڈ نہیں ہو سکے۔ براہ کرم چیک کریں کہ بیک اینڈ چل رہا ہے۔',
+        compareFailed: 'آفرز لوڈ نہیں ہو سکیں۔ براہ کرم چیک کریں کہ بیک اینڈ چل رہا ہے۔',
+        compareShowing: '{total} میں سے {shown} آفرز',
+        offerCountOne: '{count} آفر',
+        offerCountOther: '{count} آفرز',
+        sendToChat: 'چیٹ میں بھیجیں',
+        compareWait: 'موازنہ بھیجنے سے پہلے موجودہ جواب کا انتظار کریں۔',
+        columnCarrier: 'کیریئر',
+        columnOffer: 'آفر',
+        columnPrice: 'قیمت (روپے)',
+        columnDays: 'دن',
+        columnData: 'ڈیٹا (GB)',
+        columnMinutes: 'منٹ',
+        columnPricePerGB: 'روپے/GB',
+        columnPricePerMinute: 'روپے/منٹ',
+        badgeCheapest: 'سب سے سستی',
+        badgeBestPerGB: 'بہترین روپے/GB',
+        badgeBestPerMinute: 'بہترین روپے/منٹ',
+        compareQuestion: 'ان آفرز ({scope}) میں فرق سمجھائیں اور بتائیں کہ ہر آفر کس قسم کے صارف کے لیے بہترین ہے:',
+        allCarriers: 'تمام کیریئرز',
+        allCategories: 'تمام کیٹیگریز',
+        categoryOffers: '{category} آفرز',
+        inCity: '{city} میں',
+        listSeparator: '، ',
+
+        batchQuestions: 'سوالات کی فہرست',
+        batchQuestionsLabel: 'سوالات، ہر لائن میں ایک',
+        batchPlaceholder: 'جاز کا سب سے سستا ہفتہ وار بنڈل؟',
+        batchFileLabel: 'یا "question" کالم والی CSV فائل اپ لوڈ کریں',
+        batchStart: 'شروع کریں',
+        batchCancel: 'فہرست منسوخ کریں',
+        batchDownload: 'CSV ڈاؤن لوڈ کریں',
+        batchEmpty: 'کچھ سوالات لکھیں یا CSV فائل منتخب کریں۔',
+        batchQueued: 'قطار میں',
+        batchRunning: 'جوابات تیار ہو رہے ہیں',
+        batchCompleted: 'مکمل',
+        batchCancelled: 'منسوخ',
+        batchInterrupted: 'سرور ری اسٹارٹ کی وجہ سے رک گیا',
+        batchProgress: '{total} میں سے {done} سوالات',
+        batchFailedCount: '{count} ناکام',
+        batchStartFailed: 'فہرست شروع نہیں ہو سکی۔ براہ کرم چیک کریں کہ بیک اینڈ چل رہا ہے۔',
+        batchStatusFailed: 'فہرست کی صورتحال لوڈ نہیں ہو سکی۔ براہ کرم چیک کریں کہ بیک اینڈ چل رہا ہے۔',
+        findPlan: 'پیکج تلاش کریں',
+        recommendStepCustomer: '1۔ صارف',
+        recommendStepUsage: '2۔ ماہانہ استعمال',
+        recommendStepBudget: '3۔ بجٹ',
+        planType: 'پلان کی قسم',
+        anyPlanType: 'پری پیڈ یا پوسٹ پیڈ',
+        prepaid: 'پری پیڈ',
+        postpaid: 'پوسٹ پیڈ',
+        recommendPresets: 'شروع کریں:',
+        presetLight: 'کم استعمال',
+        presetData: 'زیادہ ڈیٹا',
+        presetTalker: 'زیادہ کالز',
+        usageData: 'ڈیٹا (GB)',
+        usageOnNet: 'آن نیٹ منٹس',
+        usageOffNet: 'آف نیٹ منٹس',
+        usageSms: 'SMS',
+        budgetLabel: 'ماہانہ بجٹ (روپے، اختیاری)',
+        findPlans: 'پیکجز تلاش کریں',
+        recommendIntro: 'صارف کا ماہانہ استعمال درج کریں، پھر "پیکجز تلاش کریں" دبائیں۔',
+        recommendLoading: 'آفرز کی درجہ بندی ہو رہی ہے…',
+        recommendFailed: 'آفرز کی درجہ بندی نہیں ہو سکی۔ براہ کرم چیک کریں کہ بیک اینڈ چل رہا ہے۔',
+        recommendExplanationFailed: 'درجہ بندی وضاحت کے بغیر دکھائی گئی ہے: {error}',
+        recommendSummary: '{considered} میں سے {covering} آفرز یہ استعمال پورا کرتی ہیں',
+        recommendShortfall: '{usage}: {needed} میں سے {included}',
+        recommendOverBudget: 'بجٹ سے زیادہ',
+        recommendBudget: 'ماہانہ بجٹ {budget} روپے',
+        recommendQuestion: 'بتائیں کہ اس ماہانہ استعمال ({usage}) والے صارف کے لیے ان میں سے کون سی آفر بہترین ہے اور کیوں:',
+        badgeFits: 'موزوں',
+        columnMonthlyCost: 'روپے / ماہ',
+        columnPurchases: 'خریداریاں',
+        columnFit: 'مطابقت',
+        columnNotes: 'نوٹس'
+    }
+};
+
+let currentLocale = 'en';
+
+// Translated string for the current locale, falling back to English.
+// {name} placeholders are replaced from params.
+function t(key, params = {}) {
+    const strings = TRANSLATIONS[currentLocale] || TRANSLATIONS.en;
+    const text = strings[key] !== undefined ? strings[key] : (TRANSLATIONS.en[key] !== undefined ? TRANSLATIONS.en[key] : key);
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+function getLocale() {
+    return currentLocale;
+}
+
+// The saved locale, else the first supported browser language, else English
+function preferredLocale(saved, browserLanguages = []) {
+    if (LOCALES[saved]) return saved;
+    const match = browserLanguages
+        .map(language => String(language).toLowerCase().split('-')[0])
+        .find(language => LOCALES[language]);
+    return match || 'en';
+}
+
+// Switch locale and set the page language and text direction
+function setLocale(locale) {
+    currentLocale = LOCALES[locale] ? locale : 'en';
+    if (typeof document !== 'undefined') {
+        document.documentElement.lang = currentLocale;
+        document.documentElement.dir = LOCALES[currentLocale].dir;
+    }
+    return currentLocale;
+}
+
+// Translate every marked element under root
+function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+}
+
+// Allow the translations to be loaded outside the browser (e.g. in tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LOCALES, TRANSLATIONS, t, getLocale, preferredLocale, setLocale, applyTranslations };
+}
@@ -0,0 +1,309 @@
+// Minimal, safe Markdown renderer for assistant replies.
+// Supports headings, paragraphs, bold/italic/strikethrough, inline code,
+// fenced code blocks, ordered/unordered (nested) lists, blockquotes,
+// horizontal rules, links and GFM tables.
+//
+// Safety: every piece of source text is HTML-escaped before any markup is
+// added, and the only tags in the output are the ones generated here.
+// Links are limited to http(s) and mailto URLs. Raw HTML in the source is
+// shown as text, never interpreted.
+
+const MARKDOWN_SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+// Escape text for use in element content and quoted attribute values
+function escapeMarkdownHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Render Markdown source to an HTML string
+function renderMarkdown(source) {
+    const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+    return renderBlocks(lines);
+}
+
+// Block-level parsing
+function renderBlocks(lines) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        // Blank line
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // Fenced code block
+        const fence = line.match(/^\s*(```|~~~)\s*([\w+-]*)\s*$/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++; // Closing fence (or end of input while streaming)
+            const language = fence[2] ? ` class="language-${escapeMarkdownHtml(fence[2])}"` : '';
+            html.push(`<pre><code${language}>${escapeMarkdownHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        // Heading; # maps to <h3> so replies don't outshout the page
+        const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const level = Math.min(heading[1].length + 2, 6);
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        // Horizontal rule
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+
+        // Table: header row followed by a delimiter row
+        if (line.includes('|') && i + 1 < lines.length && isTableDelimiter(lines[i + 1])) {
+            const rows = [line];
+            const delimiter = lines[i + 1];
+            i += 2;
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                rows.push(lines[i]);
+                i++;
+            }
+            html.push(renderTable(rows, delimiter));
+            continue;
+        }
+
+        // Blockquote
+        if (/^\s*>/.test(line)) {
+            const quoted = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+                i++;
+            }
+            html.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+            continue;
+        }
+
+        // List
+        const marker = listMarker(line);
+        if (marker) {
+            const listLines = [];
+            while (i < lines.length) {
+                const current = lines[i];
+                const currentMarker = listMarker(current);
+
+                // Switching between bullets and numbers starts a new list
+                if (listLines.length > 0 && currentMarker && currentMarker.indent <= marker.indent + 1 &&
+                    currentMarker.ordered !== marker.ordered) {
+                    break;
+                }
+                if (!current.trim()) {
+                    // A blank line ends the list unless it continues after it
+                    const next = lines[i + 1];
+                    if (next !== undefined && (listMarker(next) || /^\s{2,}\S/.test(next))) {
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+                if (!currentMarker && !/^\s{2,}\S/.test(current) && listLines.length > 0 &&
+                    isBlockStart(current, lines[i + 1])) {
+                    break;
+                }
+                listLines.push(current);
+                i++;
+            }
+            html.push(renderList(listLines));
+            continue;
+        }
+
+        // Paragraph: consecutive lines until a blank line or another block
+        const paragraph = [line];
+        i++;
+        while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i], lines[i + 1])) {
+            paragraph.push(lines[i]);
+            i++;
+        }
+        html.push(`<p>${paragraph.map(text => renderInline(text.trim())).join('<br>')}</p>`);
+    }
+
+    return html.join('');
+}
+
+function isBlockStart(line, nextLine) {
+    return /^\s*(```|~~~)/.test(line) ||
+        /^\s*#{1,6}\s/.test(line) ||
+        /^\s*>/.test(line) ||
+        /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) ||
+        !!listMarker(line) ||
+        (line.includes('|') && nextLine !== undefined && isTableDelimiter(nextLine));
+}
+
+// "- item", "* item", "+ item", "1. item" or "1) item"
+// Returns { indent, ordered, start, content } or null.
+function listMarker(line) {
+    const match = line.match(/^(\s*)([-*+]|(\d{1,9})[.)])\s+(.*)$/);
+    if (!match) return null;
+    return {
+        indent: match[1].replace(/\t/g, '    ').length,
+        ordered: match[3] !== undefined,
+        start: match[3] !== undefined ? parseInt(match[3], 10) : 1,
+        content: match[4]
+    };
+}
+
+// Render list lines, nesting items by indentation
+function renderList(lines) {
+    const first = listMarker(lines[0]);
+    const baseIndent = first.indent;
+    const items = [];
+
+    for (const line of lines) {
+        const marker = listMarker(line);
+        if (marker && marker.indent <= baseIndent + 1) {
+            items.push({ content: [marker.content], children: [] });
+        } else if (items.length > 0) {
+            const current = items[items.length - 1];
+            if (marker || current.children.length > 0) {
+                current.children.push(line);
+            } else {
+                current.content.push(line.trim());
+            }
+        }
+    }
+
+    const tag = first.ordered ? 'ol' : 'ul';
+    const start = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+    const body = items.map(item => {
+        const nested = item.children.length > 0 ? renderNested(item.children) : '';
+        return `<li>${item.content.map(renderInline).join('<br>')}${nested}</li>`;
+    }).join('');
+
+    return `<${tag}${start}>${body}</${tag}>`;
+}
+
+// Nested content of a list item (usually a sub-list)
+function renderNested(lines) {
+    const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+    return renderBlocks(lines.map(line => line.slice(indent)));
+}
+
+// Tables
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    // Split on pipes that are not escaped as \|
+    const cells = [];
+    let cell = '';
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\' && row[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (row[i] === '|') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += row[i];
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+function isTableDelimiter(line) {
+    if (!line || !line.includes('-')) return false;
+    const cells = splitTableRow(line);
+    return cells.length > 0 && cells.every(cell => /^:?-{1,}:?$/.test(cell));
+}
+
+function renderTable(rows, delimiter) {
+    const alignments = splitTableRow(delimiter).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+    });
+    const header = splitTableRow(rows[0]);
+    const columnCount = header.length;
+
+    const renderRow = (cells, tag) => {
+        const rendered = [];
+        for (let col = 0; col < columnCount; col++) {
+            const align = alignments[col] ? ` style="text-align: ${alignments[col]}"` : '';
+            rendered.push(`<${tag}${align}>${renderInline(cells[col] || '')}</${tag}>`);
+        }
+        return `<tr>${rendered.join('')}</tr>`;
+    };
+
+    const body = rows.slice(1).map(row => renderRow(splitTableRow(row), 'td')).join('');
+
+    return '<div class="md-table">' +
+        '<button type="button" class="copy-table-button" title="Copy table as tab-separated values" data-i18n="copyTable" data-i18n-title="copyTableTitle">Copy as TSV</button>' +
+        `<table><thead>${renderRow(header, 'th')}</thead><tbody>${body}</tbody></table>` +
+        '</div>';
+}
+
+// Inline formatting. Code spans and links are swapped for placeholders so
+// their contents are not formatted again.
+function renderInline(text) {
+    const placeholders = [];
+    const hold = html => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+    let html = escapeMarkdownHtml(text.replace(/\u0000/g, ''));
+
+    // Inline code
+    html = html.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => hold(`<code>${code.trim()}</code>`));
+
+    // Links: [text](url) and bare http(s) URLs
+    html = html.replace(/\[([^\]]+)\]\(\s*([^\s)]+)(?:\s+&quot;[^)]*?&quot;)?\s*\)/g, (match, label, url) => {
+        if (!MARKDOWN_SAFE_URL.test(url)) return label;
+        return hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${formatEmphasis(label)}</a>`);
+    });
+    // (&amp; may appear in query strings; other entities end the URL)
+    html = html.replace(/\bhttps?:\/\/(?:[^\s<&]|&amp;)+/g, match => {
+        const url = match.replace(/[.,:;!?)]+$/, '');
+        const trailing = match.slice(url.length);
+        return hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`) + trailing;
+    });
+
+    html = formatEmphasis(html);
+
+    // Restore placeholders (links may contain code spans)
+    const restore = value => value.replace(/\u0000(\d+)\u0000/g, (match, index) => restore(placeholders[index]));
+    return restore(html);
+}
+
+function formatEmphasis(html) {
+    return html
+        .replace(/\*\*(\S(?:[\s\S]*?\S)?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|\W)__(\S(?:[\s\S]*?\S)?)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/\*([^\s*](?:[^*]*[^\s*])?)\*/g, '<em>$1</em>')
+        .replace(/(^|\W)_([^\s_](?:[^_]*[^\s_])?)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(\S(?:[\s\S]*?\S)?)~~/g, '<del>$1</del>');
+}
+
+// Tab-separated text of a rendered table, for pasting into spreadsheets
+function tableToTSV(table) {
+    const clean = text => text.replace(/[\t\r\n]+/g, ' ').trim();
+    return Array.from(table.rows)
+        .map(row => Array.from(row.cells).map(cell => clean(cell.textContent)).join('\t'))
+        .join('\n');
+}
+
+// Allow the renderer to be loaded outside the browser (e.g. in tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { renderMarkdown, escapeMarkdownHtml, tableToTSV };
+}
@@ -1,18 +1,42 @@
+// Runtime settings served by the backend as config.js; missing when the
+// page is opened from another server or from disk
+const RUNTIME_CONFIG = window.RDA_CONFIG || { apiBaseUrl: 'http://localhost:5000' };
+
 // Configuration
 const CONFIG = {
-    API_BASE_URL: 'http://localhost:5000',
+    API_BASE_URL: RUNTIME_CONFIG.apiBaseUrl, // '' = same origin as the page
     MAX_MESSAGE_LENGTH: 4000,
     TYPING_DELAY: 1000,
-    RETRY_ATTEMPTS: 3,
-    RETRY_DELAY: 2000
+    STREAMING: true,
+    STREAM_IDLE_TIMEOUT: 30000,
+    RATE_LIMIT_COOLDOWN: 20, // Seconds to wait when a 429 carries no Retry-After
+    BATCH_POLL_INTERVAL: 2000
 };
 
 // Application state
 const state = {
     messages: [],
     isLoading: false,
-    sessionId: `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    retryCount: 0
+    sessionId: localStorage.getItem('rda_session'), // Issued by the server with the first reply
+    conversations: [],
+    searchTimer: null,
+    cooldownUntil: 0,
+    cooldownTimer: null,
+    abortController: null,
+    stopRequested: false,
+    profile: localStorage.getItem('rda_profile') || '',
+    locale: preferredLocale(localStorage.getItem('rda_locale'), navigator.languages || [navigator.language]),
+    token: localStorage.getItem('rda_token'),
+    user: null,
+    compareFacetsLoaded: false,
+    comparison: null, // Last result of /api/offers/compare
+    compareSort: { field: 'pricePKR', order: 'asc' },
+    batchJob: null, // Last batch job (summary from /api/jobs/:id)
+    batchJobId: localStorage.getItem('rda_batch_job'),
+    batchPollTimer: null,
+    recommendCitiesLoaded: false,
+    recommendation: null, // Last result of /api/recommend
+    feedback: new Map() // messageId -> { rating, note } given by this user
 };
 
 // DOM elements
@@ -20,22 +44,75 @@ const elements = {
     messagesContainer: null,
     messageInput: null,
     sendButton: null,
+    stopButton: null,
     typingIndicator: null,
     errorDisplay: null,
     errorMessage: null,
     dismissError: null,
     clearButton: null,
+    exportButton: null,
+    exportOptions: null,
+    profileSelect: null,
+    localeSelect: null,
     charCounter: null,
     connectionStatus: null,
     statusText: null,
-    loadingOverlay: null
+    loadingOverlay: null,
+    loginOverlay: null,
+    loginForm: null,
+    loginUsername: null,
+    loginPassword: null,
+    loginError: null,
+    logoutButton: null,
+    sidebar: null,
+    toggleSidebar: null,
+    newChatButton: null,
+    conversationSearch: null,
+    conversationList: null,
+    openCompare: null,
+    compareOverlay: null,
+    closeCompare: null,
+    compareForm: null,
+    compareCarriers: null,
+    compareCity: null,
+    compareCategory: null,
+    compareResults: null,
+    compareSummary: null,
+    compareToChat: null,
+    openBatch: null,
+    batchOverlay: null,
+    closeBatch: null,
+    batchForm: null,
+    batchQuestions: null,
+    batchFile: null,
+    batchStatus: null,
+    batchProgressBar: null,
+    batchProgressText: null,
+    batchCancel: null,
+    batchDownload: null,
+    openRecommend: null,
+    recommendOverlay: null,
+    closeRecommend: null,
+    recommendForm: null,
+    recommendCity: null,
+    recommendPlanType: null,
+    recommendData: null,
+    recommendOnNet: null,
+    recommendOffNet: null,
+    recommendSms: null,
+    recommendBudget: null,
+    recommendResults: null,
+    recommendSummary: null,
+    recommendToChat: null
 };
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', function() {
     initializeElements();
+    applyLocale(state.locale);
     setupEventListeners();
     checkBackendHealth();
+    restoreLogin();
     focusInput();
     
     // Hide loading overlay
@@ -49,15 +126,66 @@ function initializeElements() {
     elements.messagesContainer = document.getElementById('messages-container');
     elements.messageInput = document.getElementById('message-input');
     elements.sendButton = document.getElementById('send-button');
+    elements.stopButton = document.getElementById('stop-button');
     elements.typingIndicator = document.getElementById('typing-indicator');
     elements.errorDisplay = document.getElementById('error-display');
     elements.errorMessage = document.getElementById('error-message');
     elements.dismissError = document.getElementById('dismiss-error');
     elements.clearButton = document.getElementById('clear-chat');
+    elements.exportButton = document.getElementById('export-chat');
+    elements.exportOptions = document.getElementById('export-options');
+    elements.profileSelect = document.getElementById('profile-select');
+    elements.localeSelect = document.getElementById('locale-select');
     elements.charCounter = document.getElementById('char-counter');
     elements.connectionStatus = document.getElementById('connection-status');
     elements.statusText = document.getElementById('status-text');
     elements.loadingOverlay = document.getElementById('loading-overlay');
+    elements.loginOverlay = document.getElementById('login-overlay');
+    elements.loginForm = document.getElementById('login-form');
+    elements.loginUsername = document.getElementById('login-username');
+    elements.loginPassword = document.getElementById('login-password');
+    elements.loginError = document.getElementById('login-error');
+    elements.logoutButton = document.getElementById('logout-button');
+    elements.sidebar = document.getElementById('sidebar');
+    elements.toggleSidebar = document.getElementById('toggle-sidebar');
+    elements.newChatButton = document.getElementById('new-chat');
+    elements.conversationSearch = document.getElementById('conversation-search');
+    elements.conversationList = document.getElementById('conversation-list');
+    elements.openCompare = document.getElementById('open-compare');
+    elements.compareOverlay = document.getElementById('compare-overlay');
+    elements.closeCompare = document.getElementById('close-compare');
+    elements.compareForm = document.getElementById('compare-form');
+    elements.compareCarriers = document.getElementById('compare-carriers');
+    elements.compareCity = document.getElementById('compare-city');
+    elements.compareCategory = document.getElementById('compare-category');
+    elements.compareResults = document.getElementById('compare-results');
+    elements.compareSummary = document.getElementById('compare-summary');
+    elements.compareToChat = document.getElementById('compare-to-chat');
+    elements.openBatch = document.getElementById('open-batch');
+    elements.batchOverlay = document.getElementById('batch-overlay');
+    elements.closeBatch = document.getElementById('close-batch');
+    elements.batchForm = document.getElementById('batch-form');
+    elements.batchQuestions = document.getElementById('batch-questions');
+    elements.batchFile = document.getElementById('batch-file');
+    elements.batchStatus = document.getElementById('batch-status');
+    elements.batchProgressBar = document.getElementById('batch-progress-bar');
+    elements.batchProgressText = document.getElementById('batch-progress-text');
+    elements.batchCancel = document.getElementById('batch-cancel');
+    elements.batchDownload = document.getElementById('batch-download');
+    elements.openRecommend = document.getElementById('open-recommend');
+    elements.recommendOverlay = document.getElementById('recommend-overlay');
+    elements.closeRecommend = document.getElementById('close-recommend');
+    elements.recommendForm = document.getElementById('recommend-form');
+    elements.recommendCity = document.getElementById('recommend-city');
+    elements.recommendPlanType = document.getElementById('recommend-plan-type');
+    elements.recommendData = document.getElementById('recommend-data');
+    elements.recommendOnNet = document.getElementById('recommend-on-net');
+    elements.recommendOffNet = document.getElementById('recommend-off-net');
+    elements.recommendSms = document.getElementById('recommend-sms');
+    elements.recommendBudget = document.getElementById('recommend-budget');
+    elements.recommendResults = document.getElementById('recommend-results');
+    elements.recommendSummary = document.getElementById('recommend-summary');
+    elements.recommendToChat = document.getElementById('recommend-to-chat');
 }
 
 // Setup event listeners
@@ -65,6 +193,9 @@ function setupEventListeners() {
     // Send button click
     elements.sendButton.addEventListener('click', handleSendMessage);
     
+    // Stop button aborts a streaming reply
+    elements.stopButton.addEventListener('click', handleStopStreaming);
+    
     // Input field events
     elements.messageInput.addEventListener('input', handleInputChange);
     elements.messageInput.addEventListener('keydown', handleKeyDown);
@@ -73,12 +204,105 @@ function setupEventListeners() {
     // Clear chat button
     elements.clearButton.addEventListener('click', handleClearChat);
     
+    // Export menu
+    elements.exportButton.addEventListener('click', function(e) {
+        e.stopPropagation();
+        elements.exportOptions.classList.toggle('hidden');
+    });
+    elements.exportOptions.addEventListener('click', function(e) {
+        const option = e.target.closest('button[data-format]');
+        if (option) {
+            elements.exportOptions.classList.add('hidden');
+            handleExport(option.dataset.format, option.dataset.content);
+        }
+    });
+    document.addEventListener('click', function(e) {
+        if (!e.target.closest('.export-menu')) {
+            elements.exportOptions.classList.add('hidden');
+        }
+    });
+    
+    // Prompt profile picker
+    elements.profileSelect.addEventListener('change', handleProfileChange);
+    
+    // Interface language, from the header or the sign-in card
+    elements.localeSelect.addEventListener('change', () => handleLocaleChange(elements.localeSelect.value));
+    document.querySelectorAll('.locale-button').forEach(button => {
+        button.addEventListener('click', () => handleLocaleChange(button.dataset.locale));
+    });
+    
+    // Login and logout
+    elements.loginForm.addEventListener('submit', handleLogin);
+    elements.logoutButton.addEventListener('click', handleLogout);
+    
+    // Conversation sidebar
+    elements.newChatButton.addEventListener('click', handleNewChat);
+    elements.toggleSidebar.addEventListener('click', () => elements.sidebar.classList.toggle('open'));
+    elements.conversationSearch.addEventListener('input', handleConversationSearch);
+    elements.conversationList.addEventListener('click', handleConversationClick);
+    
+    // Offer comparison panel
+    elements.openCompare.addEventListener('click', openComparePanel);
+    elements.closeCompare.addEventListener('click', closeComparePanel);
+    elements.compareOverlay.addEventListener('click', function(e) {
+        if (e.target === elements.compareOverlay) closeComparePanel();
+    });
+    elements.compareForm.addEventListener('submit', handleCompare);
+    elements.compareResults.addEventListener('click', handleCompareSort);
+    elements.compareToChat.addEventListener('click', handleSendComparisonToChat);
+    
+    // Batch questions panel
+    elements.openBatch.addEventListener('click', openBatchPanel);
+    elements.closeBatch.addEventListener('click', closeBatchPanel);
+    elements.batchOverlay.addEventListener('click', function(e) {
+        if (e.target === elements.batchOverlay) closeBatchPanel();
+    });
+    elements.batchForm.addEventListener('submit', handleBatchSubmit);
+    elements.batchCancel.addEventListener('click', handleBatchCancel);
+    elements.batchDownload.addEventListener('click', handleBatchDownload);
+    
+    // Plan recommendation panel
+    elements.openRecommend.addEventListener('click', openRecommendPanel);
+    elements.closeRecommend.addEventListener('click', closeRecommendPanel);
+    elements.recommendOverlay.addEventListener('click', function(e) {
+        if (e.target === elements.recommendOverlay) closeRecommendPanel();
+    });
+    elements.recommendForm.addEventListener('click', function(e) {
+        const preset = e.target.closest('.recommend-preset');
+        if (preset) applyUsagePreset(preset.dataset.preset);
+    });
+    elements.recommendForm.addEventListener('submit', handleRecommend);
+    elements.recommendToChat.addEventListener('click', handleSendRecommendationToChat);
+    document.addEventListener('keydown', function(e) {
+        if (e.key !== 'Escape') return;
+        if (!elements.compareOverlay.classList.contains('hidden')) closeComparePanel();
+        if (!elements.batchOverlay.classList.contains('hidden')) closeBatchPanel();
+        if (!elements.recommendOverlay.classList.contains('hidden')) closeRecommendPanel();
+    });
+    
     // Dismiss error button
     elements.dismissError.addEventListener('click', hideError);
     
+    // Copy buttons on rendered tables and feedback on answers
+    elements.messagesContainer.addEventListener('click', function(e) {
+        const copyButton = e.target.closest('.copy-table-button');
+        const feedbackButton = e.target.closest('.feedback-button');
+        const noteToggle = e.target.closest('.feedback-note-toggle');
+        if (copyButton) {
+            handleCopyTable(copyButton);
+        } else if (feedbackButton) {
+            handleFeedbackRating(feedbackButton);
+        } else if (noteToggle) {
+            toggleFeedbackNote(noteToggle.closest('.message-feedback'));
+        }
+    });
+    elements.messagesContainer.addEventListener('submit', handleFeedbackNote);
+    
     // Example query clicks
     document.addEventListener('click', function(e) {
-        if (e.target.closest('.example-queries li')) {
+        if (e.target.closest('.open-compare-link')) {
+            openComparePanel();
+        } else if (e.target.closest('.example-queries li')) {
             const query = e.target.textContent.replace('💡 ', '');
             elements.messageInput.value = query;
             handleInputChange();
@@ -108,7 +332,7 @@ function handleInputChange() {
     }
     
     // Enable/disable send button
-    const canSend = value.trim().length > 0 && length <= CONFIG.MAX_MESSAGE_LENGTH && !state.isLoading;
+    const canSend = value.trim().length > 0 && length <= CONFIG.MAX_MESSAGE_LENGTH && !state.isLoading && !isCoolingDown();
     elements.sendButton.disabled = !canSend;
 }
 
@@ -140,7 +364,7 @@ function autoResizeTextarea() {
 // Handle send message
 async function handleSendMessage() {
     const message = elements.messageInput.value.trim();
-    if (!message || state.isLoading) return;
+    if (!message || state.isLoading || isCoolingDown()) return;
     
     // Add user message
     addMessage('user', message);
@@ -159,35 +383,181 @@ async function handleSendMessage() {
     // Send to API
     try {
         state.isLoading = true;
-        const response = await sendToAPI(message);
-        
-        hideTypingIndicator();
-        addMessage('assistant', response.reply, response.sources);
-        state.retryCount = 0;
         
+        if (CONFIG.STREAMING) {
+            showStopButton();
+            await streamFromAPI(message);
+        } else {
+            const response = await sendToAPI(message);
+            setSessionId(response.sessionId);
+            
+            hideTypingIndicator();
+            addMessage('assistant', response.reply, response.sources, response.timestamp, response.messageId);
+        }
     } catch (error) {
         hideTypingIndicator();
         handleAPIError(error, message);
     } finally {
         state.isLoading = false;
+        hideStopButton();
         handleInputChange();
+        loadConversations();
+    }
+}
+
+// Stream a reply from the API over Server-Sent Events, rendering the
+// assistant message as it grows
+async function streamFromAPI(message) {
+    const controller = new AbortController();
+    state.abortController = controller;
+    state.stopRequested = false;
+    
+    // Abort if the stream goes quiet for too long
+    let timeoutId = setTimeout(() => controller.abort(), CONFIG.STREAM_IDLE_TIMEOUT);
+    let streamingMessage = null;
+    
+    try {
+        const response = await apiFetch('/api/chat/stream', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                message: message,
+                sessionId: state.sessionId,
+                profile: state.profile || undefined
+            }),
+            signal: controller.signal
+        });
+        
+        if (!response.ok) {
+            throw await apiErrorFromResponse(response);
+        }
+        
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => controller.abort(), CONFIG.STREAM_IDLE_TIMEOUT);
+            
+            buffer += decoder.decode(value, { stream: true });
+            const rawEvents = buffer.split('\n\n');
+            buffer = rawEvents.pop();
+            
+            for (const rawEvent of rawEvents) {
+                const { event, data } = parseSSEEvent(rawEvent);
+                
+                if (event === 'delta') {
+                    if (!streamingMessage) {
+                        hideTypingIndicator();
+                        streamingMessage = startStreamingMessage();
+                    }
+                    appendToStreamingMessage(streamingMessage, data.content);
+                } else if (event === 'done') {
+                    setSessionId(data.sessionId);
+                    // Personal data masked in the reply after it was streamed
+                    if (streamingMessage && data.reply !== undefined) {
+                        streamingMessage.text = data.reply;
+                    }
+                    hideTypingIndicator();
+                    finishStreamingMessage(streamingMessage, data.sources, false, data.messageId);
+                    streamingMessage = null;
+                } else if (event === 'error') {
+                    throw new APIError(500, data.error, data.code, data.retryAfter || null, data.reason);
+                }
+            }
+        }
+        
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            if (state.stopRequested) {
+                // Keep whatever arrived before the user pressed stop
+                hideTypingIndicator();
+                if (streamingMessage) {
+                    finishStreamingMessage(streamingMessage, [], true);
+                    streamingMessage = null;
+                }
+                return;
+            }
+            throw new APIError(408, t('errorTimeout'), 'timeout');
+        }
+        
+        if (error instanceof APIError) {
+            throw error;
+        }
+        
+        // Network error
+        throw new APIError(0, t('errorNetwork'), 'network');
+        
+    } finally {
+        clearTimeout(timeoutId);
+        state.abortController = null;
+        
+        // Drop a half-rendered reply if the stream failed
+        if (streamingMessage) {
+            streamingMessage.element.remove();
+        }
+    }
+}
+
+// Parse one Server-Sent Event block into { event, data }
+function parseSSEEvent(rawEvent) {
+    let event = 'message';
+    let data = '';
+    
+    for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            data += line.slice(5).trim();
+        }
+    }
+    
+    try {
+        return { event, data: data ? JSON.parse(data) : {} };
+    } catch (error) {
+        return { event, data: {} };
+    }
+}
+
+// Stop a streaming reply
+function handleStopStreaming() {
+    if (state.abortController) {
+        state.stopRequested = true;
+        state.abortController.abort();
     }
 }
 
+function showStopButton() {
+    elements.stopButton.classList.remove('hidden');
+    elements.sendButton.classList.add('hidden');
+}
+
+function hideStopButton() {
+    elements.stopButton.classList.add('hidden');
+    elements.sendButton.classList.remove('hidden');
+}
+
 // Send message to API
 async function sendToAPI(message) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
     
     try {
-        const response = await fetch(`${CONFIG.API_BASE_URL}/api/chat`, {
+        const response = await apiFetch('/api/chat', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
                 message: message,
-                sessionId: state.sessionId
+                sessionId: state.sessionId,
+                profile: state.profile || undefined
             }),
             signal: controller.signal
         });
@@ -195,8 +565,7 @@ async function sendToAPI(message) {
         clearTimeout(timeoutId);
         
         if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new APIError(response.status, errorData.error || `HTTP ${response.status}`, errorData.code);
+            throw await apiErrorFromResponse(response);
         }
         
         return await response.json();
@@ -205,7 +574,7 @@ async function sendToAPI(message) {
         clearTimeout(timeoutId);
         
         if (error.name === 'AbortError') {
-            throw new APIError(408, 'Request timed out. Please try again.', 'timeout');
+            throw new APIError(408, t('errorTimeout'), 'timeout');
         }
         
         if (error instanceof APIError) {
@@ -213,47 +582,98 @@ async function sendToAPI(message) {
         }
         
         // Network error
-        throw new APIError(0, 'Cannot connect to server. Please check if the backend is running.', 'network');
+        throw new APIError(0, t('errorNetwork'), 'network');
+    }
+}
+
+// fetch() against the backend with the bearer token attached.
+// A 401 means the token expired or was revoked, so ask the user to sign in.
+async function apiFetch(path, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    if (state.token) {
+        headers['Authorization'] = `Bearer ${state.token}`;
     }
+    
+    const response = await fetch(`${CONFIG.API_BASE_URL}${path}`, { ...options, headers });
+    
+    if (response.status === 401) {
+        clearLogin();
+        showLogin(t('sessionExpired'));
+    }
+    
+    return response;
 }
 
 // Custom API Error class
 class APIError extends Error {
-    constructor(status, message, code) {
+    constructor(status, message, code, retryAfter = null, reason = null) {
         super(message);
         this.status = status;
         this.code = code;
+        this.retryAfter = retryAfter; // Seconds, from a 429's Retry-After
+        this.reason = reason; // Why a message was refused (content_blocked)
         this.name = 'APIError';
     }
 }
 
-// Handle API errors
+// Build an APIError from a failed response
+async function apiErrorFromResponse(response) {
+    const errorData = await response.json().catch(() => ({}));
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || errorData.retryAfter || null;
+    return new APIError(response.status, errorData.error || `HTTP ${response.status}`, errorData.code, retryAfter, errorData.reason);
+}
+
+// Handle API errors. The server already retries failed model calls, so
+// there is no retry here: a question that can be sent again is put back in
+// the input instead.
 function handleAPIError(error, originalMessage) {
-    let errorMessage = 'Sorry, something went wrong. Please try again.';
+    let errorMessage = t('errorGeneric');
     let canRetry = false;
     
     if (error instanceof APIError) {
         switch (error.code) {
             case 'timeout':
-                errorMessage = 'Request timed out. Please try again.';
+                errorMessage = t('errorTimeout');
                 canRetry = true;
                 break;
             case 'network':
-                errorMessage = 'Cannot connect to server. Please check if the backend is running.';
+                errorMessage = t('errorNetwork');
                 updateConnectionStatus(false);
                 break;
             case 'quota_exceeded':
-                errorMessage = 'API quota exceeded. Please add credits to your OpenAI account.';
+                errorMessage = t('errorQuota');
                 break;
             case 'invalid_key':
-                errorMessage = 'Authentication error. Please check the API configuration.';
+                errorMessage = t('errorInvalidKey');
                 break;
             case 'rate_limit':
-                errorMessage = 'Rate limit exceeded. Please wait a moment and try again.';
+            case 'too_many_requests':
+            case 'token_budget_exceeded':
+            case 'service_unavailable':
+                // Wait out the limit (or the paused AI service) instead of
+                // offering an immediate retry
+                startCooldown(
+                    error.retryAfter || CONFIG.RATE_LIMIT_COOLDOWN,
+                    cooldownReason(error.code),
+                    originalMessage
+                );
+                return;
+            case 'context_length':
+                errorMessage = t('errorContextLength');
+                break;
+            case 'content_blocked':
+                // Refused by the server's guardrails; the message needs rewording
+                errorMessage = t(blockedMessageKey(error.reason));
+                break;
+            case 'server_error':
+                errorMessage = t('errorServer');
                 canRetry = true;
                 break;
-            case 'context_length':
-                errorMessage = 'Message too long for the model. Please shorten your message.';
+            case 'unauthorized':
+                errorMessage = t('errorUnauthorized');
+                break;
+            case 'forbidden':
+                errorMessage = t('errorForbidden');
                 break;
             default:
                 errorMessage = error.message || errorMessage;
@@ -268,36 +688,268 @@ function handleAPIError(error, originalMessage) {
     addMessage('error', errorMessage);
     showError(errorMessage);
     
-    // Auto-retry for certain errors
-    if (canRetry && state.retryCount < CONFIG.RETRY_ATTEMPTS) {
-        state.retryCount++;
-        setTimeout(() => {
-            if (confirm(`Retry attempt ${state.retryCount}/${CONFIG.RETRY_ATTEMPTS}. Try sending the message again?`)) {
+    if (canRetry && !elements.messageInput.value.trim()) {
+        elements.messageInput.value = originalMessage;
+        handleInputChange();
+        focusInput();
+    }
+}
+
+function blockedMessageKey(reason) {
+    switch (reason) {
+        case 'prompt_injection':
+            return 'blockedInjection';
+        case 'off_topic':
+            return 'blockedOffTopic';
+        case 'prompt_leak':
+            return 'blockedLeak';
+        default:
+            return 'blockedGeneric';
+    }
+}
+
+function cooldownReason(code) {
+    switch (code) {
+        case 'token_budget_exceeded':
+            return t('tokenBudgetUsed');
+        case 'service_unavailable':
+            return t('serviceUnavailable');
+        default:
+            return t('rateLimitExceeded');
+    }
+}
+
+// Block sending until a rate limit or budget window has passed, showing a
+// countdown in the error bar. The message is put back in the input afterwards.
+function startCooldown(seconds, reason, originalMessage) {
+    clearInterval(state.cooldownTimer);
+    state.cooldownUntil = Date.now() + seconds * 1000;
+    
+    addMessage('error', t('cooldown', { reason, time: formatCountdown(seconds) }));
+    
+    const tick = () => {
+        const remaining = Math.ceil((state.cooldownUntil - Date.now()) / 1000);
+        if (remaining <= 0) {
+            clearInterval(state.cooldownTimer);
+            state.cooldownTimer = null;
+            state.cooldownUntil = 0;
+            hideError();
+            if (!elements.messageInput.value.trim()) {
                 elements.messageInput.value = originalMessage;
-                handleInputChange();
-                handleSendMessage();
             }
-        }, CONFIG.RETRY_DELAY);
-    }
+            handleInputChange();
+            focusInput();
+            return;
+        }
+        // Update the text only, so a dismissed error bar stays dismissed
+        elements.errorMessage.textContent = t('cooldown', { reason, time: formatCountdown(remaining) });
+    };
+    
+    showError(t('cooldown', { reason, time: formatCountdown(seconds) }));
+    state.cooldownTimer = setInterval(tick, 1000);
+    handleInputChange();
+}
+
+function isCoolingDown() {
+    return state.cooldownUntil > Date.now();
+}
+
+// 75 -> "1:15", 3700 -> "1:01:40"
+function formatCountdown(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    const pad = value => String(value).padStart(2, '0');
+    
+    if (hours > 0) return `${hours}:${pad(minutes)}:${pad(secs)}`;
+    if (minutes > 0) return `${minutes}:${pad(secs)}`;
+    return `${secs}s`;
 }
 
 // Add message to chat
-function addMessage(role, content, sources = []) {
+// (messageId: the server's ID for a stored assistant reply, which can be rated)
+function addMessage(role, content, sources = [], timestamp = new Date().toISOString(), messageId = null) {
     const messageElement = document.createElement('div');
+    renderMessage(messageElement, role, content, sources, timestamp, messageId);
+    appendMessageElement(messageElement);
+    
+    // Store in state
+    state.messages.push({ id: messageId, role, content, timestamp, sources });
+}
+
+// Create an empty assistant message that fills in as deltas arrive
+function startStreamingMessage() {
+    const element = document.createElement('div');
+    element.className = 'message assistant streaming';
+    
+    const contentElement = document.createElement('div');
+    contentElement.className = 'markdown-body';
+    contentElement.dir = 'auto';
+    element.appendChild(contentElement);
+    appendMessageElement(element);
+    
+    return { element, contentElement, text: '' };
+}
+
+function appendToStreamingMessage(streamingMessage, content) {
+    streamingMessage.text += content;
+    streamingMessage.contentElement.innerHTML = renderMarkdown(streamingMessage.text);
+    applyTranslations(streamingMessage.contentElement);
+    scrollToBottom();
+}
+
+// Render the completed reply in place and store it
+function finishStreamingMessage(streamingMessage, sources = [], stopped = false, messageId = null) {
+    if (!streamingMessage) {
+        addMessage('assistant', '', sources, undefined, messageId);
+        return;
+    }
+    
+    const content = stopped ? `${streamingMessage.text} …` : streamingMessage.text;
+    renderMessage(streamingMessage.element, 'assistant', content, sources, undefined, messageId);
+    if (stopped) {
+        streamingMessage.element.insertAdjacentHTML('beforeend', `<div class="message-timestamp" data-i18n="stopped">${escapeHtml(t('stopped'))}</div>`);
+    }
+    
+    state.messages.push({ id: messageId, role: 'assistant', content, timestamp: new Date().toISOString(), sources });
+}
+
+// Fill a message element with content, sources and a timestamp
+function renderMessage(messageElement, role, content, sources = [], sentAt = new Date().toISOString(), messageId = null) {
     messageElement.className = `message ${role}`;
     
-    const timestamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    // Messages from earlier days (reopened conversations) show the date too
+    const date = new Date(sentAt);
+    const timestamp = date.toDateString() === new Date().toDateString()
+        ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
     
-    let messageHTML = `<div>${escapeHtml(content)}</div>`;
+    // Assistant replies are Markdown; everything else is shown as plain text.
+    // dir="auto" keeps English text left to right in the Urdu interface and vice versa.
+    let messageHTML = role === 'assistant'
+        ? `<div class="markdown-body" dir="auto">${renderMarkdown(content)}</div>`
+        : `<div dir="auto">${escapeHtml(content)}</div>`;
     
     if (sources && sources.length > 0) {
-        messageHTML += `<div class="message-timestamp">Sources: ${sources.join(', ')}</div>`;
+        const sourceList = sources
+            .map(source => typeof source === 'string' ? source : `${source.title} (${source.id})`)
+            .map(escapeHtml)
+            .join(', ');
+        messageHTML += `<div class="message-sources"><span data-i18n="sources">${escapeHtml(t('sources'))}</span> <span dir="auto">${sourceList}</span></div>`;
     }
     
     messageHTML += `<div class="message-timestamp">${timestamp}</div>`;
     
+    // Stored replies can be rated
+    if (role === 'assistant' && messageId) {
+        messageElement.dataset.messageId = messageId;
+        messageHTML += feedbackHTML(state.feedback.get(messageId));
+    }
+    
     messageElement.innerHTML = messageHTML;
+    applyTranslations(messageElement);
+}
+
+// Thumbs up/down and the correction note form under an assistant reply
+function feedbackHTML(feedback) {
+    const rating = feedback ? feedback.rating : null;
+    const note = feedback && feedback.note ? feedback.note : '';
+    return `
+        <div class="message-feedback">
+            <button type="button" class="feedback-button${rating === 'up' ? ' active' : ''}" data-rating="up" data-i18n-title="feedbackHelpful">👍</button>
+            <button type="button" class="feedback-button${rating === 'down' ? ' active' : ''}" data-rating="down" data-i18n-title="feedbackNotHelpful">👎</button>
+            <button type="button" class="feedback-note-toggle" data-i18n="feedbackAddNote"></button>
+            <span class="feedback-status"></span>
+            <form class="feedback-note hidden">
+                <textarea class="feedback-note-input" rows="2" maxlength="2000" dir="auto" data-i18n-placeholder="feedbackNotePlaceholder">${escapeHtml(note)}</textarea>
+                <button type="submit" class="feedback-note-send" data-i18n="feedbackSend"></button>
+            </form>
+        </div>
+    `;
+}
+
+function toggleFeedbackNote(container, open) {
+    const form = container.querySelector('.feedback-note');
+    const show = open === undefined ? form.classList.contains('hidden') : open;
+    form.classList.toggle('hidden', !show);
+    if (show) form.querySelector('textarea').focus();
+}
+
+// Rate a reply; a thumbs down opens the correction note
+function handleFeedbackRating(button) {
+    const container = button.closest('.message-feedback');
+    const messageId = button.closest('.message').dataset.messageId;
+    const previous = state.feedback.get(messageId);
+    
+    submitFeedback(container, messageId, button.dataset.rating, previous ? previous.note : null);
+    if (button.dataset.rating === 'down') {
+        toggleFeedbackNote(container, true);
+    }
+}
+
+// Send the correction note with the current rating (thumbs down if none yet)
+function handleFeedbackNote(e) {
+    const form = e.target.closest('.feedback-note');
+    if (!form) return;
+    e.preventDefault();
+    
+    const container = form.closest('.message-feedback');
+    const messageId = form.closest('.message').dataset.messageId;
+    const previous = state.feedback.get(messageId);
+    const note = form.querySelector('textarea').value.trim();
+    
+    submitFeedback(container, messageId, previous ? previous.rating : 'down', note || null)
+        .then(saved => saved && toggleFeedbackNote(container, false));
+}
+
+async function submitFeedback(container, messageId, rating, note) {
+    const status = container.querySelector('.feedback-status');
     
+    try {
+        const response = await apiFetch('/api/feedback', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ messageId, sessionId: state.sessionId, rating, note })
+        });
+        if (!response.ok) {
+            throw await apiErrorFromResponse(response);
+        }
+        
+        state.feedback.set(messageId, { rating, note });
+        container.querySelectorAll('.feedback-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.rating === rating);
+        });
+        status.dataset.i18n = 'feedbackThanks';
+        status.textContent = t('feedbackThanks');
+        return true;
+    } catch (error) {
+        console.warn('Failed to save feedback:', error.message);
+        status.dataset.i18n = 'feedbackFailed';
+        status.textContent = t('feedbackFailed');
+        return false;
+    }
+}
+
+// The user's earlier feedback on a conversation's replies
+async function loadSessionFeedback(sessionId) {
+    state.feedback.clear();
+    try {
+        const response = await apiFetch(`/api/feedback?sessionId=${encodeURIComponent(sessionId)}&limit=500`);
+        if (!response.ok) return;
+        
+        const { feedback } = await response.json();
+        for (const entry of feedback) {
+            state.feedback.set(entry.messageId, { rating: entry.rating, note: entry.note });
+        }
+    } catch (error) {
+        console.warn('Failed to load feedback:', error.message);
+    }
+}
+
+// Append a message element to the conversation
+function appendMessageElement(messageElement) {
     // Remove welcome message if it exists
     const welcomeMessage = elements.messagesContainer.querySelector('.welcome-message');
     if (welcomeMessage) {
@@ -306,9 +958,6 @@ function addMessage(role, content, sources = []) {
     
     elements.messagesContainer.appendChild(messageElement);
     scrollToBottom();
-    
-    // Store in state
-    state.messages.push({ role, content, timestamp: new Date().toISOString(), sources });
 }
 
 // Show/hide typing indicator
@@ -341,29 +990,960 @@ function hideLoadingOverlay() {
 }
 
 // Clear chat
-function handleClearChat() {
+async function handleClearChat() {
     if (state.messages.length === 0) return;
     
-    if (confirm('Are you sure you want to clear the conversation?')) {
-        elements.messagesContainer.innerHTML = `
-            <div class="welcome-message">
-                <div class="welcome-icon">💬</div>
-                <h3>Welcome to RDA Carrier Reference Agent</h3>
-                <p>I can help you with carrier offers, pricing, and telecom database queries. Ask me anything about Pakistani telecom services!</p>
-                <div class="example-queries">
-                    <p><strong>Try asking:</strong></p>
-                    <ul>
-                        <li>"What are the current data plans for Karachi?"</li>
-                        <li>"Compare Jazz and Telenor pricing"</li>
-                        <li>"Show me enterprise solutions for Lahore"</li>
-                    </ul>
-                </div>
-            </div>
+    if (confirm(t('confirmClear'))) {
+        // Reset the conversation memory on the backend too
+        if (state.sessionId) {
+            await resetSession(state.sessionId);
+        }
+        
+        resetChatView();
+        loadConversations();
+        focusInput();
+    }
+}
+
+// Download the current conversation (md, json, csv or pdf) from the server
+async function handleExport(format, content) {
+    if (!state.sessionId) {
+        showError(t('nothingToExport'));
+        return;
+    }
+    
+    try {
+        const query = `format=${encodeURIComponent(format)}${content ? `&content=${encodeURIComponent(content)}` : ''}`;
+        const response = await apiFetch(`/api/sessions/${encodeURIComponent(state.sessionId)}/export?${query}`);
+        await downloadResponse(response, `conversation.${format}`);
+    } catch (error) {
+        showError(error instanceof APIError ? error.message : t('exportFailed'));
+    }
+}
+
+// Save a file download from the API, named as in its Content-Disposition
+async function downloadResponse(response, fallbackName) {
+    if (!response.ok) {
+        throw await apiErrorFromResponse(response);
+    }
+    
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const fileName = match ? match[1] : fallbackName;
+    
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Offer comparison panel (column headings are translation keys)
+const COMPARE_COLUMNS = [
+    { field: 'carrier', label: 'columnCarrier' },
+    { field: 'title', label: 'columnOffer' },
+    { field: 'pricePKR', label: 'columnPrice', numeric: true },
+    { field: 'validityDays', label: 'columnDays', numeric: true },
+    { field: 'dataGB', label: 'columnData', numeric: true },
+    { field: 'minutes', label: 'columnMinutes', numeric: true },
+    { field: 'pricePerGB', label: 'columnPricePerGB', numeric: true },
+    { field: 'pricePerMinute', label: 'columnPricePerMinute', numeric: true }
+];
+const MAX_OFFERS_TO_CHAT = 10;
+
+async function openComparePanel() {
+    elements.compareOverlay.classList.remove('hidden');
+    if (!state.compareFacetsLoaded) {
+        await loadCompareFacets();
+    }
+}
+
+function closeComparePanel() {
+    elements.compareOverlay.classList.add('hidden');
+    focusInput();
+}
+
+// Fill the carrier, city and category pickers from the offer data
+async function loadCompareFacets() {
+    try {
+        const response = await apiFetch('/api/offers/facets');
+        if (!response.ok) {
+            throw await apiErrorFromResponse(response);
+        }
+        
+        const { carriers, cities, categories } = await response.json();
+        elements.compareCarriers.innerHTML = carriers
+            .map(carrier => `
+                <label class="compare-carrier">
+                    <input type="checkbox" value="${escapeAttribute(carrier.name)}">
+                    <span>${escapeHtml(carrier.name)}</span>
+                </label>
+            `)
+            .join('');
+        elements.compareCity.innerHTML = `<option value="" data-i18n="anyCity">${escapeHtml(t('anyCity'))}</option>` +
+            cities.map(city => `<option value="${escapeAttribute(city)}">${escapeHtml(city)}</option>`).join('');
+        elements.compareCategory.innerHTML = `<option value="" data-i18n="anyCategory">${escapeHtml(t('anyCategory'))}</option>` +
+            categories.map(category => `<option value="${escapeAttribute(category)}">${escapeHtml(category.charAt(0).toUpperCase() + category.slice(1))}</option>`).join('');
+        state.compareFacetsLoaded = true;
+    } catch (error) {
+        elements.compareResults.innerHTML = `<p class="compare-empty">${escapeHtml(error instanceof APIError ? error.message : t('compareFiltersFailed'))}</p>`;
+    }
+}
+
+function selectedCompareCarriers() {
+    return Array.from(elements.compareCarriers.querySelectorAll('input:checked')).map(input => input.value);
+}
+
+// Fetch matching offers with unit prices from the backend
+async function handleCompare(e) {
+    e.preventDefault();
+    
+    const params = new URLSearchParams();
+    const carriers = selectedCompareCarriers();
+    if (carriers.length > 0) params.set('carrier', carriers.join(','));
+    if (elements.compareCity.value) params.set('city', elements.compareCity.value);
+    if (elements.compareCategory.value) params.set('category', elements.compareCategory.value);
+    
+    elements.compareResults.innerHTML = `<p class="compare-empty">${escapeHtml(t('compareLoading'))}</p>`;
+    try {
+        const response = await apiFetch(`/api/offers/compare?${params}`);
+        if (!response.ok) {
+            throw await apiErrorFromResponse(response);
+        }
+        
+        const comparison = await response.json();
+        comparison.offers.forEach(offer => {
+            offer.minutes = offer.onNetMinutes + offer.offNetMinutes;
+        });
+        state.comparison = {
+            ...comparison,
+            carriers,
+            city: elements.compareCity.value,
+            category: elements.compareCategory.value
+        };
+        renderComparison();
+    } catch (error) {
+        state.comparison = null;
+        elements.compareToChat.disabled = true;
+        elements.compareSummary.textContent = '';
+        elements.compareResults.innerHTML = `<p class="compare-empty">${escapeHtml(error instanceof APIError ? error.message : t('compareFailed'))}</p>`;
+    }
+}
+
+// Rows in the current sort order; offers without a value sort last
+function sortedComparisonRows() {
+    const { field, order } = state.compareSort;
+    const direction = order === 'desc' ? -1 : 1;
+    
+    return state.comparison.offers.slice().sort((a, b) => {
+        const left = a[field];
+        const right = b[field];
+        if (left === null || right === null) {
+            return (left === null) - (right === null) || a.pricePKR - b.pricePKR;
+        }
+        const cmp = typeof left === 'number' ? left - right : String(left).localeCompare(String(right));
+        return cmp * direction || a.pricePKR - b.pricePKR;
+    });
+}
+
+function formatCompareValue(value) {
+    if (value === null || value === undefined) return '–';
+    return typeof value === 'number' ? value.toLocaleString() : value;
+}
+
+function renderComparison() {
+    const comparison = state.comparison;
+    elements.compareToChat.disabled = comparison.offers.length === 0;
+    
+    if (comparison.offers.length === 0) {
+        elements.compareSummary.textContent = '';
+        elements.compareResults.innerHTML = `<p class="compare-empty">${escapeHtml(t('compareNoOffers'))}</p>`;
+        return;
+    }
+    
+    const { field, order } = state.compareSort;
+    const header = COMPARE_COLUMNS.map(column => {
+        const sorted = column.field === field ? ` sorted ${order}` : '';
+        const arrow = column.field === field ? (order === 'asc' ? ' ▲' : ' ▼') : '';
+        return `<th class="sortable${column.numeric ? ' numeric' : ''}${sorted}" data-sort="${column.field}">${escapeHtml(t(column.label))}${arrow}</th>`;
+    }).join('');
+    
+    const badges = offer => [
+        offer.id === comparison.cheapest ? `<span class="compare-badge cheapest">${escapeHtml(t('badgeCheapest'))}</span>` : '',
+        offer.id === comparison.bestValuePerGB ? `<span class="compare-badge">${escapeHtml(t('badgeBestPerGB'))}</span>` : '',
+        offer.id === comparison.bestValuePerMinute ? `<span class="compare-badge">${escapeHtml(t('badgeBestPerMinute'))}</span>` : ''
+    ].join('');
+    
+    const rows = sortedComparisonRows().map(offer => {
+        const cells = COMPARE_COLUMNS.map(column => {
+            const value = escapeHtml(String(formatCompareValue(offer[column.field])));
+            if (column.field === 'title') {
+                return `<td>${value}<div class="compare-offer-id">${escapeHtml(offer.id)}</div>${badges(offer)}</td>`;
+            }
+            return `<td${column.numeric ? ' class="numeric"' : ''}>${value}</td>`;
+        }).join('');
+        return `<tr${offer.id === comparison.cheapest ? ' class="cheapest"' : ''}>${cells}</tr>`;
+    }).join('');
+    
+    elements.compareResults.innerHTML = `
+        <div class="md-table">
+            <table class="compare-table">
+                <thead><tr>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+    
+    const shown = comparison.offers.length < comparison.total
+        ? t('compareShowing', { shown: comparison.offers.length, total: comparison.total })
+        : t(comparison.total === 1 ? 'offerCountOne' : 'offerCountOther', { count: comparison.total });
+    elements.compareSummary.textContent = shown;
+}
+
+// Click a column heading to sort by it; click again to reverse
+function handleCompareSort(e) {
+    const heading = e.target.closest('th[data-sort]');
+    if (!heading || !state.comparison) return;
+    
+    const field = heading.dataset.sort;
+    state.compareSort = {
+        field,
+        order: state.compareSort.field === field && state.compareSort.order === 'asc' ? 'desc' : 'asc'
+    };
+    renderComparison();
+}
+
+// Ask the agent to explain the differences between the compared offers
+function handleSendComparisonToChat() {
+    if (!state.comparison || state.comparison.offers.length === 0) return;
+    if (state.isLoading || isCoolingDown()) {
+        showError(t('compareWait'));
+        return;
+    }
+    
+    const { carriers, city, category } = state.comparison;
+    const offers = sortedComparisonRows().slice(0, MAX_OFFERS_TO_CHAT);
+    const scope = [
+        carriers.length > 0 ? carriers.join(t('listSeparator')) : t('allCarriers'),
+        category ? t('categoryOffers', { category }) : t('allCategories'),
+        city ? t('inCity', { city }) : ''
+    ].filter(Boolean).join(t('listSeparator'));
+    
+    const lines = offers.map(offer =>
+        `- ${offer.carrier} ${offer.title} [${offer.id}]: PKR ${offer.pricePKR} for ${offer.validityDays} days, ` +
+        `${offer.dataGB} GB, ${offer.minutes} minutes` +
+        (offer.pricePerGB !== null ? `, PKR ${offer.pricePerGB}/GB` : '') +
+        (offer.pricePerMinute !== null ? `, PKR ${offer.pricePerMinute}/min` : '')
+    );
+    
+    elements.messageInput.value = [
+        t('compareQuestion', { scope }),
+        ...lines
+    ].join('\n');
+    
+    closeComparePanel();
+    handleInputChange();
+    autoResizeTextarea();
+    handleSendMessage();
+}
+
+// Batch questions panel: questions are answered in the background by the
+// server; the panel polls the job while it is open
+const BATCH_STATUS_KEYS = {
+    queued: 'batchQueued',
+    running: 'batchRunning',
+    completed: 'batchCompleted',
+    cancelled: 'batchCancelled',
+    interrupted: 'batchInterrupted'
+};
+
+function isBatchActive(job) {
+    return job.status === 'queued' || job.status === 'running';
+}
+
+function openBatchPanel() {
+    elements.batchOverlay.classList.remove('hidden');
+    if (state.batchJobId) {
+        refreshBatchJob();
+    } else {
+        renderBatchJob();
+    }
+}
+
+function closeBatchPanel() {
+    elements.batchOverlay.classList.add('hidden');
+    clearTimeout(state.batchPollTimer);
+    state.batchPollTimer = null;
+    focusInput();
+}
+
+function rememberBatchJob(job) {
+    state.batchJob = job;
+    state.batchJobId = job ? job.id : null;
+    if (job) {
+        localStorage.setItem('rda_batch_job', job.id);
+    } else {
+        localStorage.removeItem('rda_batch_job');
+    }
+    renderBatchJob();
+}
+
+// Fetch the job's progress and poll again until it has finished
+async function refreshBatchJob() {
+    clearTimeout(state.batchPollTimer);
+    state.batchPollTimer = null;
+    if (!state.batchJobId) return;
+    
+    try {
+        const response = await apiFetch(`/api/jobs/${encodeURIComponent(state.batchJobId)}`);
+        if (response.status === 404) {
+            rememberBatchJob(null); // Expired or from another account
+            return;
+        }
+        if (!response.ok) {
+            throw await apiErrorFromResponse(response);
+        }
+        const data = await response.json();
+        rememberBatchJob(data.job);
+    } catch (error) {
+        elements.batchProgressText.textContent = error instanceof APIError ? error.message : t('batchStatusFailed');
+    }
+    
+    const stillOpen = !elements.batchOverlay.classList.contains('hidden');
+    if (stillOpen && state.batchJob && isBatchActive(state.batchJob)) {
+        state.batchPollTimer = setTimeout(refreshBatchJob, CONFIG.BATCH_POLL_INTERVAL);
+    }
+}
+
+function renderBatchJob() {
+    const job = state.batchJob;
+    elements.batchStatus.classList.toggle('hidden', !job);
+    elements.batchCancel.disabled = !job || !isBatchActive(job);
+    elements.batchDownload.disabled = !job || job.progress.done === 0;
+    if (!job) return;
+    
+    const { progress } = job;
+    elements.batchProgressBar.style.width = `${progress.percent}%`;
+    elements.batchProgressText.textContent = [
+        t(BATCH_STATUS_KEYS[job.status] || 'batchRunning'),
+        t('batchProgress', { done: progress.done, total: progress.total }),
+        progress.failed > 0 ? t('batchFailedCount', { count: progress.failed }) : ''
+    ].filter(Boolean).join(' · ');
+}
+
+// Questions from the textarea (one per line), or the chosen CSV file
+async function handleBatchSubmit(e) {
+    e.preventDefault();
+    
+    const file = elements.batchFile.files[0];
+    const questions = elements.batchQuestions.value.split('\n').map(line => line.trim()).filter(Boolean);
+    if (!file && questions.length === 0) {
+        elements.batchStatus.classList.remove('hidden');
+        elements.batchProgressText.textContent = t('batchEmpty');
+        return;
+    }
+    
+    let options;
+    if (file) {
+        const form = new FormData();
+        form.append('file', file);
+        if (state.profile) form.append('profile', state.profile);
+        options = { method: 'POST', body: form };
+    } else {
+        options = {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ questions, profile: state.profile || undefined })
+        };
+    }
+    
+    try {
+        const response = await apiFetch('/api/chat/batch', options);
+        const data = await response.json().catch(() => ({}));
+        
+        // A batch already running is shown instead
+        if (response.status === 409 && data.jobId) {
+            state.batchJobId = data.jobId;
+            await refreshBatchJob();
+            elements.batchProgressText.textContent = `${data.error} ${elements.batchProgressText.textContent}`;
+            return;
+        }
+        if (!response.ok) {
+            throw new APIError(response.status, data.error || `HTTP ${response.status}`, data.code);
+        }
+        
+        elements.batchQuestions.value = '';
+        elements.batchFile.value = '';
+        rememberBatchJob(data.job);
+        refreshBatchJob();
+    } catch (error) {
+        elements.batchStatus.classList.remove('hidden');
+        elements.batchProgressText.textContent = error instanceof APIError ? error.message : t('batchStartFailed');
+    }
+}
+
+async function handleBatchCancel() {
+    if (!state.batchJob) return;
+    
+    try {
+        const response = await apiFetch(`/api/jobs/${encodeURIComponent(state.batchJob.id)}/cancel`, { method: 'POST' });
+        if (!response.ok && response.status !== 409) {
+            throw await apiErrorFromResponse(response);
+        }
+    } catch (error) {
+        showError(error instanceof APIError ? error.message : t('batchStatusFailed'));
+    }
+    refreshBatchJob();
+}
+
+async function handleBatchDownload() {
+    if (!state.batchJob) return;
+    
+    try {
+        const response = await apiFetch(`/api/jobs/${encodeURIComponent(state.batchJob.id)}/results?format=csv`);
+        await downloadResponse(response, `${state.batchJob.id}-results.csv`);
+    } catch (error) {
+        showError(error instanceof APIError ? error.message : t('exportFailed'));
+    }
+}
+
+// Plan recommendation panel: the server ranks the offers for the customer's
+// monthly usage and the model explains the ranking
+const USAGE_PRESETS = {
+    light: { dataGB: 5, onNetMinutes: 300, offNetMinutes: 50, sms: 100 },
+    data: { dataGB: 40, onNetMinutes: 100, offNetMinutes: 0, sms: 0 },
+    talker: { dataGB: 3, onNetMinutes: 2000, offNetMinutes: 500, sms: 300 }
+};
+const USAGE_LABELS = {
+    dataGB: 'usageData',
+    onNetMinutes: 'usageOnNet',
+    offNetMinutes: 'usageOffNet',
+    sms: 'usageSms'
+};
+
+async function openRecommendPanel() {
+    elements.recommendOverlay.classList.remove('hidden');
+    if (!state.recommendCitiesLoaded) {
+        await loadRecommendCities();
+    }
+}
+
+function closeRecommendPanel() {
+    elements.recommendOverlay.classList.add('hidden');
+    focusInput();
+}
+
+// Fill the city picker from the offer data
+async function loadRecommendCities() {
+    try {
+        const response = await apiFetch('/api/offers/facets');
+        if (!response.ok) {
+            throw await apiErrorFromResponse(response);
+        }
+        
+        const { cities } = await response.json();
+        elements.recommendCity.innerHTML = `<option value="" data-i18n="anyCity">${escapeHtml(t('anyCity'))}</option>` +
+            cities.map(city => `<option value="${escapeAttribute(city)}">${escapeHtml(city)}</option>`).join('');
+        state.recommendCitiesLoaded = true;
+    } catch (error) {
+        elements.recommendResults.innerHTML = `<p class="compare-empty">${escapeHtml(error instanceof APIError ? error.message : t('compareFiltersFailed'))}</p>`;
+    }
+}
+
+function applyUsagePreset(name) {
+    const preset = USAGE_PRESETS[name];
+    if (!preset) return;
+    
+    elements.recommendData.value = preset.dataGB;
+    elements.recommendOnNet.value = preset.onNetMinutes;
+    elements.recommendOffNet.value = preset.offNetMinutes;
+    elements.recommendSms.value = preset.sms;
+}
+
+// Rank the offers for the usage in the form
+async function handleRecommend(e) {
+    e.preventDefault();
+    
+    const usage = {
+        city: elements.recommendCity.value || undefined,
+        planType: elements.recommendPlanType.value || undefined,
+        dataGB: elements.recommendData.value,
+        onNetMinutes: elements.recommendOnNet.value,
+        offNetMinutes: elements.recommendOffNet.value,
+        sms: elements.recommendSms.value,
+        budgetPKR: elements.recommendBudget.value || undefined
+    };
+    
+    elements.recommendToChat.disabled = true;
+    elements.recommendSummary.textContent = '';
+    elements.recommendResults.innerHTML = `<p class="compare-empty">${escapeHtml(t('recommendLoading'))}</p>`;
+    try {
+        const response = await apiFetch('/api/recommend', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...usage, language: state.locale, profile: state.profile || undefined })
+        });
+        if (!response.ok) {
+            throw await apiErrorFromResponse(response);
+        }
+        
+        state.recommendation = await response.json();
+        renderRecommendations();
+    } catch (error) {
+        state.recommendation = null;
+        elements.recommendResults.innerHTML = `<p class="compare-empty">${escapeHtml(error instanceof APIError ? error.message : t('recommendFailed'))}</p>`;
+    }
+}
+
+// Usage an offer does not cover, and whether it is over budget
+function recommendationNotes(plan) {
+    const notes = plan.shortfall.map(({ field, needed, included }) =>
+        t('recommendShortfall', { usage: t(USAGE_LABELS[field]), included: included.toLocaleString(), needed: needed.toLocaleString() })
+    );
+    if (!plan.withinBudget) notes.push(t('recommendOverBudget'));
+    return notes;
+}
+
+function renderRecommendations() {
+    const { recommendations, considered, covering, explanation, explanationError } = state.recommendation;
+    elements.recommendToChat.disabled = recommendations.length === 0;
+    
+    if (recommendations.length === 0) {
+        elements.recommendSummary.textContent = '';
+        elements.recommendResults.innerHTML = `<p class="compare-empty">${escapeHtml(t('compareNoOffers'))}</p>`;
+        return;
+    }
+    
+    const rows = recommendations.map(plan => {
+        const notes = recommendationNotes(plan);
+        const fits = plan.coversUsage && plan.withinBudget;
+        return `
+            <tr${plan.rank === 1 && fits ? ' class="cheapest"' : ''}>
+                <td class="numeric">${plan.rank}</td>
+                <td>${escapeHtml(`${plan.offer.carrier} ${plan.offer.title}`)}<div class="compare-offer-id">${escapeHtml(plan.offer.id)}</div>${fits ? `<span class="compare-badge cheapest">${escapeHtml(t('badgeFits'))}</span>` : ''}</td>
+                <td class="numeric">${plan.monthlyCostPKR.toLocaleString()}</td>
+                <td class="numeric">${plan.purchasesPerMonth}</td>
+                <td class="numeric">${plan.fitPercent}%</td>
+                <td>${notes.map(note => `<div class="recommend-note">${escapeHtml(note)}</div>`).join('')}</td>
+            </tr>
         `;
+    }).join('');
+    
+    const explained = explanation
+        ? `<div class="recommend-explanation markdown-body" dir="auto">${renderMarkdown(explanation)}</div>`
+        : explanationError
+            ? `<p class="compare-empty">${escapeHtml(t('recommendExplanationFailed', { error: explanationError.error }))}</p>`
+            : '';
+    
+    elements.recommendResults.innerHTML = `
+        <div class="md-table">
+            <table class="compare-table">
+                <thead>
+                    <tr>
+                        <th class="numeric">#</th>
+                        <th>${escapeHtml(t('columnOffer'))}</th>
+                        <th class="numeric">${escapeHtml(t('columnMonthlyCost'))}</th>
+                        <th class="numeric">${escapeHtml(t('columnPurchases'))}</th>
+                        <th class="numeric">${escapeHtml(t('columnFit'))}</th>
+                        <th>${escapeHtml(t('columnNotes'))}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        ${explained}
+    `;
+    elements.recommendSummary.textContent = t('recommendSummary', { covering, considered });
+}
+
+// The customer's usage in one line, for the chat hand-off
+function describeRecommendedUsage(customer) {
+    const amounts = Object.keys(USAGE_LABELS)
+        .filter(field => customer[field] > 0)
+        .map(field => `${t(USAGE_LABELS[field])}: ${customer[field]}`);
+    return [
+        amounts.join(t('listSeparator')),
+        customer.city ? t('inCity', { city: customer.city }) : '',
+        customer.planType ? t(customer.planType) : '',
+        customer.budgetPKR !== null ? t('recommendBudget', { budget: customer.budgetPKR }) : ''
+    ].filter(Boolean).join(t('listSeparator'));
+}
+
+// Continue the conversation about the recommended offers
+function handleSendRecommendationToChat() {
+    if (!state.recommendation || state.recommendation.recommendations.length === 0) return;
+    if (state.isLoading || isCoolingDown()) {
+        showError(t('compareWait'));
+        return;
+    }
+    
+    const { customer, recommendations } = state.recommendation;
+    const lines = recommendations.map(plan =>
+        `${plan.rank}. ${plan.offer.carrier} ${plan.offer.title} [${plan.offer.id}]: PKR ${plan.monthlyCostPKR} a month ` +
+        `(${plan.purchasesPerMonth} × PKR ${plan.offer.pricePKR}), ${plan.fitPercent}% of the usage covered` +
+        (plan.withinBudget ? '' : ', over budget')
+    );
+    
+    elements.messageInput.value = [
+        t('recommendQuestion', { usage: describeRecommendedUsage(customer) }),
+        ...lines
+    ].join('\n');
+    
+    closeRecommendPanel();
+    handleInputChange();
+    autoResizeTextarea();
+    handleSendMessage();
+}
+
+// Show the welcome screen and forget the current conversation
+function resetChatView() {
+    elements.messagesContainer.innerHTML = `
+        <div class="welcome-message">
+            <div class="welcome-icon">💬</div>
+            <h3 data-i18n="welcomeTitle"></h3>
+            <p data-i18n="welcomeText"></p>
+            <div class="example-queries">
+                <p><strong data-i18n="tryAsking"></strong></p>
+                <ul>
+                    <li data-i18n="exampleDataPlans"></li>
+                    <li data-i18n="exampleCompare"></li>
+                    <li data-i18n="exampleEnterprise"></li>
+                </ul>
+                <p class="compare-hint"><span data-i18n="compareHint"></span> <button type="button" class="open-compare-link" data-i18n="compareHintLink"></button></p>
+            </div>
+        </div>
+    `;
+    applyTranslations(elements.messagesContainer);
+    
+    state.messages = [];
+    setSessionId(null);
+    highlightActiveConversation();
+    hideError();
+}
+
+// Remember the current conversation so a reload can resume it
+function setSessionId(sessionId) {
+    state.sessionId = sessionId || null;
+    if (state.sessionId) {
+        localStorage.setItem('rda_session', state.sessionId);
+    } else {
+        localStorage.removeItem('rda_session');
+    }
+    highlightActiveConversation();
+}
+
+// Start a new conversation; the current one stays in the sidebar
+function handleNewChat() {
+    if (state.isLoading) return;
+    
+    resetChatView();
+    elements.sidebar.classList.remove('open');
+    focusInput();
+}
+
+// Load the user's saved conversations into the sidebar
+async function loadConversations() {
+    if (!state.token) return;
+    
+    try {
+        const query = elements.conversationSearch.value.trim();
+        const response = await apiFetch(`/api/sessions${query ? `?q=${encodeURIComponent(query)}` : ''}`);
+        if (!response.ok) return;
+        
+        const { sessions } = await response.json();
+        state.conversations = sessions;
+        renderConversationList();
+    } catch (error) {
+        console.warn('Failed to load conversations:', error.message);
+    }
+}
+
+function renderConversationList() {
+    if (state.conversations.length === 0) {
+        const emptyText = elements.conversationSearch.value.trim()
+            ? t('noMatchingConversations')
+            : t('noConversations');
+        elements.conversationList.innerHTML = `<li class="conversation-empty">${escapeHtml(emptyText)}</li>`;
+        return;
+    }
+    
+    elements.conversationList.innerHTML = state.conversations.map(conversation => `
+        <li class="conversation-item" data-session-id="${escapeAttribute(conversation.sessionId)}">
+            <div class="conversation-info">
+                <div class="conversation-title" dir="auto" title="${escapeAttribute(conversation.title)}">${escapeHtml(conversation.title)}</div>
+                <div class="conversation-date">${escapeHtml(formatConversationDate(conversation.updatedAt))}</div>
+            </div>
+            <button class="conversation-action" data-action="rename" title="${escapeAttribute(t('rename'))}">✎</button>
+            <button class="conversation-action" data-action="delete" title="${escapeAttribute(t('delete'))}">×</button>
+        </li>
+    `).join('');
+    
+    highlightActiveConversation();
+}
+
+function highlightActiveConversation() {
+    if (!elements.conversationList) return;
+    
+    elements.conversationList.querySelectorAll('.conversation-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.sessionId === state.sessionId);
+    });
+}
+
+// Today: time only; otherwise the date
+function formatConversationDate(timestamp) {
+    const date = new Date(timestamp);
+    if (date.toDateString() === new Date().toDateString()) {
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Open, rename or delete a conversation from the sidebar
+function handleConversationClick(e) {
+    const item = e.target.closest('.conversation-item');
+    if (!item) return;
+    
+    const sessionId = item.dataset.sessionId;
+    const action = e.target.closest('.conversation-action');
+    
+    if (action && action.dataset.action === 'rename') {
+        renameConversation(sessionId);
+    } else if (action && action.dataset.action === 'delete') {
+        deleteConversation(sessionId);
+    } else {
+        openConversation(sessionId);
+        elements.sidebar.classList.remove('open');
+    }
+}
+
+// Search titles and messages, waiting for the user to stop typing
+function handleConversationSearch() {
+    clearTimeout(state.searchTimer);
+    state.searchTimer = setTimeout(loadConversations, 300);
+}
+
+// Show a saved conversation and continue it
+async function openConversation(sessionId) {
+    if (state.isLoading) return;
+    
+    try {
+        const response = await apiFetch(`/api/sessions/${encodeURIComponent(sessionId)}`);
+        if (response.status === 404) {
+            // Deleted elsewhere or no longer available
+            if (state.sessionId === sessionId) setSessionId(null);
+            loadConversations();
+            return;
+        }
+        if (!response.ok) return;
         
-        state.messages = [];
-        hideError();
+        const session = await response.json();
+        await loadSessionFeedback(session.sessionId);
+        resetChatView();
+        
+        for (const message of session.messages) {
+            addMessage(message.role, message.content, message.sources || [], message.timestamp, message.id);
+        }
+        setSessionId(session.sessionId);
+        
+        if (session.profile && elements.profileSelect.querySelector(`option[value="${CSS.escape(session.profile)}"]`)) {
+            state.profile = session.profile;
+            elements.profileSelect.value = session.profile;
+        }
         focusInput();
+    } catch (error) {
+        console.warn('Failed to open conversation:', error.message);
+    }
+}
+
+async function renameConversation(sessionId) {
+    const conversation = state.conversations.find(c => c.sessionId === sessionId);
+    const title = prompt(t('renamePrompt'), conversation ? conversation.title : '');
+    if (!title || !title.trim()) return;
+    
+    try {
+        await apiFetch(`/api/sessions/${encodeURIComponent(sessionId)}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ title: title.trim() })
+        });
+        loadConversations();
+    } catch (error) {
+        console.warn('Failed to rename conversation:', error.message);
+    }
+}
+
+async function deleteConversation(sessionId) {
+    if (!confirm(t('confirmDelete'))) return;
+    
+    await resetSession(sessionId);
+    if (state.sessionId === sessionId) {
+        resetChatView();
+    }
+    loadConversations();
+}
+
+// Check a saved token on startup, or ask the user to sign in
+async function restoreLogin() {
+    if (!state.token) {
+        showLogin();
+        return;
+    }
+    
+    try {
+        const response = await apiFetch('/api/auth/me');
+        if (!response.ok) return; // apiFetch already asked for a new login
+        
+        const { user } = await response.json();
+        onLoggedIn(user);
+    } catch (error) {
+        console.warn('Failed to restore login:', error.message);
+    }
+}
+
+// Sign in with username and password
+async function handleLogin(e) {
+    e.preventDefault();
+    elements.loginError.classList.add('hidden');
+    
+    try {
+        const response = await fetch(`${CONFIG.API_BASE_URL}/api/auth/login`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                username: elements.loginUsername.value.trim(),
+                password: elements.loginPassword.value
+            })
+        });
+        
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            showLoginError(data.error || t('signInFailed'));
+            return;
+        }
+        
+        state.token = data.token;
+        localStorage.setItem('rda_token', data.token);
+        elements.loginPassword.value = '';
+        onLoggedIn(data.user);
+    } catch (error) {
+        showLoginError(t('errorNetwork'));
+    }
+}
+
+// Sign out and revoke the token
+async function handleLogout() {
+    try {
+        await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.warn('Logout request failed:', error.message);
+    }
+    
+    clearLogin();
+    resetChatView();
+    state.conversations = [];
+    renderConversationList();
+    showLogin();
+}
+
+function onLoggedIn(user) {
+    state.user = user;
+    elements.logoutButton.title = t('signOutUser', { username: user.username });
+    hideLogin();
+    loadProfiles().then(() => {
+        // Resume the conversation that was open before the reload
+        if (state.sessionId) openConversation(state.sessionId);
+    });
+    loadConversations();
+    focusInput();
+}
+
+function clearLogin() {
+    state.token = null;
+    state.user = null;
+    localStorage.removeItem('rda_token');
+}
+
+function showLogin(message) {
+    elements.loginOverlay.classList.remove('hidden');
+    if (message) {
+        showLoginError(message);
+    }
+    setTimeout(() => elements.loginUsername.focus(), 100);
+}
+
+function hideLogin() {
+    elements.loginOverlay.classList.add('hidden');
+    elements.loginError.classList.add('hidden');
+}
+
+function showLoginError(message) {
+    elements.loginError.textContent = message;
+    elements.loginError.classList.remove('hidden');
+}
+
+// Load the available prompt profiles into the picker
+async function loadProfiles() {
+    try {
+        const response = await apiFetch('/api/profiles');
+        if (!response.ok) return;
+        
+        const { profiles } = await response.json();
+        elements.profileSelect.innerHTML = profiles
+            .map(profile => `<option value="${escapeAttribute(profile.id)}" title="${escapeAttribute(profile.description)}">${escapeHtml(profile.name)}</option>`)
+            .join('');
+        
+        // Fall back to the server default if the saved profile is gone
+        const saved = profiles.find(profile => profile.id === state.profile);
+        const fallback = profiles.find(profile => profile.default) || profiles[0];
+        state.profile = saved ? saved.id : (fallback ? fallback.id : '');
+        elements.profileSelect.value = state.profile;
+    } catch (error) {
+        console.warn('Failed to load profiles:', error.message);
+    }
+}
+
+// Switch prompt profile
+function handleProfileChange() {
+    state.profile = elements.profileSelect.value;
+    localStorage.setItem('rda_profile', state.profile);
+}
+
+// Show the interface in a locale and re-render the text built in script
+function applyLocale(locale) {
+    state.locale = setLocale(locale);
+    elements.localeSelect.value = state.locale;
+    document.querySelectorAll('.locale-button').forEach(button => {
+        button.classList.toggle('active', button.dataset.locale === state.locale);
+    });
+    
+    applyTranslations(document);
+    elements.logoutButton.title = state.user ? t('signOutUser', { username: state.user.username }) : t('signOut');
+    if (state.token) renderConversationList();
+    if (state.comparison) renderComparison();
+    if (state.recommendation) renderRecommendations();
+}
+
+// Switch interface language and remember the choice
+function handleLocaleChange(locale) {
+    applyLocale(locale);
+    localStorage.setItem('rda_locale', state.locale);
+}
+
+// Delete the server-side session history
+async function resetSession(sessionId) {
+    try {
+        await apiFetch(`/api/sessions/${encodeURIComponent(sessionId)}`, {
+            method: 'DELETE'
+        });
+    } catch (error) {
+        console.warn('Failed to reset backend session:', error.message);
     }
 }
 
@@ -383,13 +1963,9 @@ function focusInput() {
 
 // Update connection status
 function updateConnectionStatus(isOnline) {
-    if (isOnline) {
-        elements.connectionStatus.className = 'status-dot online';
-        elements.statusText.textContent = 'Connected';
-    } else {
-        elements.connectionStatus.className = 'status-dot offline';
-        elements.statusText.textContent = 'Disconnected';
-    }
+    elements.connectionStatus.className = `status-dot ${isOnline ? 'online' : 'offline'}`;
+    elements.statusText.dataset.i18n = isOnline ? 'statusConnected' : 'statusDisconnected';
+    elements.statusText.textContent = t(elements.statusText.dataset.i18n);
 }
 
 // Check backend health
@@ -418,13 +1994,34 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
-// Utility function to format text with basic markdown-like formatting
-function formatMessage(text) {
-    return text
-        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-        .replace(/\*(.*?)\*/g, '<em>$1</em>')
-        .replace(/`(.*?)`/g, '<code>$1</code>')
-        .replace(/\n/g, '<br>');
+// Escape text for a quoted attribute value (escapeHtml leaves quotes as they are)
+function escapeAttribute(text) {
+    return escapeMarkdownHtml(text);
+}
+
+// Copy a rendered table as tab-separated values (pastes into spreadsheets)
+async function handleCopyTable(button) {
+    const table = button.closest('.md-table').querySelector('table');
+    const tsv = tableToTSV(table);
+    
+    try {
+        await navigator.clipboard.writeText(tsv);
+    } catch (error) {
+        // Clipboard API unavailable (e.g. plain http): fall back to a hidden textarea
+        const textarea = document.createElement('textarea');
+        textarea.value = tsv;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        textarea.remove();
+    }
+    
+    button.textContent = t('copied');
+    setTimeout(() => {
+        button.textContent = t('copyTable');
+    }, 1500);
 }
 
 // Periodic health check
@@ -444,7 +2041,7 @@ window.addEventListener('online', function() {
 
 window.addEventListener('offline', function() {
     updateConnectionStatus(false);
-    showError('You are offline. Please check your internet connection.');
+    showError(t('offline'));
 });
 
 // Export for debugging (optional)
@@ -454,8 +2051,11 @@ if (typeof window !== 'undefined') {
         elements,
         CONFIG,
         sendToAPI,
+        streamFromAPI,
+        stopStreaming: handleStopStreaming,
         addMessage,
         clearChat: handleClearChat,
+        logout: handleLogout,
         checkHealth: checkBackendHealth
     };
 }
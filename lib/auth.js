@@ -0,0 +1,53 @@
+// Bearer-token authentication middleware.
+// Accepts login tokens and API keys in the Authorization header and
+// attaches the authenticated user to req.user.
+
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * @param {UserStore} userStore
+ * @param {object} options - { publicPaths: paths (relative to the mount point) that skip auth }
+ */
+function createAuthMiddleware(userStore, options = {}) {
+  const publicPaths = new Set(options.publicPaths || []);
+
+  return (req, res, next) => {
+    if (req.method === 'OPTIONS' || publicPaths.has(req.path)) {
+      return next();
+    }
+
+    const credential = bearerToken(req);
+    const auth = userStore.authenticate(credential);
+
+    if (!auth) {
+      return res.status(401).json({
+        error: credential ? 'Invalid or expired credentials. Please log in again.' : 'Authentication required.',
+        code: 'unauthorized'
+      });
+    }
+
+    req.user = auth.user;
+    req.auth = auth;
+    req.token = credential;
+    next();
+  };
+}
+
+// Restrict a route to users with the given role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || req.user.role !== role) {
+      return res.status(403).json({
+        error: 'You do not have permission to perform this action.',
+        code: 'forbidden'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { createAuthMiddleware, requireRole, bearerToken };
@@ -0,0 +1,131 @@
+// Runs batch jobs (lib/jobStore.js) in the background. The questions of all
+// jobs share a fixed number of slots, so one big upload cannot flood the
+// model provider: jobs are served in the order they were queued and at most
+// `concurrency` questions are being answered at any time. A failed question
+// is recorded with its error code and the batch moves on.
+
+const { mapChatError } = require('./errors');
+const { jobSummary } = require('./jobStore');
+const { logger: defaultLogger } = require('./logger');
+
+const DEFAULT_CONCURRENCY = 3;
+
+class BatchRunner {
+  /**
+   * @param {object} options - { jobStore, answer, concurrency, logger }
+   *   answer(job, item, signal) answers one question through the chat pipeline and
+   *   resolves to { reply, sources, usage, cached }
+   */
+  constructor(options = {}) {
+    this.jobStore = options.jobStore;
+    this.answer = options.answer;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.logger = options.logger || defaultLogger;
+    this.queue = []; // Jobs with questions left, oldest first
+    this.controllers = new Map(); // job ID -> AbortControllers of its questions in flight
+    this.waiters = new Map(); // job ID -> callbacks for settled()
+    this.active = 0;
+  }
+
+  enqueue(job) {
+    this.queue.push(job);
+    this.pump();
+  }
+
+  // Resolves with the job once it has finished (completed, cancelled or interrupted)
+  settled(job) {
+    if (!this.queue.includes(job)) return Promise.resolve(job);
+    return new Promise(resolve => {
+      if (!this.waiters.has(job.id)) this.waiters.set(job.id, []);
+      this.waiters.get(job.id).push(resolve);
+    });
+  }
+
+  // Skip the job's remaining questions and abort those in flight.
+  // Returns false if the job had already finished.
+  cancel(job) {
+    if (!this.queue.includes(job)) return false;
+    this.end(job, 'cancelled');
+    return true;
+  }
+
+  // Abort everything (server shutdown); unfinished jobs are interrupted
+  stop() {
+    for (const job of this.queue.slice()) {
+      this.end(job, 'interrupted');
+    }
+  }
+
+  pump() {
+    while (this.active < this.concurrency) {
+      const next = this.nextItem();
+      if (!next) return;
+      this.run(next.job, next.item);
+    }
+  }
+
+  nextItem() {
+    for (const job of this.queue) {
+      const item = job.items.find(entry => entry.status === 'pending');
+      if (item) return { job, item };
+    }
+    return null;
+  }
+
+  async run(job, item) {
+    this.active++;
+    if (job.status === 'queued') this.jobStore.start(job);
+    item.status = 'running';
+
+    const controller = new AbortController();
+    if (!this.controllers.has(job.id)) this.controllers.set(job.id, new Set());
+    const controllers = this.controllers.get(job.id);
+    controllers.add(controller);
+
+    try {
+      const { reply, sources, usage, cached } = await this.answer(job, item, controller.signal);
+      // A cancelled job keeps its questions skipped
+      if (job.status === 'running') {
+        Object.assign(item, { status: 'answered', reply, sources, tokens: usage.total_tokens, cached });
+      }
+    } catch (error) {
+      if (job.status === 'running') {
+        const { body } = mapChatError(error);
+        Object.assign(item, {
+          status: 'failed',
+          error: body.error,
+          code: body.code,
+          tokens: (error.usage && error.usage.total_tokens) || 0
+        });
+        this.logger.warn('Batch question failed', { jobId: job.id, row: item.row, code: body.code });
+      }
+    } finally {
+      controllers.delete(controller);
+      this.active--;
+    }
+
+    if (job.status === 'running' && !job.items.some(entry => entry.status === 'pending' || entry.status === 'running')) {
+      this.end(job, 'completed');
+    } else {
+      this.jobStore.scheduleSave();
+    }
+    this.pump();
+  }
+
+  end(job, status) {
+    this.queue = this.queue.filter(queued => queued !== job);
+    for (const controller of this.controllers.get(job.id) || []) {
+      controller.abort();
+    }
+    this.controllers.delete(job.id);
+    this.jobStore.finish(job, status);
+
+    const { progress } = jobSummary(job);
+    this.logger.info('Batch job finished', { jobId: job.id, status, ...progress });
+
+    for (const resolve of this.waiters.get(job.id) || []) resolve(job);
+    this.waiters.delete(job.id);
+  }
+}
+
+module.exports = { BatchRunner, DEFAULT_CONCURRENCY };
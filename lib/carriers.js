@@ -0,0 +1,39 @@
+// Carrier names and the other names people use for them: former brands
+// (Mobilink and Warid are Jazz today, djuice was Telenor's youth brand),
+// company names and Urdu spellings. Searches and questions use these to
+// find the carrier as it is named in offer data.
+
+const { mentionsTerm } = require('./language');
+
+const CARRIER_ALIASES = {
+  Jazz: ['jazz', 'mobilink', 'jazz warid', 'warid', 'جاز', 'موبی لنک', 'موبلنک', 'وارد'],
+  Telenor: ['telenor', 'djuice', 'ٹیلی نار', 'ٹیلینار'],
+  Zong: ['zong', 'cmpak', 'china mobile', 'زونگ'],
+  Ufone: ['ufone', 'u fone', 'یوفون', 'یو فون']
+};
+
+const NAME_TO_CARRIER = new Map();
+for (const [carrier, aliases] of Object.entries(CARRIER_ALIASES)) {
+  aliases.forEach(alias => NAME_TO_CARRIER.set(alias, carrier));
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Canonical carrier name, or null if the name is not a known carrier
+function canonicalCarrier(name) {
+  return NAME_TO_CARRIER.get(normalizeName(name)) || null;
+}
+
+// Canonical names of the carriers mentioned in a piece of text
+function findCarriers(text) {
+  const value = normalizeName(text);
+  const found = new Set();
+  for (const [name, carrier] of NAME_TO_CARRIER) {
+    if (!found.has(carrier) && mentionsTerm(value, name)) found.add(carrier);
+  }
+  return Array.from(found);
+}
+
+module.exports = { CARRIER_ALIASES, canonicalCarrier, findCarriers };
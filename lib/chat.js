@@ -0,0 +1,309 @@
+// Chat pipeline: screens the message (lib/guardrails.js), builds the prompt
+// (profile system prompt, session history and retrieved offer context), runs
+// the model with a bounded tool-calling loop, screens the reply and records
+// the completed turn in the session store.
+
+const { retrieveOffers, buildContextMessage, collectSources } = require('./retrieval');
+const { TOOL_DEFINITIONS, executeTool } = require('./tools');
+const { LANGUAGES, resolveLanguage, languageInstruction } = require('./language');
+const { logger: defaultLogger } = require('./logger');
+const { cacheKey } = require('./responseCache');
+
+const DEFAULT_MAX_TOOL_ITERATIONS = 4;
+const MAX_MESSAGE_LENGTH = 4000;
+
+function parseArguments(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (error) {
+    return null;
+  }
+}
+
+// Call the model once. With onDelta the completion is streamed: content
+// deltas are forwarded as they arrive and tool call fragments are stitched
+// back together, so both modes resolve to the same { message, usage } shape.
+async function createCompletion(client, params, { onDelta, signal } = {}) {
+  const requestOptions = signal ? { signal } : undefined;
+
+  if (!onDelta) {
+    const completion = await client.chat.completions.create(params, requestOptions);
+    return { message: completion.choices[0].message, usage: completion.usage };
+  }
+
+  const stream = await client.chat.completions.create({
+    ...params,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, requestOptions);
+
+  const message = { role: 'assistant', content: '' };
+  const toolCalls = [];
+  let usage = null;
+
+  for await (const chunk of stream) {
+    if (chunk.usage) usage = chunk.usage;
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+    if (!delta) continue;
+
+    if (delta.content) {
+      message.content += delta.content;
+      onDelta(delta.content);
+    }
+
+    for (const fragment of delta.tool_calls || []) {
+      const call = toolCalls[fragment.index] ||
+        (toolCalls[fragment.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+      if (fragment.id) call.id = fragment.id;
+      if (fragment.function && fragment.function.name) call.function.name += fragment.function.name;
+      if (fragment.function && fragment.function.arguments) call.function.arguments += fragment.function.arguments;
+    }
+  }
+
+  // An aborted stream can end quietly; surface it so the turn isn't recorded
+  if (signal && signal.aborted) {
+    const error = new Error('Request was aborted');
+    error.name = 'AbortError';
+    throw error;
+  }
+
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls.filter(Boolean);
+  }
+  return { message, usage };
+}
+
+// Run a single tool call from the model and return the tool message
+function runToolCall(toolCall, deps, log) {
+  const started = Date.now();
+  const { name } = toolCall.function;
+  const args = parseArguments(toolCall.function.arguments);
+
+  const { result, offerIds } = args === null
+    ? { result: { error: 'Tool arguments must be valid JSON' }, offerIds: [] }
+    : executeTool(deps.offerStore, name, args, { offerHistory: deps.offerHistory });
+
+  const durationMs = Date.now() - started;
+  log.info('Tool call', { tool: name, arguments: args, offers: offerIds.length, durationMs });
+
+  return {
+    message: { role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify(result) },
+    record: { name, arguments: args, offerIds, durationMs },
+    result
+  };
+}
+
+// Upstream model latency for /metrics
+function observeCompletion(deps, model, started, outcome) {
+  if (!deps.metrics) return;
+  const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+  deps.metrics.llmDuration.observe({ provider: deps.provider.name, model, outcome }, seconds);
+}
+
+// Validate a chat request body. Returns an error message or null.
+function validateChatRequest(body) {
+  const { message, language } = body || {};
+
+  if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    return 'Message is required and must be a non-empty string';
+  }
+
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return `Message too long. Please limit to ${MAX_MESSAGE_LENGTH} characters.`;
+  }
+
+  if (language !== undefined && language !== 'auto' && !LANGUAGES[language]) {
+    return `language must be one of: auto, ${Object.keys(LANGUAGES).join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Answer a chat message.
+ * @param {object} deps - { provider, offerStore, offerHistory, sessionStore, profile, maxToolIterations,
+ *   logger, metrics, cache, guardrails, auditContext } (logger, metrics, the response cache and
+ *   the guardrails are optional; auditContext holds the requestId, user and endpoint for the
+ *   screening log)
+ * @param {object} input - { message, sessionId, language } (language defaults to detection)
+ * @param {object} [options] - { onDelta, onToolCall, signal } for streaming and cancellation
+ * @returns {Promise<{ reply, sources, toolCalls, usage, language, messageId, cached, masked }>}
+ *   masked: { input, output } personal data types masked in the message and the reply
+ * @throws {GuardrailError} (code "content_blocked") when the message or reply is refused
+ */
+async function runChat(deps, { message, sessionId, language }, options = {}) {
+  const { provider, offerStore, sessionStore, profile } = deps;
+  // Providers without function calling get a single plain completion
+  const maxToolIterations = provider.supportsTools
+    ? deps.maxToolIterations || DEFAULT_MAX_TOOL_ITERATIONS
+    : 0;
+  const log = (deps.logger || defaultLogger).child({ sessionId: sessionId || undefined });
+  const screeningContext = { ...deps.auditContext, sessionId: sessionId || null };
+
+  // Refuse injection attempts and off-topic requests, mask personal data
+  const screenedInput = deps.guardrails
+    ? deps.guardrails.screenInput(message.trim(), screeningContext)
+    : { text: message.trim(), masked: [] };
+  const question = screenedInput.text;
+  // Answer in the language of the question, not of earlier turns
+  const replyLanguage = resolveLanguage(language, question);
+
+  // Replay previous turns so follow-up questions keep their context.
+  // Anonymous requests share no memory.
+  const history = sessionId ? sessionStore.getHistory(sessionId) : [];
+
+  // An opening question asked before is answered from the cache
+  const cache = deps.cache && deps.cache.enabled && history.length === 0 ? deps.cache : null;
+  const key = cache
+    ? cacheKey({ question, profile, language: replyLanguage, offersVersion: offerStore.version })
+    : null;
+  const cached = cache && cache.get(key);
+  if (cached) {
+    log.info('Answered from cache', { profile: profile.id });
+    if (deps.metrics) deps.metrics.cacheRequests.inc({ result: 'hit' });
+    cached.toolCalls.forEach(record => options.onToolCall && options.onToolCall(record));
+    if (options.onDelta) options.onDelta(cached.reply);
+
+    const messageId = rememberTurn(deps, sessionId, question, cached);
+    return {
+      reply: cached.reply,
+      sources: cached.sources,
+      toolCalls: cached.toolCalls,
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      language: replyLanguage,
+      messageId,
+      cached: true,
+      masked: { input: screenedInput.masked, output: [] }
+    };
+  }
+  if (cache && deps.metrics) deps.metrics.cacheRequests.inc({ result: 'miss' });
+
+  // Ground the answer in matching reference offer records
+  const matchedOffers = retrieveOffers(offerStore, question, { history });
+
+  const messages = [
+    { role: 'system', content: profile.systemPrompt },
+    ...history,
+    buildContextMessage(matchedOffers),
+    { role: 'system', content: languageInstruction(replyLanguage) },
+    { role: 'user', content: question }
+  ];
+
+  // A streamed reply reaches the client only after it has been screened
+  const outputStream = deps.guardrails && options.onDelta
+    ? deps.guardrails.screenStream({ ...screeningContext, systemPrompt: profile.systemPrompt }, options.onDelta)
+    : null;
+  const completionOptions = outputStream
+    ? { ...options, onDelta: delta => outputStream.write(delta) }
+    : options;
+
+  const toolCalls = [];
+  const comparisons = []; // compare_offers results, kept with the reply for exports
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let reply = null;
+
+  // Let the model call tools until it produces an answer. The last
+  // iteration disables tools so the loop always terminates.
+  for (let iteration = 0; iteration <= maxToolIterations; iteration++) {
+    const params = { model: profile.model || provider.model, ...profile.settings, messages };
+    if (provider.supportsTools) {
+      params.tools = TOOL_DEFINITIONS;
+      params.tool_choice = iteration < maxToolIterations ? 'auto' : 'none';
+    }
+
+    let completion;
+    const started = process.hrtime.bigint();
+    try {
+      completion = await createCompletion(provider.client, params, completionOptions);
+      observeCompletion(deps, params.model, started, 'success');
+    } catch (error) {
+      const outcome = error.name === 'AbortError' ? 'cancelled' : error.name === 'GuardrailError' ? 'success' : 'error';
+      observeCompletion(deps, params.model, started, outcome);
+      // Tokens spent on earlier rounds still count for accounting
+      error.usage = usage;
+      throw error;
+    }
+
+    if (completion.usage) {
+      usage.prompt_tokens += completion.usage.prompt_tokens || 0;
+      usage.completion_tokens += completion.usage.completion_tokens || 0;
+      usage.total_tokens += completion.usage.total_tokens || 0;
+    }
+
+    const choice = completion.message;
+    if (!choice.tool_calls || choice.tool_calls.length === 0) {
+      reply = choice.content || '';
+      break;
+    }
+
+    messages.push(choice);
+    for (const toolCall of choice.tool_calls) {
+      const { message: toolMessage, record, result } = runToolCall(toolCall, deps, log);
+      messages.push(toolMessage);
+      toolCalls.push(record);
+      if (record.name === 'compare_offers' && !result.error && result.offers.length > 0) {
+        comparisons.push({ arguments: record.arguments, ...result });
+      }
+      if (options.onToolCall) options.onToolCall(record);
+    }
+  }
+
+  // Withhold replies quoting the system prompt, mask personal data
+  let outputMasked = [];
+  if (deps.guardrails && reply) {
+    try {
+      const screened = deps.guardrails.screenOutput(reply, { ...screeningContext, systemPrompt: profile.systemPrompt });
+      reply = screened.text;
+      outputMasked = screened.masked;
+    } catch (error) {
+      error.usage = usage;
+      throw error;
+    }
+  }
+  if (outputStream) outputStream.end();
+
+  // Every offer the model saw, from retrieval or tools, can be a source
+  const seenOffers = new Map(matchedOffers.map(offer => [offer.id, offer]));
+  for (const call of toolCalls) {
+    for (const id of call.offerIds) {
+      const offer = offerStore.get(id);
+      if (offer) seenOffers.set(id, offer);
+    }
+  }
+  const sources = collectSources(Array.from(seenOffers.values()), reply);
+
+  const answer = { reply, sources, toolCalls, comparisons };
+  if (cache && reply) cache.set(key, answer);
+
+  // Only remember the turn once it has completed successfully
+  const messageId = rememberTurn(deps, sessionId, question, answer);
+
+  return {
+    reply,
+    sources,
+    toolCalls,
+    usage,
+    language: replyLanguage,
+    messageId,
+    cached: false,
+    masked: { input: screenedInput.masked, output: outputMasked }
+  };
+}
+
+// Add a completed turn to the session. Returns the assistant message's ID.
+function rememberTurn({ sessionStore, profile }, sessionId, question, { reply, sources, comparisons }) {
+  if (!sessionId) return null;
+  const session = sessionStore.append(sessionId,
+    { role: 'user', content: question },
+    { role: 'assistant', content: reply, sources, comparisons, profile: profile.id }
+  );
+  return session.messages[session.messages.length - 1].id;
+}
+
+module.exports = {
+  runChat,
+  validateChatRequest,
+  observeCompletion,
+  DEFAULT_MAX_TOOL_ITERATIONS,
+  MAX_MESSAGE_LENGTH
+};
@@ -0,0 +1,75 @@
+// Pakistani cities recognised in offer data, with their canonical spelling.
+// Used to validate imported rate sheets so typos don't create offers for
+// cities nobody searches for, and to understand the short forms and Urdu
+// names people use in questions and searches ("Isb", "Pindi", "کراچی").
+
+const { mentionsTerm } = require('./language');
+
+const NATIONWIDE = 'Nationwide';
+
+const KNOWN_CITIES = [
+  'Abbottabad', 'Bahawalpur', 'Chiniot', 'Chitral', 'Dera Ghazi Khan', 'Dera Ismail Khan',
+  'Faisalabad', 'Gilgit', 'Gujranwala', 'Gujrat', 'Gwadar', 'Hyderabad', 'Islamabad',
+  'Jhang', 'Karachi', 'Kasur', 'Lahore', 'Larkana', 'Mardan', 'Mingora', 'Mirpur',
+  'Multan', 'Muzaffarabad', 'Nawabshah', 'Okara', 'Peshawar', 'Quetta', 'Rahim Yar Khan',
+  'Rawalpindi', 'Sahiwal', 'Sargodha', 'Sheikhupura', 'Sialkot', 'Skardu', 'Sukkur', 'Turbat'
+];
+
+const NATIONWIDE_NAMES = ['nationwide', 'all', 'all cities', 'all pakistan', 'pakistan', 'پورے پاکستان', 'پاکستان'];
+
+// Abbreviations, alternative spellings and Urdu names
+const CITY_ALIASES = {
+  Abbottabad: ['atd', 'ایبٹ آباد'],
+  Bahawalpur: ['bwp', 'بہاولپور'],
+  'Dera Ghazi Khan': ['dg khan', 'd.g. khan', 'ڈیرہ غازی خان'],
+  'Dera Ismail Khan': ['di khan', 'd.i. khan', 'ڈیرہ اسماعیل خان'],
+  Faisalabad: ['fsd', 'lyallpur', 'فیصل آباد'],
+  Gujranwala: ['grw', 'گوجرانوالہ'],
+  Hyderabad: ['hyd', 'حیدرآباد', 'حیدر آباد'],
+  Islamabad: ['isb', 'isl', 'islamabd', 'اسلام آباد'],
+  Karachi: ['khi', 'krachi', 'کراچی'],
+  Lahore: ['lhr', 'lahor', 'لاہور'],
+  Mingora: ['swat', 'سوات', 'مینگورہ'],
+  Multan: ['mux', 'mltn', 'ملتان'],
+  Muzaffarabad: ['mzd', 'مظفرآباد', 'مظفر آباد'],
+  Nawabshah: ['shaheed benazirabad', 'نوابشاہ'],
+  Peshawar: ['pesh', 'psh', 'پشاور'],
+  Quetta: ['کوئٹہ'],
+  'Rahim Yar Khan': ['ryk', 'رحیم یار خان'],
+  Rawalpindi: ['pindi', 'rwp', 'راولپنڈی', 'پنڈی'],
+  Sargodha: ['sgd', 'سرگودھا'],
+  Sialkot: ['skt', 'سیالکوٹ'],
+  Sukkur: ['skz', 'سکھر']
+};
+
+const NAME_TO_CITY = new Map();
+for (const city of KNOWN_CITIES) {
+  NAME_TO_CITY.set(city.toLowerCase(), city);
+}
+for (const [city, aliases] of Object.entries(CITY_ALIASES)) {
+  aliases.forEach(alias => NAME_TO_CITY.set(alias, city));
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Canonical city name, NATIONWIDE, or null if the name is not recognised
+function canonicalCity(name) {
+  const key = normalizeName(name);
+  if (!key) return null;
+  if (NATIONWIDE_NAMES.includes(key)) return NATIONWIDE;
+  return NAME_TO_CITY.get(key) || null;
+}
+
+// Canonical names of the cities mentioned in a piece of text
+function findCities(text) {
+  const value = normalizeName(text);
+  const found = new Set();
+  for (const [name, city] of NAME_TO_CITY) {
+    if (!found.has(city) && mentionsTerm(value, name)) found.add(city);
+  }
+  return Array.from(found);
+}
+
+module.exports = { KNOWN_CITIES, NATIONWIDE, canonicalCity, findCities };
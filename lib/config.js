@@ -0,0 +1,186 @@
+// Settings from the environment, checked once at startup. A bad value (a
+// typo in a limit, an origin without a scheme, a missing offers directory)
+// stops the server with a list of every problem instead of quietly falling
+// back to a default. Unset or empty variables take the defaults below.
+
+const fs = require('fs');
+const path = require('path');
+const { PROVIDERS } = require('./providers');
+const { LEVELS } = require('./logger');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Where the development frontends run (React dev server, static servers)
+const DEV_ORIGINS = ['http://localhost:3001', 'http://localhost:3000', 'http://127.0.0.1:3001', 'http://127.0.0.1:3000'];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration: ${problems.join('; ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function isDirectory(dir) {
+  return fs.existsSync(dir) && fs.statSync(dir).isDirectory();
+}
+
+function parseHttpUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`"${value}" is not a URL`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`"${value}" must be an http(s) URL`);
+  }
+  return url;
+}
+
+// Value parsers. They throw an Error whose message follows the variable
+// name ("PORT must be a whole number").
+const TYPES = {
+  string: value => value,
+
+  int: (value, { min = 0, max = Infinity }) => {
+    if (!/^\d+$/.test(value)) throw new Error('must be a whole number');
+    const number = parseInt(value, 10);
+    if (number < min || number > max) {
+      throw new Error(max === Infinity ? `must be at least ${min}` : `must be between ${min} and ${max}`);
+    }
+    return number;
+  },
+
+  boolean: value => {
+    if (value !== 'true' && value !== 'false') throw new Error('must be true or false');
+    return value === 'true';
+  },
+
+  oneOf: (value, { values }) => {
+    if (!values.includes(value)) throw new Error(`must be one of: ${values.join(', ')}`);
+    return value;
+  },
+
+  url: value => {
+    parseHttpUrl(value);
+    return value.replace(/\/+$/, '');
+  },
+
+  // Comma-separated list of origins (scheme://host[:port])
+  origins: value => value.split(',').map(item => item.trim()).filter(Boolean).map(origin => {
+    if (origin === '*') throw new Error('must list the allowed origins ("*" is not allowed with credentials)');
+    const url = parseHttpUrl(origin);
+    if (url.origin !== origin.replace(/\/$/, '')) {
+      throw new Error(`"${origin}" is not an origin (expected scheme://host[:port], no path)`);
+    }
+    return url.origin;
+  }),
+
+  // A directory that must already exist (shipped data)
+  directory: value => {
+    const dir = path.resolve(value);
+    if (!isDirectory(dir)) throw new Error(`"${value}" is not a directory`);
+    return dir;
+  },
+
+  // A directory for runtime state, created on first write
+  storage: value => {
+    const dir = path.resolve(value);
+    if (fs.existsSync(dir) && !isDirectory(dir)) throw new Error(`"${value}" is not a directory`);
+    return dir;
+  },
+
+  file: value => {
+    const file = path.resolve(value);
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile()) throw new Error(`"${value}" is not a file`);
+    return file;
+  }
+};
+
+// Environment variable -> { key in the config object, type, default, type options }
+const SETTINGS = {
+  NODE_ENV: { key: 'nodeEnv', type: 'string', default: 'development' },
+  PORT: { key: 'port', type: 'int', max: 65535, default: 5000 },
+  CORS_ORIGINS: { key: 'corsOrigins', type: 'origins' },
+  PUBLIC_API_BASE_URL: { key: 'publicApiBaseUrl', type: 'url', default: '' },
+  SHUTDOWN_TIMEOUT_SECONDS: { key: 'shutdownTimeoutSeconds', type: 'int', default: 30 },
+
+  LLM_PROVIDER: { key: 'llmProvider', type: 'oneOf', values: PROVIDERS, default: 'openai' },
+  OPENAI_API_KEY: { key: 'openaiApiKey', type: 'string' },
+  LLM_API_KEY: { key: 'llmApiKey', type: 'string' },
+  LLM_BASE_URL: { key: 'llmBaseUrl', type: 'url' },
+  LLM_MODEL: { key: 'llmModel', type: 'string' },
+  LLM_SUPPORTS_TOOLS: { key: 'llmSupportsTools', type: 'boolean', default: true },
+  LLM_MOCK_SCRIPT: { key: 'llmMockScript', type: 'file' },
+  LLM_TIMEOUT_MS: { key: 'llmTimeoutMs', type: 'int', min: 1, default: 30000 },
+  LLM_MAX_RETRIES: { key: 'llmMaxRetries', type: 'int', default: 2 },
+  CIRCUIT_FAILURE_THRESHOLD: { key: 'circuitFailureThreshold', type: 'int', min: 1, default: 5 },
+  CIRCUIT_RESET_SECONDS: { key: 'circuitResetSeconds', type: 'int', min: 1, default: 30 },
+  MAX_TOOL_ITERATIONS: { key: 'maxToolIterations', type: 'int', min: 1 },
+  GUARDRAILS_ENABLED: { key: 'guardrailsEnabled', type: 'boolean', default: true },
+
+  LOG_LEVEL: { key: 'logLevel', type: 'oneOf', values: Object.keys(LEVELS), default: 'info' },
+  LOG_FORMAT: { key: 'logFormat', type: 'oneOf', values: ['json', 'pretty'], default: 'json' },
+  LOG_REDACT_PII: { key: 'logRedactPII', type: 'boolean', default: true },
+  LOG_CHAT_CONTENT: { key: 'logChatContent', type: 'boolean', default: false },
+  METRICS_TOKEN: { key: 'metricsToken', type: 'string' },
+
+  STORAGE_DIR: { key: 'storageDir', type: 'storage', default: path.join(ROOT_DIR, 'storage') },
+  OFFERS_DATA_DIR: { key: 'offersDataDir', type: 'directory', default: path.join(ROOT_DIR, 'data', 'offers') },
+  PROFILES_DIR: { key: 'profilesDir', type: 'directory', default: path.join(ROOT_DIR, 'profiles') },
+  DEFAULT_PROFILE: { key: 'defaultProfile', type: 'string', default: 'default' },
+  PRICING_FILE: { key: 'pricingFile', type: 'file' },
+
+  AUTH_TOKEN_TTL_HOURS: { key: 'authTokenTtlHours', type: 'int', min: 1, default: 12 },
+  RATE_LIMIT_USER_PER_MINUTE: { key: 'rateLimitUserPerMinute', type: 'int', default: 20 },
+  RATE_LIMIT_IP_PER_MINUTE: { key: 'rateLimitIpPerMinute', type: 'int', default: 60 },
+  RATE_LIMIT_SESSION_PER_MINUTE: { key: 'rateLimitSessionPerMinute', type: 'int', default: 10 },
+  RATE_LIMIT_LOGIN_PER_MINUTE: { key: 'rateLimitLoginPerMinute', type: 'int', default: 10 },
+  TOKEN_BUDGET_DAILY: { key: 'tokenBudgetDaily', type: 'int', default: 0 },
+  TOKEN_BUDGET_MONTHLY: { key: 'tokenBudgetMonthly', type: 'int', default: 0 },
+  SESSION_MAX_HISTORY_TOKENS: { key: 'sessionMaxHistoryTokens', type: 'int', min: 1 },
+  SESSION_TTL_MINUTES: { key: 'sessionTtlMinutes', type: 'int', min: 1, default: 30 },
+  IMPORT_MAX_FILE_MB: { key: 'importMaxFileMb', type: 'int', min: 1, default: 5 },
+  CACHE_MAX_ENTRIES: { key: 'cacheMaxEntries', type: 'int', default: 200 },
+  CACHE_TTL_MINUTES: { key: 'cacheTtlMinutes', type: 'int', min: 1, default: 60 },
+  BATCH_MAX_QUESTIONS: { key: 'batchMaxQuestions', type: 'int', min: 1, default: 100 },
+  BATCH_CONCURRENCY: { key: 'batchConcurrency', type: 'int', min: 1, default: 3 },
+  JOB_RETENTION_DAYS: { key: 'jobRetentionDays', type: 'int', min: 1, default: 7 }
+};
+
+/**
+ * Read and check every setting.
+ * @param {object} [env] - process.env by default
+ * @returns {object} frozen config keyed by the SETTINGS keys (camelCase)
+ * @throws {ConfigError} listing every invalid variable
+ */
+function loadConfig(env = process.env) {
+  const config = {};
+  const problems = [];
+
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    const raw = env[name] === undefined ? '' : String(env[name]).trim();
+    if (raw === '') {
+      config[setting.key] = setting.default;
+      continue;
+    }
+    try {
+      config[setting.key] = TYPES[setting.type](raw, setting);
+    } catch (error) {
+      problems.push(`${name} ${error.message}`);
+    }
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+
+  // Production serves the HTML frontend from this server (same origin), so
+  // cross-origin callers must be listed explicitly
+  if (!config.corsOrigins) {
+    config.corsOrigins = config.nodeEnv === 'production' ? [] : DEV_ORIGINS;
+  }
+
+  return Object.freeze(config);
+}
+
+module.exports = { loadConfig, ConfigError, SETTINGS };
@@ -0,0 +1,98 @@
+// Minimal RFC 4180 CSV parsing and serialisation.
+// Handles quoted fields, escaped quotes ("") and CRLF line endings.
+
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 BOM (common in spreadsheet exports)
+  if (text.charCodeAt(0) === 0xfeff) {
+    text = text.slice(1);
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+// Parse CSV text into an array of objects keyed by the header row
+function parse(text) {
+  const rows = parseRows(text);
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(h => h.trim());
+  return rows.slice(1).map(values => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = values[index] !== undefined ? values[index].trim() : '';
+    });
+    return record;
+  });
+}
+
+// Text starting with one of these runs as a formula in Excel and Sheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  // Questions, replies and notes are user or model text: keep them as text
+  if (FORMULA_PREFIX.test(text)) {
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Serialise an array of objects to CSV using the given column order
+function stringify(records, columns) {
+  const headers = columns || (records.length > 0 ? Object.keys(records[0]) : []);
+  const lines = [headers.map(escapeField).join(',')];
+
+  for (const record of records) {
+    lines.push(headers.map(header => escapeField(record[header])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parse, parseRows, stringify };
@@ -0,0 +1,100 @@
+// Translate errors from the chat pipeline (mostly OpenAI API errors) into
+// an HTTP status and the { error, code } body the frontend understands.
+
+/**
+ * @param {Error} error
+ * @param {object} [options] - { details: include the message of unexpected errors
+ *   (development only, see config.nodeEnv) }
+ * @returns {{ status, body }}
+ */
+function mapChatError(error, options = {}) {
+  switch (error.code) {
+    case 'insufficient_quota':
+      return {
+        status: 429,
+        body: {
+          error: 'API quota exceeded. Please add credits to your OpenAI account.',
+          code: 'quota_exceeded'
+        }
+      };
+
+    case 'invalid_api_key':
+      return {
+        status: 401,
+        body: {
+          error: 'Invalid OpenAI API key. Please check your configuration.',
+          code: 'invalid_key'
+        }
+      };
+
+    case 'rate_limit_exceeded':
+      return {
+        status: 429,
+        body: {
+          error: 'Rate limit exceeded. Please try again in a moment.',
+          code: 'rate_limit'
+        }
+      };
+
+    case 'context_length_exceeded':
+      return {
+        status: 400,
+        body: {
+          error: 'Message too long for the model. Please shorten your message.',
+          code: 'context_length'
+        }
+      };
+
+    case 'circuit_open':
+      return {
+        status: 503,
+        body: {
+          error: `The AI service is temporarily unavailable. Please try again in ${error.retryAfterSeconds} seconds.`,
+          code: 'service_unavailable',
+          retryAfter: error.retryAfterSeconds
+        }
+      };
+
+    case 'content_blocked':
+      return {
+        status: 400,
+        body: {
+          error: error.message,
+          code: 'content_blocked',
+          reason: error.category
+        }
+      };
+
+    // Raised for batch questions; chat requests are stopped by the limit middleware
+    case 'token_budget_exceeded':
+      return {
+        status: 429,
+        body: {
+          error: `Your ${error.scope} token budget is used up.`,
+          code: 'token_budget_exceeded',
+          retryAfter: error.retryAfterSeconds
+        }
+      };
+
+    case 'upstream_timeout':
+      return {
+        status: 504,
+        body: {
+          error: 'The AI service took too long to answer. Please try again.',
+          code: 'timeout'
+        }
+      };
+
+    default:
+      return {
+        status: 500,
+        body: {
+          error: 'An unexpected error occurred. Please try again.',
+          code: 'server_error',
+          details: options.details ? error.message : undefined
+        }
+      };
+  }
+}
+
+module.exports = { mapChatError };
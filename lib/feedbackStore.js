@@ -0,0 +1,127 @@
+// Feedback on assistant answers: a thumbs up or down with an optional
+// correction note, one entry per user and message. Each entry keeps a copy
+// of the question, the answer, the prompt profile and the sources, so it can
+// still be reviewed after the conversation is deleted. Domain experts work
+// through the entries (mostly the thumbs-down ones) and mark them resolved
+// once the prompt or the offer data has been fixed.
+
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./jsonFile');
+
+const RATINGS = ['up', 'down'];
+const REVIEW_STATUSES = ['open', 'resolved', 'dismissed'];
+const MAX_NOTE_LENGTH = 2000;
+
+class FeedbackStore {
+  /**
+   * @param {object} options - { file, clock (current time in milliseconds, Date.now by default) }
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.clock = options.clock || Date.now;
+    this.entries = [];
+  }
+
+  load() {
+    const data = readJson(this.file, { feedback: [] });
+    this.entries = data.feedback || [];
+    return this.entries.length;
+  }
+
+  save() {
+    writeJson(this.file, { feedback: this.entries });
+  }
+
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Record a user's feedback on an assistant message, replacing their
+   * earlier feedback on the same message.
+   * @param {object} input - { user, session, message, question, rating, note }
+   * @returns {{ feedback, created }}
+   */
+  submit({ user, session, message, question, rating, note }) {
+    const now = new Date(this.clock()).toISOString();
+    const existing = this.entries.find(entry => entry.messageId === message.id && entry.userId === user.id);
+
+    if (existing) {
+      const changed = existing.rating !== rating || existing.note !== note;
+      existing.rating = rating;
+      existing.note = note;
+      existing.updatedAt = now;
+      // Changed feedback needs another look
+      if (changed) existing.status = 'open';
+      this.save();
+      return { feedback: existing, created: false };
+    }
+
+    const feedback = {
+      id: `fb_${crypto.randomBytes(8).toString('hex')}`,
+      messageId: message.id,
+      sessionId: session.id,
+      userId: user.id,
+      username: user.username,
+      rating,
+      note,
+      profile: message.profile || session.profile || null,
+      sources: message.sources || [],
+      question,
+      answer: message.content,
+      answeredAt: message.timestamp,
+      status: 'open',
+      review: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.entries.push(feedback);
+    this.save();
+    return { feedback, created: true };
+  }
+
+  /**
+   * Entries matching filters, newest first.
+   * @param {object} filters - { userId, sessionId, rating, status, profile, source (offer ID),
+   *   hasNote, from, to (YYYY-MM-DD, inclusive), limit, offset }
+   * @returns {{ total, counts: { up, down }, feedback }}
+   */
+  list(filters = {}) {
+    const matches = this.entries.filter(entry => {
+      if (filters.userId && entry.userId !== filters.userId) return false;
+      if (filters.sessionId && entry.sessionId !== filters.sessionId) return false;
+      if (filters.rating && entry.rating !== filters.rating) return false;
+      if (filters.status && entry.status !== filters.status) return false;
+      if (filters.profile && entry.profile !== filters.profile) return false;
+      if (filters.source && !entry.sources.some(source => source.id === filters.source)) return false;
+      if (filters.hasNote !== undefined && Boolean(entry.note) !== filters.hasNote) return false;
+      if (filters.from && entry.createdAt.slice(0, 10) < filters.from) return false;
+      if (filters.to && entry.createdAt.slice(0, 10) > filters.to) return false;
+      return true;
+    });
+
+    matches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const offset = filters.offset || 0;
+    return {
+      total: matches.length,
+      counts: {
+        up: matches.filter(entry => entry.rating === 'up').length,
+        down: matches.filter(entry => entry.rating === 'down').length
+      },
+      feedback: matches.slice(offset, filters.limit ? offset + filters.limit : undefined)
+    };
+  }
+
+  // Record the outcome of a review: { status, note }
+  review(id, { status, note }, username) {
+    const feedback = this.get(id);
+    if (!feedback) return null;
+
+    feedback.status = status;
+    feedback.review = { by: username, at: new Date(this.clock()).toISOString(), note: note || null };
+    this.save();
+    return feedback;
+  }
+}
+
+module.exports = { FeedbackStore, RATINGS, REVIEW_STATUSES, MAX_NOTE_LENGTH };
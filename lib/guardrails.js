@@ -0,0 +1,236 @@
+// Conversation guardrails. Chat messages are screened before the model sees
+// them and replies before the user does:
+//
+//   input   prompt-injection and jailbreak attempts ("ignore your previous
+//           instructions", "print your system prompt") and requests clearly
+//           outside carrier offers are refused; emails, CNIC and phone
+//           numbers are masked, so they never reach the model, the response
+//           cache or saved conversations
+//   output  replies quoting the profile's system prompt are withheld;
+//           personal data is masked. Streamed replies are screened as they
+//           arrive and only text that has passed is forwarded
+//
+// The checks are patterns: they stop the common phrasings, while the system
+// prompt keeps the model on topic for the rest. Every refusal and masking is
+// recorded in the screening log for audit.
+
+const { PII_PATTERNS } = require('./pii');
+const { findCarriers } = require('./carriers');
+const { mentionsTerm } = require('./language');
+
+const INJECTION_PATTERNS = [
+  /\b(ignore|disregard|forget|override|bypass)\s+(all\s+|any\s+)?(of\s+)?(the\s+|your\s+|my\s+|these\s+|those\s+)?(previous\s+|prior\s+|above\s+|earlier\s+|preceding\s+|original\s+|initial\s+|system\s+)?(instructions?|rules|prompts?|guidelines|restrictions|directives)\b/i,
+  /\bsystem[\s_-]?prompt\b/i,
+  /\b(reveal|show|print|repeat|output|display|tell me)\s+(me\s+)?(your|the)\s+(hidden\s+|initial\s+|original\s+)?(instructions|prompt|rules|configuration)\b/i,
+  /\byou are (now|no longer)\b/i,
+  /\bpretend (that )?(you are|you're|to be)\b/i,
+  /\b(developer|god|unrestricted) mode\b/i,
+  /\bjailbreak/i,
+  /\bDAN\b/, // Case-sensitive: "dan" is "day" in Roman Urdu
+  /\bdo anything now\b/i,
+  /\bnew (instructions|rules)\s*:/i,
+  /<\|?\s*(im_start|im_end|system)\s*\|?>|\[\/?(INST|SYS)\]|^\s*#{2,}\s*(system|instructions?)\b/im
+];
+
+// Tasks that have nothing to do with carrier offers
+const OFF_TOPIC_PATTERNS = [
+  /\b(write|compose|generate|create)\b[^.?!\n]{0,30}\b(poem|essay|story|song|lyrics|joke|novel|cover letter|speech|blog post)\b/i,
+  /\b(write|fix|debug|generate|complete)\b[^.?!\n]{0,30}\b(code|program|script|function|class|regex)\b/i,
+  /\b(python|javascript|typescript|java|c\+\+|c#|php|rust|golang)\b/i,
+  /\b(recipe|homework|assignment|horoscope|lottery|cricket score)\b/i,
+  /\bsolve\b[^.?!\n]{0,30}\b(equation|integral|derivative|math|puzzle)\b/i
+];
+
+// Words that put a message back on topic (a data bundle question that
+// happens to mention "code" or "script" is fine)
+const TOPIC_TERMS = [
+  'offer', 'offers', 'bundle', 'bundles', 'package', 'packages', 'internet', 'sms', 'minutes', 'mins',
+  'recharge', 'balance', 'tariff', 'price', 'prices', 'pricing', 'rs', 'pkr', 'gb', 'mb', 'sim',
+  'carrier', 'carriers', 'operator', 'telecom', 'roaming', 'validity', 'onic',
+  'آفر', 'پیکج', 'بنڈل', 'انٹرنیٹ', 'ڈیٹا', 'منٹ', 'ایس ایم ایس', 'ریچارج', 'بیلنس', 'قیمت', 'سم'
+];
+
+// The refusal shown to the user, by category
+const REFUSALS = {
+  prompt_injection: 'This request tries to change how the assistant works and cannot be answered. Please ask about carrier offers.',
+  off_topic: 'I can only help with carrier offers: data, call and SMS bundles and their prices. Please ask about those.',
+  prompt_leak: 'The answer was withheld because it contained internal instructions. Please rephrase your question.'
+};
+
+// Shortest system prompt line that counts as quoted in a reply
+const MIN_LEAK_LENGTH = 40;
+const EXCERPT_LENGTH = 200;
+
+class GuardrailError extends Error {
+  constructor(stage, category) {
+    super(REFUSALS[category]);
+    this.name = 'GuardrailError';
+    this.code = 'content_blocked';
+    this.stage = stage;
+    this.category = category;
+  }
+}
+
+// Mask personal data. Returns { text, masked: [types found] }.
+function maskPII(text) {
+  let value = String(text);
+  const masked = [];
+  for (const { type, pattern } of PII_PATTERNS) {
+    const next = value.replace(pattern, `[${type.toUpperCase()}]`);
+    if (next !== value) masked.push(type);
+    value = next;
+  }
+  return { text: value, masked };
+}
+
+function isOnTopic(text) {
+  const value = text.toLowerCase();
+  return findCarriers(value).length > 0 || TOPIC_TERMS.some(term => mentionsTerm(value, term));
+}
+
+// Category of a message that must not reach the model, or null
+function classifyInput(text) {
+  if (INJECTION_PATTERNS.some(pattern => pattern.test(text))) return 'prompt_injection';
+  if (OFF_TOPIC_PATTERNS.some(pattern => pattern.test(text)) && !isOnTopic(text)) return 'off_topic';
+  return null;
+}
+
+function normalizeForLeak(text) {
+  return String(text || '').toLowerCase().replace(/[*_`#>-]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Does the reply quote a line of the system prompt?
+function leaksSystemPrompt(reply, systemPrompt) {
+  const normalizedReply = normalizeForLeak(reply);
+  return String(systemPrompt || '')
+    .split(/\n|(?<=[.!?])\s+/)
+    .map(normalizeForLeak)
+    .some(line => line.length >= MIN_LEAK_LENGTH && normalizedReply.includes(line));
+}
+
+// Screens a streamed reply as it arrives. Text is forwarded with personal
+// data masked, holding back as many characters as the longest system prompt
+// line, so a quoted line is caught before any of it has been sent.
+class OutputStream {
+  constructor(guardrails, context, onText) {
+    const { systemPrompt, ...auditContext } = context;
+    this.guardrails = guardrails;
+    this.systemPrompt = systemPrompt;
+    this.auditContext = auditContext;
+    this.onText = onText;
+    this.holdBack = Math.max(MIN_LEAK_LENGTH, ...String(systemPrompt || '').split('\n').map(line => line.length));
+    this.raw = '';
+    this.sent = 0;
+  }
+
+  // Add a delta; throws GuardrailError once the text quotes the system prompt
+  write(delta) {
+    this.raw += delta;
+    if (leaksSystemPrompt(this.raw, this.systemPrompt)) {
+      this.guardrails.record(this.auditContext, { stage: 'output', action: 'blocked', category: 'prompt_leak', text: this.raw });
+      throw new GuardrailError('output', 'prompt_leak');
+    }
+    this.forward(this.holdBack);
+  }
+
+  // Send the held-back rest, once the whole reply has been screened
+  end() {
+    this.forward(0);
+  }
+
+  forward(holdBack) {
+    const text = maskPII(this.raw).text;
+    const end = text.length - holdBack;
+    if (end > this.sent) {
+      this.onText(text.slice(this.sent, end));
+      this.sent = end;
+    }
+  }
+}
+
+class Guardrails {
+  /**
+   * @param {object} [options] - { enabled (default true), screeningLog (records every
+   *   refusal and masking), metrics (lib/metrics.js createAppMetrics) }
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.screeningLog = options.screeningLog || null;
+    this.metrics = options.metrics || null;
+  }
+
+  /**
+   * Screen a user message before the model call.
+   * @param {string} text
+   * @param {object} [context] - { requestId, userId, username, sessionId, endpoint } for the audit record
+   * @returns {{ text, masked }} the message with personal data masked
+   * @throws {GuardrailError} for injection attempts and off-topic requests
+   */
+  screenInput(text, context = {}) {
+    if (!this.enabled) return { text, masked: [] };
+
+    const category = classifyInput(text);
+    if (category) {
+      this.record(context, { stage: 'input', action: 'blocked', category, text });
+      throw new GuardrailError('input', category);
+    }
+
+    const result = maskPII(text);
+    if (result.masked.length > 0) {
+      this.record(context, { stage: 'input', action: 'masked', category: 'pii', types: result.masked });
+    }
+    return result;
+  }
+
+  /**
+   * Screen a reply before it is returned and saved.
+   * @param {string} text
+   * @param {object} [context] - audit fields as for screenInput, plus systemPrompt
+   * @returns {{ text, masked }}
+   * @throws {GuardrailError} when the reply quotes the system prompt
+   */
+  screenOutput(text, context = {}) {
+    if (!this.enabled) return { text, masked: [] };
+    const { systemPrompt, ...auditContext } = context;
+
+    if (leaksSystemPrompt(text, systemPrompt)) {
+      this.record(auditContext, { stage: 'output', action: 'blocked', category: 'prompt_leak', text });
+      throw new GuardrailError('output', 'prompt_leak');
+    }
+
+    const result = maskPII(text);
+    if (result.masked.length > 0) {
+      this.record(auditContext, { stage: 'output', action: 'masked', category: 'pii', types: result.masked });
+    }
+    return result;
+  }
+
+  /**
+   * Screen a reply while it is streamed.
+   * @param {object} context - as for screenOutput
+   * @param {function} onText - receives the text that has passed screening
+   * @returns {{ write(delta), end() }} or null when the guardrails are off
+   */
+  screenStream(context, onText) {
+    if (!this.enabled) return null;
+    return new OutputStream(this, context, onText);
+  }
+
+  // Audit record and metric for one screening decision. Only a short,
+  // masked excerpt of blocked text is kept.
+  record(context, { stage, action, category, types, text }) {
+    if (this.metrics) this.metrics.screenings.inc({ stage, action, category });
+    if (!this.screeningLog) return;
+
+    this.screeningLog.record({
+      ...context,
+      stage,
+      action,
+      category,
+      types,
+      excerpt: text === undefined ? undefined : maskPII(text).text.slice(0, EXCERPT_LENGTH)
+    });
+  }
+}
+
+module.exports = { Guardrails, GuardrailError, maskPII, classifyInput, leaksSystemPrompt, REFUSALS };
@@ -0,0 +1,152 @@
+// Background jobs: batches of chat questions answered by lib/batchRunner.js.
+// Jobs and their per-question results are saved to a JSON file, so status
+// and results survive restarts. A job that was still queued or running when
+// the server stopped is marked "interrupted". Finished jobs are dropped
+// after the retention period.
+
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./jsonFile');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'cancelled', 'interrupted'];
+const FINISHED_STATUSES = ['completed', 'cancelled', 'interrupted'];
+const ITEM_STATUSES = ['pending', 'running', 'answered', 'failed', 'skipped'];
+const DEFAULT_RETENTION_DAYS = 7;
+const SAVE_DEBOUNCE_MS = 1000;
+
+// Job without its items, with progress counts, for status responses
+function jobSummary(job) {
+  const { items, ...summary } = job;
+  const count = status => items.filter(item => item.status === status).length;
+  const done = count('answered') + count('failed') + count('skipped');
+  return {
+    ...summary,
+    progress: {
+      total: items.length,
+      done,
+      answered: count('answered'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      percent: items.length > 0 ? Math.round((done / items.length) * 100) : 100
+    }
+  };
+}
+
+class JobStore {
+  /**
+   * @param {object} options - { file, retentionDays, clock }
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.clock = options.clock || Date.now;
+    this.retentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+    this.jobs = [];
+    this.saveTimer = null;
+  }
+
+  load() {
+    this.jobs = readJson(this.file, { jobs: [] }).jobs || [];
+
+    // Nothing runs jobs from before a restart
+    let interrupted = 0;
+    for (const job of this.jobs) {
+      if (!FINISHED_STATUSES.includes(job.status)) {
+        this.finish(job, 'interrupted');
+        interrupted++;
+      }
+    }
+    const pruned = this.prune();
+    if (interrupted > 0 || pruned > 0) this.save();
+    return this.jobs.length;
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    writeJson(this.file, { jobs: this.jobs });
+  }
+
+  // Progress is saved at most once a second
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DEBOUNCE_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Create a queued job.
+   * @param {object} input - { type, userId, username, profile, language, questions, source }
+   */
+  create({ type, userId, username, profile, language, questions, source }) {
+    this.prune();
+    const job = {
+      id: `job_${crypto.randomBytes(8).toString('hex')}`,
+      type,
+      status: 'queued',
+      userId,
+      username,
+      profile,
+      language: language || 'auto',
+      source: source || null,
+      createdAt: new Date(this.clock()).toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      items: questions.map((question, index) => ({
+        row: index + 1,
+        question,
+        status: 'pending',
+        reply: null,
+        sources: [],
+        error: null,
+        code: null,
+        tokens: 0,
+        cached: false
+      }))
+    };
+
+    this.jobs.push(job);
+    this.save();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  // Newest first; filters: { userId }
+  list(filters = {}) {
+    return this.jobs
+      .filter(job => !filters.userId || job.userId === filters.userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // A queued or running job of the user, if any
+  active(userId) {
+    return this.jobs.find(job => job.userId === userId && !FINISHED_STATUSES.includes(job.status)) || null;
+  }
+
+  start(job) {
+    job.status = 'running';
+    job.startedAt = new Date(this.clock()).toISOString();
+    this.scheduleSave();
+  }
+
+  // Mark a job finished; questions that never ran are skipped
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date(this.clock()).toISOString();
+    for (const item of job.items) {
+      if (item.status === 'pending' || item.status === 'running') item.status = 'skipped';
+    }
+    this.save();
+  }
+
+  // Drop finished jobs older than the retention period. Returns how many.
+  prune() {
+    const cutoff = new Date(this.clock() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const before = this.jobs.length;
+    this.jobs = this.jobs.filter(job => !FINISHED_STATUSES.includes(job.status) || (job.finishedAt || job.createdAt) >= cutoff);
+    return before - this.jobs.length;
+  }
+}
+
+module.exports = { JobStore, jobSummary, JOB_STATUSES, ITEM_STATUSES, FINISHED_STATUSES };
@@ -0,0 +1,24 @@
+// Small helpers for JSON files used as local persistent stores.
+// Writes go to a temporary file first and are renamed into place so a
+// crash mid-write never leaves a truncated store behind.
+
+const fs = require('fs');
+const path = require('path');
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw new Error(`Failed to read ${file}: ${error.message}`);
+  }
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+module.exports = { readJson, writeJson };
@@ -0,0 +1,85 @@
+// Reply language for chat: English, Urdu (Urdu script) or Roman Urdu
+// (Urdu typed in Latin letters, e.g. "Karachi mein sab se sasta data
+// package konsa hai?"). The language is detected from the question unless
+// the request names one.
+
+const LANGUAGES = {
+  en: 'English',
+  ur: 'Urdu',
+  'roman-ur': 'Roman Urdu'
+};
+
+const URDU_LETTER = /[\u0600-\u06FF]/g;
+const LATIN_LETTER = /[a-z]/gi;
+
+// Common Roman Urdu words that are not also English words
+const ROMAN_URDU_WORDS = new Set([
+  'hai', 'hain', 'kya', 'kia', 'mein', 'mai', 'ka', 'ki', 'ke', 'ko', 'se', 'sab', 'sabse',
+  'sasta', 'sasti', 'sastay', 'saste', 'mehnga', 'mehenga', 'mehngi', 'konsa', 'konsi', 'konse',
+  'kaunsa', 'kaunsi', 'kaun', 'kon', 'kitna', 'kitni', 'kitne', 'kitnay', 'chahiye', 'chahie',
+  'batao', 'bataen', 'bataein', 'bataye', 'bataiye', 'btao', 'nahi', 'nahin', 'aur', 'wala',
+  'wali', 'walay', 'waley', 'wale', 'mujhe', 'mujhay', 'humein', 'hamein', 'kab', 'kahan',
+  'kyun', 'kyon', 'kaise', 'kaisa', 'kaisi', 'raha', 'rahi', 'rahe', 'karna', 'karen', 'karein',
+  'karo', 'liye', 'liay', 'bhi', 'yeh', 'woh', 'abhi', 'tak', 'mahina', 'mahine', 'mahana',
+  'hafta', 'haftay', 'haftawar', 'rozana', 'paise', 'paisay', 'zyada', 'ziada', 'behtar',
+  'acha', 'achha', 'accha', 'agar', 'lekin', 'magar', 'hoga', 'hogi', 'tha', 'thi', 'gaya',
+  'gayi', 'dijiye', 'dein', 'chahta', 'chahti', 'konsay', 'kitnay', 'dena', 'lena', 'milega',
+  'milta', 'milti', 'badla', 'badli', 'tabdeel'
+]);
+
+/**
+ * Guess the language of a message.
+ * @returns {'en' | 'ur' | 'roman-ur'}
+ */
+function detectLanguage(text) {
+  const value = String(text || '');
+  const urduLetters = (value.match(URDU_LETTER) || []).length;
+  const latinLetters = (value.match(LATIN_LETTER) || []).length;
+
+  // Mostly Urdu script, or an Urdu sentence around pasted English data
+  // (a lone Urdu city name in an English question does not count)
+  if (urduLetters >= 3 && (urduLetters >= latinLetters || urduLetters >= 20)) {
+    return 'ur';
+  }
+
+  const words = value.toLowerCase().match(/[a-z]+/g) || [];
+  const hits = words.filter(word => ROMAN_URDU_WORDS.has(word)).length;
+  if (hits >= 2 || (hits === 1 && words.length <= 4)) {
+    return 'roman-ur';
+  }
+
+  return 'en';
+}
+
+// The language named in the request ("auto" or none: detect it)
+function resolveLanguage(requested, message) {
+  return LANGUAGES[requested] ? requested : detectLanguage(message);
+}
+
+// System instruction placed right before the question
+function languageInstruction(language) {
+  switch (language) {
+    case 'ur':
+      return 'The user wrote in Urdu. Reply in Urdu using Urdu script. Keep offer IDs in square brackets, carrier names, prices and numbers exactly as they appear in the offer data.';
+    case 'roman-ur':
+      return 'The user wrote in Roman Urdu (Urdu in Latin letters). Reply in Roman Urdu in the same informal style, not in Urdu script. Keep offer IDs in square brackets, carrier names, prices and numbers exactly as they appear in the offer data.';
+    default:
+      return 'Reply in English.';
+  }
+}
+
+// Does the text mention a term as a whole word? Works for Latin and
+// Urdu-script terms; the text should already be lowercased.
+function mentionsTerm(text, term) {
+  const letters = /[\u0600-\u06FF]/.test(term) ? '\\u0600-\\u06FF' : 'a-z0-9';
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(^|[^${letters}])${escaped}($|[^${letters}])`).test(text);
+}
+
+module.exports = {
+  LANGUAGES,
+  detectLanguage,
+  resolveLanguage,
+  languageInstruction,
+  mentionsTerm
+};
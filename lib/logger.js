@@ -0,0 +1,176 @@
+// Structured logging. Every entry is one JSON line on stdout
+// ({ time, level, msg, ...fields }), or a readable line with
+// LOG_FORMAT=pretty. Request logs carry a requestId that is also returned to
+// the client in the X-Request-Id header, so a user's error report can be
+// matched to the server's log lines.
+//
+// Settings (environment, checked by lib/config.js and applied with
+// configureLogger):
+//   LOG_LEVEL        debug | info | warn | error | silent (default info)
+//   LOG_FORMAT       json | pretty (default json)
+//   LOG_REDACT_PII   mask emails, CNIC and phone numbers in logged text (default true)
+//   LOG_CHAT_CONTENT log the text of chat messages and replies (default false)
+
+const crypto = require('crypto');
+const { redactPII } = require('./pii');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Never logged, whatever the redaction setting
+const SECRET_KEYS = /^(password|token|authorization|apikey|api_key|secret|cookie)$/i;
+
+const MAX_CONTENT_LENGTH = 500;
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+class Logger {
+  /**
+   * @param {object} options - { level, format, redactPII, chatContent, fields, write }
+   */
+  constructor(options = {}) {
+    this.configure(options);
+    this.fields = options.fields || {};
+    this.write = options.write || (line => process.stdout.write(line + '\n'));
+  }
+
+  // Apply { level, format, redactPII, chatContent }; loggers already made
+  // with child() keep their settings
+  configure(options) {
+    this.level = LEVELS[options.level] ? options.level : 'info';
+    this.format = options.format === 'pretty' ? 'pretty' : 'json';
+    this.redactPII = options.redactPII !== false;
+    this.chatContent = options.chatContent === true;
+  }
+
+  // A logger that adds fields (e.g. { requestId }) to every entry
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      redactPII: this.redactPII,
+      chatContent: this.chatContent,
+      fields: { ...this.fields, ...fields },
+      write: this.write
+    });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(msg, fields) { this.log('debug', msg, fields); }
+  info(msg, fields) { this.log('info', msg, fields); }
+  warn(msg, fields) { this.log('warn', msg, fields); }
+  error(msg, fields) { this.log('error', msg, fields); }
+
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: this.clean(msg),
+      ...this.clean({ ...this.fields, ...fields })
+    };
+    this.write(this.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+  }
+
+  // Chat text for a log entry: omitted unless LOG_CHAT_CONTENT is on,
+  // shortened, and redacted like every other string
+  content(text) {
+    if (!this.chatContent || typeof text !== 'string') return undefined;
+    return text.length > MAX_CONTENT_LENGTH ? `${text.slice(0, MAX_CONTENT_LENGTH)}...` : text;
+  }
+
+  // Copy of a value with secrets removed and PII masked
+  clean(value, key) {
+    if (key && SECRET_KEYS.test(key)) return '[REDACTED]';
+    if (typeof value === 'string') return this.redactPII ? redactPII(value) : value;
+    if (value instanceof Error) return this.clean(serializeError(value));
+    if (Array.isArray(value)) return value.map(item => this.clean(item));
+    if (value && typeof value === 'object') {
+      const copy = {};
+      for (const [name, item] of Object.entries(value)) {
+        if (item !== undefined) copy[name] = this.clean(item, name);
+      }
+      return copy;
+    }
+    return value;
+  }
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.status,
+    stack: error.stack
+  };
+}
+
+function formatPretty({ time, level, msg, ...fields }) {
+  const { stack, ...rest } = fields.error || {};
+  if (fields.error) fields = { ...fields, error: rest };
+  const details = Object.entries(fields)
+    .map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ''}${stack ? `\n${stack}` : ''}`;
+}
+
+// Logger settings from the checked config (lib/config.js loadConfig)
+function loggerOptions(config) {
+  return {
+    level: config.logLevel,
+    format: config.logFormat,
+    redactPII: config.logRedactPII,
+    chatContent: config.logChatContent
+  };
+}
+
+function createLogger(config) {
+  return new Logger(loggerOptions(config));
+}
+
+// Shared logger, with the default settings until configureLogger() is called
+const logger = new Logger();
+
+// Apply the config to the shared logger. Returns the shared logger.
+function configureLogger(config) {
+  logger.configure(loggerOptions(config));
+  return logger;
+}
+
+/**
+ * Middleware giving every request an ID (the caller's X-Request-Id if it
+ * looks sane, else a new one), echoing it in the response header, exposing
+ * a request-scoped logger as req.log and logging the request once it ends.
+ * Health checks and metrics scrapes are logged at debug level.
+ */
+function createRequestLogMiddleware(baseLogger = logger, options = {}) {
+  const quietPaths = options.quietPaths || ['/api/health', '/metrics'];
+
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = baseLogger.child({ requestId: req.id });
+    res.setHeader('X-Request-Id', req.id);
+
+    res.on('close', () => {
+      const fields = {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+        user: req.user ? req.user.username : undefined,
+        aborted: res.writableFinished ? undefined : true
+      };
+      const level = quietPaths.includes(fields.path) ? 'debug' : res.statusCode >= 500 ? 'error' : 'info';
+      req.log.log(level, 'Request completed', fields);
+    });
+
+    next();
+  };
+}
+
+module.exports = { Logger, LEVELS, createLogger, configureLogger, logger, createRequestLogMiddleware };
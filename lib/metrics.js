@@ -0,0 +1,209 @@
+// Prometheus metrics, served in the text exposition format by GET /metrics.
+// Counters and histograms live in memory and start from zero on restart,
+// which Prometheus handles as a counter reset.
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const LLM_LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 4, 8, 15, 30, 60, 120];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Labels in the declared order, missing ones as ""
+function pickLabels(labelNames, labels = {}) {
+  const picked = {};
+  for (const name of labelNames) {
+    picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+  }
+  return picked;
+}
+
+class Counter {
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  inc(labels, value = 1) {
+    const picked = pickLabels(this.labelNames, labels);
+    const key = JSON.stringify(picked);
+    const current = this.values.get(key);
+    this.values.set(key, { labels: picked, value: (current ? current.value : 0) + value });
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Histogram {
+  constructor({ name, help, labelNames = [], buckets = LATENCY_BUCKETS }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const picked = pickLabels(this.labelNames, labels);
+    const key = JSON.stringify(picked);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: picked, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(options) {
+    const counter = new Counter(options);
+    this.metrics.push(counter);
+    return counter;
+  }
+
+  histogram(options) {
+    const histogram = new Histogram(options);
+    this.metrics.push(histogram);
+    return histogram;
+  }
+
+  render() {
+    return this.metrics.map(metric => metric.render()).join('\n\n') + '\n';
+  }
+}
+
+// The application's metrics
+function createAppMetrics() {
+  const registry = new MetricsRegistry();
+
+  return {
+    registry,
+    httpRequests: registry.counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests by method, route and status code',
+      labelNames: ['method', 'route', 'status']
+    }),
+    httpDuration: registry.histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request latency in seconds',
+      labelNames: ['method', 'route']
+    }),
+    apiErrors: registry.counter({
+      name: 'api_errors_total',
+      help: 'API error responses by route and error code',
+      labelNames: ['route', 'code']
+    }),
+    chatRequests: registry.counter({
+      name: 'chat_requests_total',
+      help: 'Chat requests by endpoint and outcome (success, cancelled or an error code)',
+      labelNames: ['endpoint', 'outcome']
+    }),
+    llmDuration: registry.histogram({
+      name: 'llm_request_duration_seconds',
+      help: 'Upstream model call latency in seconds (one per completion round)',
+      labelNames: ['provider', 'model', 'outcome'],
+      buckets: LLM_LATENCY_BUCKETS
+    }),
+    llmRetries: registry.counter({
+      name: 'llm_retries_total',
+      help: 'Model calls retried after a retryable error',
+      labelNames: ['provider']
+    }),
+    cacheRequests: registry.counter({
+      name: 'chat_cache_requests_total',
+      help: 'Response cache lookups for opening questions by result (hit or miss)',
+      labelNames: ['result']
+    }),
+    llmTokens: registry.counter({
+      name: 'llm_tokens_total',
+      help: 'Model tokens used by chat requests',
+      labelNames: ['model', 'type']
+    }),
+    screenings: registry.counter({
+      name: 'chat_screenings_total',
+      help: 'Guardrail decisions on chat messages (input) and replies (output)',
+      labelNames: ['stage', 'action', 'category']
+    }),
+    render: () => registry.render()
+  };
+}
+
+// Route label with bounded cardinality: the matched route pattern
+// ("/api/sessions/:id"), else "static" for files or "unmatched"
+function routeLabel(req) {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return req.originalUrl.startsWith('/api') ? 'unmatched' : 'static';
+}
+
+/**
+ * Middleware counting requests, their latency and the { code } of JSON
+ * error responses.
+ */
+function createMetricsMiddleware(metrics) {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode >= 400 && body && body.code) res.locals.errorCode = body.code;
+      return json(body);
+    };
+
+    res.on('close', () => {
+      const route = routeLabel(req);
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      metrics.httpDuration.observe({ method: req.method, route }, seconds);
+      if (res.statusCode >= 400) {
+        metrics.apiErrors.inc({ route, code: res.locals.errorCode || `http_${res.statusCode}` });
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  Counter,
+  Histogram,
+  MetricsRegistry,
+  createAppMetrics,
+  createMetricsMiddleware,
+  routeLabel
+};
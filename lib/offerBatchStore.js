@@ -0,0 +1,185 @@
+// Versioned offer import batches.
+// An uploaded rate sheet becomes a pending batch holding the validated
+// offers and a dry-run diff. Committing applies it to the offer store and
+// gives it the next version number; applied batches are replayed over the
+// data files at startup, so a rollback is a rebuild without that batch.
+
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./jsonFile');
+const { diffOffers } = require('./offerImport');
+const { logger } = require('./logger');
+
+const STATUSES = ['pending', 'applied', 'rolled_back', 'discarded'];
+
+// Batch without the stored offers, for listings
+function batchSummary(batch) {
+  const { offers, upserts, removals, diff, errors, ...summary } = batch;
+  return summary;
+}
+
+function countDiff(diff, errors) {
+  return {
+    added: diff.added.length,
+    changed: diff.changed.length,
+    removed: diff.removed.length,
+    unchanged: diff.unchanged,
+    invalidRows: errors.length
+  };
+}
+
+class OfferBatchStore {
+  /**
+   * @param {object} options - { file, offerStore, history, clock } (history: OfferHistory, optional;
+   *   clock: current time in milliseconds, Date.now by default)
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.clock = options.clock || Date.now;
+    this.offerStore = options.offerStore;
+    this.history = options.history || null;
+    this.data = { lastVersion: 0, batches: [] };
+  }
+
+  // Load batches and replay the applied ones over the loaded offer files
+  load() {
+    this.data = readJson(this.file, { lastVersion: 0, batches: [] });
+    this.data.batches = this.data.batches || [];
+    this.replay();
+    return this.data.batches.length;
+  }
+
+  save() {
+    writeJson(this.file, this.data);
+  }
+
+  applied() {
+    return this.data.batches
+      .filter(batch => batch.status === 'applied')
+      .sort((a, b) => a.version - b.version);
+  }
+
+  replay() {
+    const batches = this.applied();
+    batches.forEach(batch => this.offerStore.apply(batch));
+    if (batches.length > 0) {
+      logger.info('Applied offer import batches', { batches: batches.length, offers: this.offerStore.size });
+    }
+  }
+
+  // Newest first
+  list() {
+    return this.data.batches
+      .slice()
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(batchSummary);
+  }
+
+  get(id) {
+    return this.data.batches.find(batch => batch.id === id) || null;
+  }
+
+  // Diff of a batch's offers against the current offer store. Offers whose
+  // sheet row failed validation are never removed in replace mode.
+  diff(batch) {
+    const carriers = new Set(batch.carriers.map(carrier => carrier.toLowerCase()));
+    const current = this.offerStore.all().filter(offer => carriers.has(offer.carrier.toLowerCase()));
+    const diff = diffOffers(current, batch.offers, batch.mode, batch.keepFields || []);
+    const invalidIds = new Set(batch.errors.map(error => error.id).filter(Boolean));
+    diff.removed = diff.removed.filter(offer => !invalidIds.has(offer.id));
+    return diff;
+  }
+
+  /**
+   * Record an uploaded sheet as a pending batch.
+   * @param {object} input - { fileName, format, mode, offers, errors, columns, unmapped, keepFields, createdBy }
+   */
+  create(input) {
+    const batch = {
+      id: `imp_${crypto.randomBytes(6).toString('hex')}`,
+      version: null,
+      status: 'pending',
+      fileName: input.fileName,
+      format: input.format,
+      mode: input.mode,
+      carriers: Array.from(new Set(input.offers.map(offer => offer.carrier))).sort(),
+      columns: input.columns,
+      unmapped: input.unmapped,
+      keepFields: input.keepFields || [],
+      createdBy: input.createdBy,
+      createdAt: new Date(this.clock()).toISOString(),
+      offers: input.offers,
+      errors: input.errors
+    };
+
+    const diff = this.diff(batch);
+    batch.summary = countDiff(diff, batch.errors);
+    this.data.batches.push(batch);
+    this.save();
+
+    return { batch, diff };
+  }
+
+  // Apply a pending batch. The diff is recomputed, as other imports may
+  // have been committed since the dry run.
+  commit(id, username) {
+    const batch = this.get(id);
+    if (!batch || batch.status !== 'pending') return null;
+
+    const diff = this.diff(batch);
+    batch.upserts = [...diff.added, ...diff.changed.map(change => change.after)];
+    batch.removals = diff.removed.map(offer => offer.id);
+    batch.diff = {
+      added: diff.added.map(offer => offer.id),
+      changed: diff.changed.map(({ id, changes }) => ({ id, changes })),
+      removed: diff.removed
+    };
+    batch.summary = countDiff(diff, batch.errors);
+    batch.version = ++this.data.lastVersion;
+    batch.status = 'applied';
+    batch.committedBy = username;
+    batch.committedAt = new Date(this.clock()).toISOString();
+    delete batch.offers;
+
+    this.offerStore.apply(batch);
+    this.save();
+    this.recordRevisions('import', batch, username);
+    return { batch, diff };
+  }
+
+  // Undo an applied batch by rebuilding the offers without it
+  rollback(id, username) {
+    const batch = this.get(id);
+    if (!batch || batch.status !== 'applied') return null;
+
+    batch.status = 'rolled_back';
+    batch.rolledBackBy = username;
+    batch.rolledBackAt = new Date(this.clock()).toISOString();
+    this.save();
+
+    this.offerStore.load();
+    this.replay();
+    this.recordRevisions('rollback', batch, username);
+    return batch;
+  }
+
+  recordRevisions(type, batch, username) {
+    if (this.history) {
+      this.history.sync({ type, batchId: batch.id, version: batch.version, fileName: batch.fileName, user: username });
+    }
+  }
+
+  // Drop a pending batch without applying it
+  discard(id, username) {
+    const batch = this.get(id);
+    if (!batch || batch.status !== 'pending') return null;
+
+    batch.status = 'discarded';
+    batch.discardedBy = username;
+    batch.discardedAt = new Date(this.clock()).toISOString();
+    delete batch.offers;
+    this.save();
+    return batch;
+  }
+}
+
+module.exports = { OfferBatchStore, batchSummary, STATUSES };
@@ -0,0 +1,159 @@
+// Dated revision log of reference offers.
+// Whenever the offer set changes (an import is committed or rolled back,
+// or the data files were edited between restarts) the differences with the
+// last recorded state are appended to a JSON-lines file, one revision per
+// added, changed or removed offer. The log is the source for offer history
+// and "what changed" queries.
+
+const fs = require('fs');
+const path = require('path');
+const { offerChanges } = require('./offerStore');
+const { canonicalCarrier } = require('./carriers');
+const { logger } = require('./logger');
+
+const CHANGE_TYPES = ['added', 'changed', 'removed'];
+
+class OfferHistory {
+  /**
+   * @param {object} options - { file, offerStore, clock (current time in milliseconds, Date.now by default) }
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.clock = options.clock || Date.now;
+    this.offerStore = options.offerStore;
+    this.revisions = [];
+    this.known = new Map(); // offer ID -> last recorded version
+  }
+
+  get size() {
+    return this.revisions.length;
+  }
+
+  load() {
+    let content = '';
+    try {
+      content = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Failed to read ${this.file}: ${error.message}`);
+    }
+
+    this.revisions = [];
+    this.known = new Map();
+    let skipped = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.remember(JSON.parse(line));
+      } catch (error) {
+        skipped++; // e.g. a line cut short by a crash
+      }
+    }
+    if (skipped > 0) {
+      logger.warn('Skipped unreadable lines', { file: this.file, lines: skipped });
+    }
+  }
+
+  remember(revision) {
+    this.revisions.push(revision);
+    if (revision.type === 'removed') {
+      this.known.delete(revision.offerId);
+    } else {
+      this.known.set(revision.offerId, revision.offer);
+    }
+  }
+
+  /**
+   * Record the differences between the offer store and the last recorded state.
+   * @param {object} source - what caused the change, e.g. { type: 'import', batchId, version, user }
+   * @returns {object[]} the new revisions
+   */
+  sync(source) {
+    const recordedAt = new Date(this.clock()).toISOString();
+    // The first sync has nothing to compare with; it records the starting point
+    const origin = this.revisions.length === 0 ? { type: 'baseline' } : source;
+    const revisions = [];
+
+    const add = (type, offer, changes) => revisions.push({
+      recordedAt,
+      offerId: offer.id,
+      carrier: offer.carrier,
+      title: offer.title,
+      type,
+      changes,
+      offer,
+      source: origin
+    });
+
+    const current = new Map(this.offerStore.all().map(offer => [offer.id, offer]));
+    for (const [id, offer] of current) {
+      const before = this.known.get(id);
+      if (!before) {
+        add('added', offer, []);
+        continue;
+      }
+      const changes = offerChanges(before, offer);
+      if (changes.length > 0) add('changed', offer, changes);
+    }
+    for (const [id, offer] of this.known) {
+      if (!current.has(id)) add('removed', offer, []);
+    }
+
+    if (revisions.length === 0) return revisions;
+
+    revisions.forEach(revision => this.remember(revision));
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(this.file, revisions.map(revision => JSON.stringify(revision) + '\n').join(''));
+    } catch (error) {
+      logger.error('Failed to write offer revisions', { file: this.file, error: error.message });
+    }
+
+    if (origin.type !== 'baseline') {
+      logger.info('Recorded offer revisions', { revisions: revisions.length, origin: origin.type });
+    }
+    return revisions;
+  }
+
+  // Revisions of one offer, oldest first
+  history(offerId) {
+    const id = String(offerId).toLowerCase();
+    return this.revisions.filter(revision => revision.offerId === id);
+  }
+
+  /**
+   * Changes matching filters, newest first. Baseline revisions (the state
+   * when tracking started) are not changes and are left out.
+   * @param {object} filters - { since, until (ISO date/time, inclusive), carrier (list),
+   *   offerId, type (list), field, limit }
+   */
+  changes(filters = {}) {
+    const carriers = toList(filters.carrier).map(name => (canonicalCarrier(name) || name).toLowerCase());
+    const types = toList(filters.type);
+    const until = filters.until && filters.until.length === 10 ? `${filters.until}T23:59:59.999Z` : filters.until;
+
+    const matches = this.revisions.filter(revision => {
+      if (revision.source.type === 'baseline') return false;
+      if (filters.since && revision.recordedAt < filters.since) return false;
+      if (until && revision.recordedAt > until) return false;
+      if (carriers.length && !carriers.includes(revision.carrier.toLowerCase())) return false;
+      if (filters.offerId && revision.offerId !== String(filters.offerId).toLowerCase()) return false;
+      if (types.length && !types.includes(revision.type)) return false;
+      if (filters.field && !revision.changes.some(change => change.field === filters.field)) return false;
+      return true;
+    });
+
+    matches.reverse();
+    return {
+      total: matches.length,
+      changes: filters.limit ? matches.slice(0, filters.limit) : matches
+    };
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+}
+
+module.exports = { OfferHistory, CHANGE_TYPES };
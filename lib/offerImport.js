@@ -0,0 +1,357 @@
+// Parsing and validation of carrier rate sheets (CSV or XLSX) for the
+// admin import pipeline. Sheet columns are mapped onto the offer schema,
+// values are cleaned up (prices like "Rs 1,250", "500 MB", DD/MM/YYYY
+// dates) and every row is validated before anything is imported.
+
+const ExcelJS = require('exceljs');
+const csv = require('./csv');
+const { normalizeOffer, offerChanges, NATIONWIDE } = require('./offerStore');
+const { canonicalCity } = require('./cities');
+const { canonicalCarrier } = require('./carriers');
+
+// Accepted column headings per field, compared after normalizeHeader()
+const FIELD_ALIASES = {
+  id: ['id', 'offer id', 'offer code', 'code', 'bundle id', 'bundle code'],
+  carrier: ['carrier', 'operator', 'network', 'telco'],
+  title: ['title', 'offer', 'offer name', 'bundle', 'bundle name', 'package', 'package name', 'plan', 'plan name', 'name'],
+  planType: ['plantype', 'plan type', 'type', 'connection', 'connection type'],
+  category: ['category', 'bundle type', 'offer type'],
+  cities: ['cities', 'city', 'region', 'regions', 'coverage', 'availability'],
+  pricePKR: ['pricepkr', 'price', 'price pkr', 'price rs', 'rate', 'amount', 'charges'],
+  currency: ['currency'],
+  validityDays: ['validitydays', 'validity', 'validity days', 'days'],
+  dataGB: ['datagb', 'data', 'data gb', 'internet', 'internet gb', 'volume'],
+  onNetMinutes: ['onnetminutes', 'on net', 'onnet', 'on net minutes', 'onnet minutes', 'on net mins'],
+  offNetMinutes: ['offnetminutes', 'off net', 'offnet', 'off net minutes', 'offnet minutes', 'off net mins'],
+  sms: ['sms', 'sms count', 'messages'],
+  effectiveFrom: ['effectivefrom', 'effective from', 'start', 'start date', 'launch date', 'valid from'],
+  effectiveTo: ['effectiveto', 'effective to', 'end', 'end date', 'expiry', 'expiry date', 'valid to', 'valid until'],
+  notes: ['notes', 'remarks', 'comments', 'description']
+};
+
+const IMPORT_FIELDS = Object.keys(FIELD_ALIASES);
+// Fields that must come from a column or a default
+const REQUIRED_FIELDS = ['carrier', 'title', 'planType', 'category', 'pricePKR', 'validityDays', 'effectiveFrom'];
+const PKR_CURRENCIES = ['pkr', 'rs', 'rs.', 'rupees'];
+// Fields an update may leave out; existing offers keep their values
+const OPTIONAL_FIELDS = ['cities', 'dataGB', 'onNetMinutes', 'offNetMinutes', 'sms', 'effectiveTo', 'notes'];
+
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Unwrap ExcelJS cell values (rich text, formulas, hyperlinks) to plain values
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return cellValue(value.result);
+    if ('text' in value) return cellValue(value.text);
+    if ('error' in value) return '';
+  }
+  return value;
+}
+
+/**
+ * Read the rows of an uploaded sheet.
+ * @param {Buffer} buffer
+ * @param {string} format - "csv" or "xlsx"
+ * @param {object} [options] - { sheet } worksheet name for XLSX (default: first)
+ * @returns {Promise<{ headers: string[], rows: { row: number, values: object }[] }>}
+ */
+async function readSheet(buffer, format, options = {}) {
+  let table = [];
+
+  if (format === 'csv') {
+    table = csv.parseRows(buffer.toString('utf8'))
+      .map((values, index) => ({ row: index + 1, values }));
+  } else if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw new ImportError(`Could not read the XLSX file: ${error.message}`);
+    }
+
+    const worksheet = options.sheet ? workbook.getWorksheet(options.sheet) : workbook.worksheets[0];
+    if (!worksheet) {
+      throw new ImportError(options.sheet ? `Worksheet "${options.sheet}" not found` : 'The workbook has no worksheets');
+    }
+
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      // row.values is 1-based
+      const values = row.values.slice(1).map(cellValue);
+      if (values.some(value => String(value).trim() !== '')) {
+        table.push({ row: rowNumber, values });
+      }
+    });
+  } else {
+    throw new ImportError('Only CSV and XLSX files can be imported');
+  }
+
+  if (table.length === 0) {
+    throw new ImportError('The sheet is empty');
+  }
+
+  const headers = table[0].values.map(header => String(header).trim());
+  const rows = table.slice(1).map(({ row, values }) => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = values[index] === undefined ? '' : values[index];
+    });
+    return { row, values: record };
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Work out which column feeds which offer field.
+ * @param {string[]} headers
+ * @param {object} [overrides] - { "Sheet heading": "field" } (field "" or null ignores a column)
+ * @returns {{ columns: object, unmapped: string[] }} columns maps field -> heading
+ */
+function mapColumns(headers, overrides = {}) {
+  const columns = {};
+  const unmapped = [];
+
+  for (const [header, field] of Object.entries(overrides)) {
+    if (field && !IMPORT_FIELDS.includes(field)) {
+      throw new ImportError(`Unknown field "${field}" in column mapping. Fields: ${IMPORT_FIELDS.join(', ')}`);
+    }
+    if (!headers.includes(header)) {
+      throw new ImportError(`Column "${header}" in the mapping is not in the sheet`);
+    }
+  }
+
+  for (const header of headers) {
+    let field;
+    if (header in overrides) {
+      field = overrides[header] || null;
+    } else {
+      const key = normalizeHeader(header);
+      field = IMPORT_FIELDS.find(name => FIELD_ALIASES[name].includes(key)) || null;
+    }
+
+    if (field && !columns[field]) {
+      columns[field] = header;
+    } else {
+      unmapped.push(header);
+    }
+  }
+
+  return { columns, unmapped };
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+// "Rs. 1,250" / "PKR 999" / 1250 -> number; other currencies are rejected
+function parsePrice(value, errors) {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+  if (/[$€£]|usd|eur|gbp/i.test(text)) {
+    errors.push(`price "${text}" is not in PKR`);
+    return NaN;
+  }
+  return Number(text.replace(/pkr|rs\.?|rupees|\/-|,|\s/gi, ''));
+}
+
+// "10 GB", "500 MB", 10 -> GB
+function parseDataGB(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value).trim().match(/^([\d.,]+)\s*(gb|mb)?$/i);
+  if (!match) return NaN;
+  const amount = Number(match[1].replace(/,/g, ''));
+  return match[2] && match[2].toLowerCase() === 'mb' ? Math.round((amount / 1024) * 100) / 100 : amount;
+}
+
+// "1,000" / "1000 mins" / 1000 -> number
+function parseCount(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value).trim().match(/^([\d,]+)\s*(mins?|minutes|sms)?$/i);
+  return match ? Number(match[1].replace(/,/g, '')) : NaN;
+}
+
+// Date cell, YYYY-MM-DD or DD/MM/YYYY (the usual format in Pakistan) -> YYYY-MM-DD
+function parseDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value) ? String(value) : value.toISOString().slice(0, 10);
+  }
+  const text = String(value).trim();
+  const dmy = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dmy) {
+    return `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
+  }
+  return text;
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Turn sheet rows into validated offers.
+ * @param {object[]} rows - from readSheet()
+ * @param {object} columns - field -> heading, from mapColumns()
+ * @param {object} [defaults] - values for fields without a column (carrier, planType, category, effectiveFrom, ...)
+ * @returns {{ offers: object[], errors: { row: number, errors: string[] }[] }}
+ */
+function buildOffers(rows, columns, defaults = {}) {
+  const missing = REQUIRED_FIELDS.filter(field => !columns[field] && isBlank(defaults[field]));
+  if (missing.length > 0) {
+    throw new ImportError(`No column found for: ${missing.join(', ')}. Add a column mapping or a default value.`);
+  }
+
+  const offers = [];
+  const errors = [];
+  const seenIds = new Map();
+
+  for (const { row, values } of rows) {
+    const rowErrors = [];
+    const pick = field => {
+      const value = columns[field] ? values[columns[field]] : undefined;
+      return isBlank(value) ? defaults[field] : value;
+    };
+
+    // Old brand names ("Mobilink") are filed under today's carrier; names
+    // that are not a known carrier are refused like unknown cities
+    const carrierText = pick('carrier');
+    const carrier = canonicalCarrier(carrierText);
+    if (!carrier && !isBlank(carrierText)) rowErrors.push(`unknown carrier "${String(carrierText).trim()}"`);
+
+    const raw = {
+      carrier: carrier || carrierText,
+      title: pick('title'),
+      planType: String(pick('planType') || '').replace(/[\s-]/g, ''),
+      category: pick('category'),
+      notes: pick('notes')
+    };
+
+    const currency = pick('currency');
+    if (!isBlank(currency) && !PKR_CURRENCIES.includes(String(currency).trim().toLowerCase())) {
+      rowErrors.push(`currency must be PKR (got "${currency}")`);
+    }
+
+    const price = pick('pricePKR');
+    const priceErrors = [];
+    raw.pricePKR = isBlank(price) ? undefined : parsePrice(price, priceErrors);
+    rowErrors.push(...priceErrors);
+
+    const validity = pick('validityDays');
+    raw.validityDays = isBlank(validity) ? undefined : parseCount(String(validity).replace(/\s*days?$/i, ''));
+
+    const data = pick('dataGB');
+    raw.dataGB = isBlank(data) ? 0 : parseDataGB(data);
+    for (const field of ['onNetMinutes', 'offNetMinutes', 'sms']) {
+      const value = pick(field);
+      raw[field] = isBlank(value) ? 0 : parseCount(value);
+    }
+
+    const effectiveFrom = pick('effectiveFrom');
+    raw.effectiveFrom = isBlank(effectiveFrom) ? '' : parseDate(effectiveFrom);
+    const effectiveTo = pick('effectiveTo');
+    raw.effectiveTo = isBlank(effectiveTo) ? null : parseDate(effectiveTo);
+
+    // Cities: any of ; , / | as separator, checked against known cities
+    const cityText = pick('cities');
+    const cities = [];
+    for (const name of String(isBlank(cityText) ? NATIONWIDE : cityText).split(/[;,/|]/)) {
+      if (!name.trim()) continue;
+      const city = canonicalCity(name);
+      if (city) cities.push(city); else rowErrors.push(`unknown city "${name.trim()}"`);
+    }
+    raw.cities = cities.includes(NATIONWIDE) ? [NATIONWIDE] : Array.from(new Set(cities));
+
+    // Sheets often have no IDs; derive a stable one from carrier and title
+    const id = pick('id');
+    raw.id = isBlank(id) ? slugify(`${raw.carrier || ''} ${raw.title || ''}`) : String(id).trim();
+
+    // A foreign-currency price has been reported already
+    const { offer, errors: schemaErrors } = normalizeOffer(raw);
+    rowErrors.push(...schemaErrors.filter(error => !(priceErrors.length > 0 && error.startsWith('pricePKR'))));
+
+    if (rowErrors.length === 0 && seenIds.has(offer.id)) {
+      rowErrors.push(`duplicate offer id "${offer.id}" (also on row ${seenIds.get(offer.id)})`);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row, id: offer.id || null, errors: rowErrors });
+    } else {
+      seenIds.set(offer.id, row);
+      offers.push(offer);
+    }
+  }
+
+  return { offers, errors };
+}
+
+// Optional fields the sheet has no column (or default) for
+function missingFields(columns, defaults = {}) {
+  return OPTIONAL_FIELDS.filter(field => !columns[field] && isBlank(defaults[field]));
+}
+
+/**
+ * Compare imported offers with the current ones.
+ * In "replace" mode, current offers of the imported carriers that are not
+ * in the sheet are removed; "upsert" mode never removes anything.
+ * Fields listed in keepFields are taken from the current offer.
+ * @returns {{ added: object[], changed: object[], removed: object[], unchanged: number }}
+ */
+function diffOffers(currentOffers, importedOffers, mode = 'replace', keepFields = []) {
+  const current = new Map(currentOffers.map(offer => [offer.id, offer]));
+  const importedIds = new Set(importedOffers.map(offer => offer.id));
+  const carriers = new Set(importedOffers.map(offer => offer.carrier.toLowerCase()));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const imported of importedOffers) {
+    const before = current.get(imported.id);
+    if (!before) {
+      added.push(imported);
+      continue;
+    }
+
+    const offer = { ...imported };
+    for (const field of keepFields) {
+      if (before[field] === undefined) delete offer[field]; else offer[field] = before[field];
+    }
+
+    const changes = offerChanges(before, offer);
+
+    if (changes.length > 0) {
+      changed.push({ id: offer.id, before, after: offer, changes });
+    } else {
+      unchanged++;
+    }
+  }
+
+  const removed = mode === 'replace'
+    ? currentOffers.filter(offer => carriers.has(offer.carrier.toLowerCase()) && !importedIds.has(offer.id))
+    : [];
+
+  return { added, changed, removed, unchanged };
+}
+
+// An import problem to report to the uploader (400) rather than a server fault
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+module.exports = {
+  readSheet,
+  mapColumns,
+  buildOffers,
+  diffOffers,
+  missingFields,
+  ImportError,
+  IMPORT_FIELDS,
+  FIELD_ALIASES
+};
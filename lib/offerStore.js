@@ -0,0 +1,291 @@
+// Local carrier reference offer database.
+// Loads offer records from JSON and CSV files on disk and provides
+// structured search (filtering, sorting and pagination) over them.
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('./csv');
+const { NATIONWIDE, canonicalCity } = require('./cities');
+const { canonicalCarrier } = require('./carriers');
+const { logger } = require('./logger');
+
+const PLAN_TYPES = ['prepaid', 'postpaid'];
+const CATEGORIES = ['data', 'voice', 'sms', 'hybrid', 'enterprise'];
+
+const NUMERIC_FIELDS = ['pricePKR', 'validityDays', 'dataGB', 'onNetMinutes', 'offNetMinutes', 'sms'];
+
+const SORT_FIELDS = {
+  price: 'pricePKR',
+  validity: 'validityDays',
+  data: 'dataGB',
+  minutes: 'onNetMinutes',
+  carrier: 'carrier',
+  title: 'title',
+  effectiveFrom: 'effectiveFrom'
+};
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 20;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fields compared when looking for changes between two versions of an offer
+const TRACKED_FIELDS = [
+  'carrier', 'title', 'planType', 'category', 'cities', 'pricePKR', 'validityDays', 'dataGB',
+  'onNetMinutes', 'offNetMinutes', 'sms', 'effectiveFrom', 'effectiveTo', 'notes'
+];
+
+// Coerce a raw record (from JSON or CSV) into the offer schema.
+// Returns { offer, errors } - the offer is only usable when errors is empty.
+function normalizeOffer(raw) {
+  const errors = [];
+  const offer = {};
+
+  offer.id = String(raw.id || '').trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(offer.id)) {
+    errors.push('id must contain only lowercase letters, digits and dashes');
+  }
+
+  for (const field of ['carrier', 'title']) {
+    offer[field] = String(raw[field] || '').trim();
+    if (!offer[field]) errors.push(`${field} is required`);
+  }
+
+  offer.planType = String(raw.planType || '').trim().toLowerCase();
+  if (!PLAN_TYPES.includes(offer.planType)) {
+    errors.push(`planType must be one of: ${PLAN_TYPES.join(', ')}`);
+  }
+
+  offer.category = String(raw.category || '').trim().toLowerCase();
+  if (!CATEGORIES.includes(offer.category)) {
+    errors.push(`category must be one of: ${CATEGORIES.join(', ')}`);
+  }
+
+  const cities = Array.isArray(raw.cities) ? raw.cities : String(raw.cities || '').split(';');
+  offer.cities = cities.map(c => String(c).trim()).filter(Boolean);
+  if (offer.cities.length === 0) offer.cities = [NATIONWIDE];
+
+  for (const field of NUMERIC_FIELDS) {
+    const value = raw[field] === '' || raw[field] === undefined || raw[field] === null ? 0 : Number(raw[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+    offer[field] = value;
+  }
+  if (offer.pricePKR <= 0) errors.push('pricePKR must be greater than 0');
+  if (offer.validityDays <= 0) errors.push('validityDays must be greater than 0');
+
+  offer.effectiveFrom = String(raw.effectiveFrom || '').trim();
+  if (!DATE_PATTERN.test(offer.effectiveFrom) || isNaN(Date.parse(offer.effectiveFrom))) {
+    errors.push('effectiveFrom must be a date in YYYY-MM-DD format');
+  }
+
+  offer.effectiveTo = raw.effectiveTo ? String(raw.effectiveTo).trim() : null;
+  if (offer.effectiveTo && (!DATE_PATTERN.test(offer.effectiveTo) || isNaN(Date.parse(offer.effectiveTo)))) {
+    errors.push('effectiveTo must be a date in YYYY-MM-DD format');
+  } else if (offer.effectiveTo && offer.effectiveTo < offer.effectiveFrom) {
+    errors.push('effectiveTo must not be before effectiveFrom');
+  }
+
+  if (raw.notes) offer.notes = String(raw.notes).trim();
+
+  return { offer, errors };
+}
+
+// Field-level differences between two versions of an offer:
+// [{ field, from, to }] (missing values are reported as null)
+function offerChanges(before, after) {
+  const value = v => v === undefined ? null : v;
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(value(before[field])) !== JSON.stringify(value(after[field])))
+    .map(field => ({ field, from: value(before[field]), to: value(after[field]) }));
+}
+
+// Is the offer in effect on the given YYYY-MM-DD date?
+function isActive(offer, date) {
+  return offer.effectiveFrom <= date && (!offer.effectiveTo || offer.effectiveTo >= date);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+class OfferStore {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir;
+    this.offers = new Map();
+    this.version = 0; // bumped on every change, e.g. to invalidate cached answers
+  }
+
+  // (Re)load every .json and .csv file in the data directory
+  load() {
+    const offers = new Map();
+    let files = [];
+
+    try {
+      files = fs.readdirSync(this.dataDir)
+        .filter(file => /\.(json|csv)$/i.test(file))
+        .sort();
+    } catch (error) {
+      logger.warn('Offer data directory not readable', { dir: this.dataDir, error: error.message });
+    }
+
+    for (const file of files) {
+      const filePath = path.join(this.dataDir, file);
+      let records;
+
+      try {
+        const text = fs.readFileSync(filePath, 'utf8');
+        records = file.toLowerCase().endsWith('.json') ? JSON.parse(text) : csv.parse(text);
+        if (!Array.isArray(records)) {
+          throw new Error('expected an array of offers');
+        }
+      } catch (error) {
+        logger.error('Failed to load offers', { file, error: error.message });
+        continue;
+      }
+
+      records.forEach((raw, index) => {
+        const { offer, errors } = normalizeOffer(raw);
+        if (errors.length > 0) {
+          logger.warn('Skipping invalid offer', { file, row: index + 1, errors });
+          return;
+        }
+        if (offers.has(offer.id)) {
+          logger.warn('Duplicate offer id, keeping the first one', { file, offerId: offer.id });
+          return;
+        }
+        offers.set(offer.id, offer);
+      });
+    }
+
+    this.offers = offers;
+    this.version++;
+    logger.info('Loaded reference offers', { offers: offers.size, files: files.length });
+    return offers.size;
+  }
+
+  // Apply an import batch on top of the loaded offers
+  apply({ upserts = [], removals = [] }) {
+    for (const offer of upserts) {
+      this.offers.set(offer.id, offer);
+    }
+    for (const id of removals) {
+      this.offers.delete(id);
+    }
+    this.version++;
+  }
+
+  get(id) {
+    return this.offers.get(String(id).toLowerCase()) || null;
+  }
+
+  all() {
+    return Array.from(this.offers.values());
+  }
+
+  // Every offer in effect on the date (YYYY-MM-DD, today by default)
+  active(date = today()) {
+    return this.all().filter(offer => isActive(offer, date));
+  }
+
+  // Distinct carriers with offer counts
+  listCarriers() {
+    const counts = new Map();
+    for (const offer of this.offers.values()) {
+      counts.set(offer.carrier, (counts.get(offer.carrier) || 0) + 1);
+    }
+    return Array.from(counts, ([name, offers]) => ({ name, offers }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Distinct cities (excluding the nationwide marker)
+  listCities() {
+    const cities = new Set();
+    for (const offer of this.offers.values()) {
+      offer.cities.forEach(city => city !== NATIONWIDE && cities.add(city));
+    }
+    return Array.from(cities).sort();
+  }
+
+  // Filter, sort and paginate offers.
+  // Filters: carrier, city, planType, category, minPrice, maxPrice, minData,
+  // minValidity, maxValidity, q (free text), activeOn (YYYY-MM-DD), includeExpired
+  // Carrier and city accept other names too ("Mobilink", "Isb").
+  search(filters = {}) {
+    const {
+      carrier, city, planType, category,
+      minPrice, maxPrice, minData, minValidity, maxValidity,
+      q, activeOn, includeExpired = false,
+      sort = 'price', order = 'asc',
+      page = 1, pageSize = DEFAULT_PAGE_SIZE
+    } = filters;
+
+    const carriers = toList(carrier).map(name => (canonicalCarrier(name) || name).toLowerCase());
+    const cityName = city ? (canonicalCity(city) || String(city)).toLowerCase() : null;
+    const categories = toList(category);
+    const date = activeOn || today();
+    const terms = q ? String(q).toLowerCase().split(/\s+/).filter(Boolean) : [];
+
+    let results = (includeExpired ? this.all() : this.active(date)).filter(offer => {
+      if (carriers.length && !carriers.includes(offer.carrier.toLowerCase())) return false;
+      if (cityName && !offer.cities.some(c => c === NATIONWIDE || c.toLowerCase() === cityName)) return false;
+      if (planType && offer.planType !== String(planType).toLowerCase()) return false;
+      if (categories.length && !categories.includes(offer.category)) return false;
+      if (minPrice !== undefined && offer.pricePKR < minPrice) return false;
+      if (maxPrice !== undefined && offer.pricePKR > maxPrice) return false;
+      if (minData !== undefined && offer.dataGB < minData) return false;
+      if (minValidity !== undefined && offer.validityDays < minValidity) return false;
+      if (maxValidity !== undefined && offer.validityDays > maxValidity) return false;
+      if (terms.length) {
+        const haystack = [offer.id, offer.carrier, offer.title, offer.category, offer.planType, offer.notes || '', ...offer.cities]
+          .join(' ').toLowerCase();
+        if (!terms.every(term => haystack.includes(term))) return false;
+      }
+      return true;
+    });
+
+    const sortField = SORT_FIELDS[sort] || SORT_FIELDS.price;
+    const direction = order === 'desc' ? -1 : 1;
+    results.sort((a, b) => {
+      const left = a[sortField];
+      const right = b[sortField];
+      const cmp = typeof left === 'number' ? left - right : String(left).localeCompare(String(right));
+      return cmp * direction || a.id.localeCompare(b.id);
+    });
+
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+    const total = results.length;
+
+    return {
+      items: results.slice((currentPage - 1) * size, currentPage * size),
+      total,
+      page: currentPage,
+      pageSize: size,
+      totalPages: Math.ceil(total / size)
+    };
+  }
+
+  get size() {
+    return this.offers.size;
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+}
+
+module.exports = {
+  OfferStore,
+  normalizeOffer,
+  offerChanges,
+  isActive,
+  PLAN_TYPES,
+  CATEGORIES,
+  SORT_FIELDS,
+  TRACKED_FIELDS,
+  NATIONWIDE
+};
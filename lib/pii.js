@@ -0,0 +1,21 @@
+// Personal data that must not end up in logs: email addresses, Pakistani
+// CNIC numbers and mobile/landline phone numbers.
+
+const PII_PATTERNS = [
+  { type: 'email', pattern: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi },
+  // 12345-1234567-1, also without dashes
+  { type: 'cnic', pattern: /\b\d{5}-?\d{7}-?\d\b/g },
+  // 0300-1234567, +92 300 1234567, 0092 300 1234567, 042-35761234
+  { type: 'phone', pattern: /(?:\+92|\b0092|\b0)[\s-]?\d{2,3}[\s-]?\d{7,8}\b/g }
+];
+
+// Replace personal data in a piece of text with [EMAIL], [CNIC] or [PHONE]
+function redactPII(text) {
+  let value = String(text);
+  for (const { type, pattern } of PII_PATTERNS) {
+    value = value.replace(pattern, `[${type.toUpperCase()}]`);
+  }
+  return value;
+}
+
+module.exports = { PII_PATTERNS, redactPII };
@@ -0,0 +1,69 @@
+// Model prices for cost accounting, in USD per 1M tokens.
+// Estimates only; override or extend them with a JSON file of the same
+// shape (PRICING_FILE). Models without a price are reported as unpriced.
+
+const { readJson } = require('./jsonFile');
+const { ConfigError } = require('./config');
+
+const DEFAULT_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'mock-1': { input: 0, output: 0 }
+};
+
+// Defaults merged with the overrides in file (if any). Throws ConfigError
+// listing every bad price, like the startup check of the other settings.
+function loadPricing(file) {
+  const pricing = { ...DEFAULT_PRICING };
+  if (!file) return pricing;
+
+  let overrides;
+  try {
+    overrides = readJson(file, {});
+  } catch (error) {
+    throw new ConfigError([`PRICING_FILE "${file}" is not valid JSON`]);
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new ConfigError([`PRICING_FILE "${file}" must map model names to prices`]);
+  }
+
+  const problems = [];
+  for (const [model, price] of Object.entries(overrides)) {
+    if (!price || !Number.isFinite(price.input) || !Number.isFinite(price.output) ||
+        price.input < 0 || price.output < 0) {
+      problems.push(`PRICING_FILE "${file}": invalid price for "${model}", expected { "input": number, "output": number }`);
+      continue;
+    }
+    pricing[model] = { input: price.input, output: price.output };
+  }
+  if (problems.length > 0) throw new ConfigError(problems);
+  return pricing;
+}
+
+// Price for a model; dated snapshots such as "gpt-4o-mini-2024-07-18" use
+// the longest matching model name
+function priceFor(pricing, model) {
+  if (!model) return null;
+  if (pricing[model]) return pricing[model];
+
+  const match = Object.keys(pricing)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? pricing[match] : null;
+}
+
+// Estimated cost in USD, or null if the model has no price
+function estimateCost(pricing, model, promptTokens, completionTokens) {
+  const price = priceFor(pricing, model);
+  if (!price) return null;
+
+  const cost = (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+module.exports = { DEFAULT_PRICING, loadPricing, priceFor, estimateCost };
@@ -0,0 +1,159 @@
+// Prompt profiles: named system prompts with their own sampling settings.
+// Profiles are loaded from <id>.json files in the profiles directory and
+// hot-reloaded when the files change.
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_SETTINGS = {
+  max_tokens: 1500,
+  temperature: 0.7,
+  top_p: 0.9,
+  frequency_penalty: 0.1,
+  presence_penalty: 0.1
+};
+
+// Allowed range for each sampling setting
+const SETTING_RANGES = {
+  max_tokens: [1, 16384],
+  temperature: [0, 2],
+  top_p: [0, 1],
+  frequency_penalty: [-2, 2],
+  presence_penalty: [-2, 2]
+};
+
+const RELOAD_DEBOUNCE_MS = 200;
+
+// Validate a raw profile file. Returns { profile, errors }.
+function normalizeProfile(id, raw) {
+  const errors = [];
+
+  const systemPrompt = Array.isArray(raw.systemPrompt) ? raw.systemPrompt.join('\n') : raw.systemPrompt;
+  if (typeof systemPrompt !== 'string' || systemPrompt.trim().length === 0) {
+    errors.push('systemPrompt is required (string or array of lines)');
+  }
+
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const [key, value] of Object.entries(raw.settings || {})) {
+    const range = SETTING_RANGES[key];
+    if (!range) {
+      errors.push(`unknown setting "${key}"`);
+    } else if (typeof value !== 'number' || value < range[0] || value > range[1]) {
+      errors.push(`${key} must be a number between ${range[0]} and ${range[1]}`);
+    } else {
+      settings[key] = value;
+    }
+  }
+
+  if (raw.model !== undefined && (typeof raw.model !== 'string' || !raw.model)) {
+    errors.push('model must be a non-empty string');
+  }
+
+  return {
+    profile: {
+      id,
+      name: raw.name || id,
+      description: raw.description || '',
+      systemPrompt,
+      model: raw.model || null,
+      settings
+    },
+    errors
+  };
+}
+
+class ProfileStore {
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.defaultProfileId = options.defaultProfile || 'default';
+    this.profiles = new Map();
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  // (Re)load all profiles. A profile file that fails validation keeps its
+  // previously loaded version so a bad edit can't take the chat down.
+  load() {
+    const profiles = new Map();
+    let files = [];
+
+    try {
+      files = fs.readdirSync(this.dir).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      logger.error('Profiles directory not readable', { dir: this.dir, error: error.message });
+    }
+
+    for (const file of files) {
+      const id = path.basename(file, '.json');
+      try {
+        const raw = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        const { profile, errors } = normalizeProfile(id, raw);
+        if (errors.length > 0) {
+          throw new Error(errors.join('; '));
+        }
+        profiles.set(id, profile);
+      } catch (error) {
+        logger.error('Invalid profile', { file, error: error.message });
+        if (this.profiles.has(id)) {
+          profiles.set(id, this.profiles.get(id));
+        }
+      }
+    }
+
+    this.profiles = profiles;
+
+    if (!profiles.has(this.defaultProfileId)) {
+      logger.warn('Default profile not found', { profile: this.defaultProfileId });
+    }
+    logger.info('Loaded prompt profiles', { profiles: Array.from(profiles.keys()) });
+    return profiles.size;
+  }
+
+  // Reload whenever a file in the profiles directory changes
+  watch() {
+    if (this.watcher) return;
+
+    try {
+      this.watcher = fs.watch(this.dir, () => {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          logger.info('Profiles changed, reloading');
+          this.load();
+        }, RELOAD_DEBOUNCE_MS);
+      });
+      this.watcher.unref();
+    } catch (error) {
+      logger.warn('Cannot watch profiles directory', { dir: this.dir, error: error.message });
+    }
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  has(id) {
+    return this.profiles.has(id);
+  }
+
+  // The named profile, or the default profile when id is empty
+  resolve(id) {
+    return this.profiles.get(id || this.defaultProfileId) || null;
+  }
+
+  // Public listing for the frontend picker
+  list() {
+    return Array.from(this.profiles.values()).map(profile => ({
+      id: profile.id,
+      name: profile.name,
+      description: profile.description,
+      default: profile.id === this.defaultProfileId
+    }));
+  }
+}
+
+module.exports = { ProfileStore, normalizeProfile, DEFAULT_SETTINGS };
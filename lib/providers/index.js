@@ -0,0 +1,62 @@
+// LLM provider selection.
+// Every provider exposes an OpenAI-shaped `client` (chat.completions.create)
+// so the chat pipeline works the same whichever backend is configured.
+
+const { createOpenAIProvider, createCompatibleProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+const { createResilientClient } = require('../resilience');
+
+const PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+
+/**
+ * Create the provider named by config. Its client gets timeouts, retries
+ * and a circuit breaker (provider.breaker) unless resilience is false.
+ * @param {object} config - { provider, apiKey, baseURL, model, supportsTools, mockScriptPath,
+ *   resilience } (resilience: options for lib/resilience.js createResilientClient)
+ */
+function createProvider(config = {}) {
+  const provider = createBaseProvider(config);
+  if (provider.client && config.resilience !== false) {
+    const { chat, breaker } = createResilientClient(provider.client, config.resilience);
+    provider.client = { chat };
+    provider.breaker = breaker;
+  }
+  return provider;
+}
+
+function createBaseProvider(config) {
+  const name = config.provider || 'openai';
+
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider({ apiKey: config.apiKey, model: config.model });
+
+    case 'openai-compatible':
+      return createCompatibleProvider({
+        apiKey: config.apiKey,
+        baseURL: config.baseURL,
+        model: config.model,
+        supportsTools: config.supportsTools
+      });
+
+    case 'mock':
+      return createMockProvider({ model: config.model, scriptPath: config.mockScriptPath });
+
+    default:
+      throw new Error(`Unknown LLM provider "${name}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+// Public description of a provider for health checks
+function describeProvider(provider) {
+  return {
+    name: provider.name,
+    model: provider.model,
+    baseURL: provider.baseURL || undefined,
+    configured: !!provider.client,
+    supportsTools: provider.supportsTools,
+    circuit: provider.breaker ? provider.breaker.status() : undefined
+  };
+}
+
+module.exports = { createProvider, describeProvider, PROVIDERS };
@@ -0,0 +1,187 @@
+// Deterministic mock LLM provider for development, demos and tests.
+// Implements the subset of the OpenAI client used by the chat pipeline
+// (chat.completions.create, streaming and non-streaming) and answers from
+// a script of { match, reply, toolCalls, error, delayMs } rules instead of a
+// model. An error with "times" fails only the first few matching calls, to
+// try out retries; delayMs holds the answer back, to try out timeouts.
+
+const fs = require('fs');
+
+const DEFAULT_SCRIPT = [
+  {
+    match: '^(hi|hello|hey|salam|assalam)',
+    reply: 'Hello! I am the RDA Carrier Reference Agent (mock mode). Ask me about carrier offers and pricing.'
+  }
+];
+
+const MOCK_MODEL = 'mock-1';
+
+// Rough token count so usage figures look plausible
+function countTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function lastUserMessage(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === 'user') return { message: messages[i], index: i };
+  }
+  return { message: null, index: -1 };
+}
+
+// Build the fallback reply from the grounding context, quoting the first
+// few reference records so sources and citations work in mock mode
+function contextReply(messages) {
+  const context = messages.find(m => m.role === 'system' && /^Reference offer records/.test(m.content || ''));
+  const toolResults = messages.filter(m => m.role === 'tool');
+
+  const lines = context ? context.content.split('\n').filter(line => line.startsWith('[')) : [];
+  if (lines.length === 0 && toolResults.length === 0) {
+    return 'I could not find matching reference offers for that question (mock mode). Try naming a carrier, city or plan type.';
+  }
+
+  const summary = lines.slice(0, 3).map(line => `- ${line}`).join('\n');
+  return `Here are the matching reference offers (mock mode):\n${summary || '- See the tool results above.'}`;
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        const error = new Error('Request was aborted');
+        error.name = 'AbortError';
+        reject(error);
+      }, { once: true });
+    }
+  });
+}
+
+function mockError(spec) {
+  const error = new Error(spec.message || `Mock error: ${spec.code}`);
+  error.code = spec.code;
+  error.status = spec.status || 500;
+  return error;
+}
+
+class MockChatCompletions {
+  constructor(script) {
+    this.script = script;
+    this.failures = new Map(); // rule -> errors thrown so far
+  }
+
+  findRule(text) {
+    return this.script.find(rule => new RegExp(rule.match, 'i').test(text)) || null;
+  }
+
+  // Decide the assistant message for this round
+  respond(params) {
+    const { message, index } = lastUserMessage(params.messages);
+    const text = message ? message.content : '';
+    const rule = this.findRule(text);
+
+    if (rule && rule.error && this.shouldFail(rule)) {
+      throw mockError(rule.error);
+    }
+
+    // Scripted tool calls happen once, on the first round after the question
+    const toolsAlreadyRan = params.messages.slice(index + 1).some(m => m.role === 'tool');
+    if (rule && rule.toolCalls && !toolsAlreadyRan && params.tool_choice !== 'none' && params.tools) {
+      return {
+        role: 'assistant',
+        content: null,
+        tool_calls: rule.toolCalls.map((call, i) => ({
+          id: `mock_call_${i + 1}`,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      };
+    }
+
+    return {
+      role: 'assistant',
+      content: rule && rule.reply ? rule.reply : contextReply(params.messages)
+    };
+  }
+
+  shouldFail(rule) {
+    if (!rule.error.times) return true;
+    const count = this.failures.get(rule) || 0;
+    this.failures.set(rule, count + 1);
+    return count < rule.error.times;
+  }
+
+  usageFor(params, message) {
+    const prompt = params.messages.reduce((sum, m) => sum + countTokens(m.content), 0);
+    const completion = countTokens(message.content) +
+      (message.tool_calls ? countTokens(JSON.stringify(message.tool_calls)) : 0);
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+  }
+
+  async create(params, requestOptions = {}) {
+    const { message: question } = lastUserMessage(params.messages);
+    const rule = this.findRule(question ? question.content : '');
+    if (rule && rule.delayMs) {
+      await delay(rule.delayMs, requestOptions.signal);
+    }
+
+    const message = this.respond(params);
+    const usage = this.usageFor(params, message);
+
+    if (!params.stream) {
+      return {
+        id: `mock-${Date.now()}`,
+        object: 'chat.completion',
+        model: params.model,
+        choices: [{ index: 0, message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }],
+        usage
+      };
+    }
+
+    return this.stream(message, usage, requestOptions.signal);
+  }
+
+  // Yield the message as OpenAI-style stream chunks, one word at a time
+  async *stream(message, usage, signal) {
+    if (message.tool_calls) {
+      yield {
+        choices: [{
+          index: 0,
+          delta: { tool_calls: message.tool_calls.map((call, i) => ({ index: i, ...call })) }
+        }]
+      };
+    } else {
+      for (const piece of message.content.match(/\S+\s*/g) || []) {
+        if (signal && signal.aborted) return;
+        yield { choices: [{ index: 0, delta: { content: piece } }] };
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    yield { choices: [], usage };
+  }
+}
+
+// Load a script file, falling back to the built-in script
+function loadScript(scriptPath) {
+  if (!scriptPath) return DEFAULT_SCRIPT;
+
+  const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  if (!Array.isArray(script)) {
+    throw new Error('Mock script must be an array of { match, reply, toolCalls, error, delayMs } rules');
+  }
+  return script;
+}
+
+function createMockProvider(options = {}) {
+  const script = options.script || loadScript(options.scriptPath);
+
+  return {
+    name: 'mock',
+    model: options.model || MOCK_MODEL,
+    client: { chat: { completions: new MockChatCompletions(script) } },
+    supportsTools: true
+  };
+}
+
+module.exports = { createMockProvider, MockChatCompletions, DEFAULT_SCRIPT };
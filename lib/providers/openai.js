@@ -0,0 +1,50 @@
+// OpenAI and OpenAI-compatible (Ollama, llama.cpp, vLLM, ...) providers.
+// Both use the official SDK; compatible servers only differ by base URL.
+// The SDK's own retries are off: lib/resilience.js retries and times out calls.
+
+const { OpenAI } = require('openai');
+
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini'; // More cost-effective option
+
+function createOpenAIProvider(options = {}) {
+  if (!options.apiKey) {
+    return {
+      name: 'openai',
+      model: options.model || DEFAULT_OPENAI_MODEL,
+      client: null,
+      supportsTools: true,
+      configError: 'OpenAI API is not configured. Please check your API key.'
+    };
+  }
+
+  return {
+    name: 'openai',
+    model: options.model || DEFAULT_OPENAI_MODEL,
+    client: new OpenAI({ apiKey: options.apiKey, maxRetries: 0 }),
+    supportsTools: true
+  };
+}
+
+function createCompatibleProvider(options = {}) {
+  if (!options.baseURL || !options.model) {
+    return {
+      name: 'openai-compatible',
+      model: options.model || null,
+      baseURL: options.baseURL || null,
+      client: null,
+      supportsTools: options.supportsTools !== false,
+      configError: 'LLM provider is not configured. Please set LLM_BASE_URL and LLM_MODEL.'
+    };
+  }
+
+  return {
+    name: 'openai-compatible',
+    model: options.model,
+    baseURL: options.baseURL,
+    // Local servers usually ignore the key, but the SDK requires one
+    client: new OpenAI({ apiKey: options.apiKey || 'not-needed', baseURL: options.baseURL, maxRetries: 0 }),
+    supportsTools: options.supportsTools !== false
+  };
+}
+
+module.exports = { createOpenAIProvider, createCompatibleProvider, DEFAULT_OPENAI_MODEL };
@@ -0,0 +1,105 @@
+// Daily and monthly token budgets per user.
+// Token counts come from the `usage` field of completions and are
+// persisted so budgets survive restarts. Periods are calendar days and
+// months in UTC.
+
+const { readJson, writeJson } = require('./jsonFile');
+
+const SAVE_DEBOUNCE_MS = 1000;
+
+function periodKeys(now = new Date()) {
+  const iso = now.toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+// Seconds until the next UTC day / month starts
+function secondsUntilNextDay(now = new Date()) {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+}
+
+function secondsUntilNextMonth(now = new Date()) {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+}
+
+class QuotaStore {
+  /**
+   * @param {object} options - { file, dailyTokens, monthlyTokens (0 disables a budget), clock }
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.clock = options.clock || Date.now;
+    this.dailyTokens = options.dailyTokens || 0;
+    this.monthlyTokens = options.monthlyTokens || 0;
+    this.users = {};
+    this.saveTimer = null;
+  }
+
+  load() {
+    this.users = readJson(this.file, { users: {} }).users || {};
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    writeJson(this.file, { users: this.users });
+  }
+
+  // Batch writes; usage is recorded on every chat request
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DEBOUNCE_MS);
+    this.saveTimer.unref();
+  }
+
+  // Current counters for a user, rolled over when a period has ended
+  current(userId, now = new Date(this.clock())) {
+    const { day, month } = periodKeys(now);
+    const entry = this.users[userId] || { day, dayTokens: 0, month, monthTokens: 0 };
+
+    if (entry.day !== day) {
+      entry.day = day;
+      entry.dayTokens = 0;
+    }
+    if (entry.month !== month) {
+      entry.month = month;
+      entry.monthTokens = 0;
+    }
+
+    this.users[userId] = entry;
+    return entry;
+  }
+
+  // Is the user within budget? Returns { allowed, scope, retryAfterSeconds }.
+  check(userId, now = new Date(this.clock())) {
+    const entry = this.current(userId, now);
+
+    if (this.monthlyTokens > 0 && entry.monthTokens >= this.monthlyTokens) {
+      return { allowed: false, scope: 'monthly', retryAfterSeconds: secondsUntilNextMonth(now) };
+    }
+    if (this.dailyTokens > 0 && entry.dayTokens >= this.dailyTokens) {
+      return { allowed: false, scope: 'daily', retryAfterSeconds: secondsUntilNextDay(now) };
+    }
+    return { allowed: true };
+  }
+
+  record(userId, tokens, now = new Date(this.clock())) {
+    if (!tokens) return;
+    const entry = this.current(userId, now);
+    entry.dayTokens += tokens;
+    entry.monthTokens += tokens;
+    this.scheduleSave();
+  }
+
+  // Budget status for a user
+  status(userId, now = new Date(this.clock())) {
+    const entry = this.current(userId, now);
+    return {
+      daily: { used: entry.dayTokens, limit: this.dailyTokens || null, period: entry.day },
+      monthly: { used: entry.monthTokens, limit: this.monthlyTokens || null, period: entry.month }
+    };
+  }
+}
+
+module.exports = { QuotaStore };
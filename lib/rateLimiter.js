@@ -0,0 +1,169 @@
+// Request rate limiting for the chat endpoints and sign-in.
+// A sliding-window counter per key (user, IP, session) enforced before the
+// model is called, plus middleware that also checks token budgets.
+
+const WINDOW_MS = 60 * 1000;
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || WINDOW_MS;
+    this.clock = options.clock || Date.now;
+    this.hits = new Map(); // key -> array of request timestamps
+
+    // Forget idle keys so the map doesn't grow forever
+    this.cleanupTimer = setInterval(() => this.cleanup(), this.windowMs);
+    this.cleanupTimer.unref();
+  }
+
+  // Record a request for key if it is within limit.
+  // Returns { allowed, limit, remaining, retryAfterSeconds }.
+  consume(key, limit, now = this.clock()) {
+    const windowStart = now - this.windowMs;
+    const hits = (this.hits.get(key) || []).filter(time => time > windowStart);
+
+    if (hits.length >= limit) {
+      this.hits.set(key, hits);
+      return {
+        allowed: false,
+        limit,
+        remaining: 0,
+        retryAfterSeconds: Math.max(1, Math.ceil((hits[0] + this.windowMs - now) / 1000))
+      };
+    }
+
+    hits.push(now);
+    this.hits.set(key, hits);
+    return { allowed: true, limit, remaining: limit - hits.length, retryAfterSeconds: 0 };
+  }
+
+  // Check several keys at once; nothing is recorded unless all are allowed
+  consumeAll(checks, now = this.clock()) {
+    const windowStart = now - this.windowMs;
+
+    for (const { key, limit, scope } of checks) {
+      const hits = (this.hits.get(key) || []).filter(time => time > windowStart);
+      if (hits.length >= limit) {
+        return {
+          allowed: false,
+          scope,
+          limit,
+          remaining: 0,
+          retryAfterSeconds: Math.max(1, Math.ceil((hits[0] + this.windowMs - now) / 1000))
+        };
+      }
+    }
+
+    let tightest = null;
+    for (const { key, limit, scope } of checks) {
+      const result = this.consume(key, limit, now);
+      if (!tightest || result.remaining < tightest.remaining) {
+        tightest = { ...result, scope };
+      }
+    }
+    return tightest || { allowed: true, remaining: Infinity, retryAfterSeconds: 0 };
+  }
+
+  cleanup(now = this.clock()) {
+    const windowStart = now - this.windowMs;
+    for (const [key, hits] of this.hits) {
+      if (hits.length === 0 || hits[hits.length - 1] <= windowStart) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+function sendLimitError(res, { status = 429, error, code, scope, retryAfterSeconds }) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  res.locals.errorCode = code;
+  return res.status(status).json({ error, code, scope, retryAfter: retryAfterSeconds });
+}
+
+/**
+ * Middleware enforcing per-minute request limits and token budgets before
+ * the chat pipeline runs.
+ * @param {object} options - { rateLimiter, quotaStore, limits: { user, ip, session } }
+ *   (requests per minute; 0 disables a limit)
+ */
+function createChatLimitMiddleware({ rateLimiter, quotaStore, limits }) {
+  return (req, res, next) => {
+    if (quotaStore && req.user) {
+      const budget = quotaStore.check(req.user.id);
+      if (!budget.allowed) {
+        req.log.warn('Token budget exhausted', { scope: budget.scope, user: req.user.username });
+        return sendLimitError(res, {
+          error: `Your ${budget.scope} token budget is used up. It resets in ${formatDuration(budget.retryAfterSeconds)}.`,
+          code: 'token_budget_exceeded',
+          scope: budget.scope,
+          retryAfterSeconds: budget.retryAfterSeconds
+        });
+      }
+    }
+
+    const checks = [];
+    if (limits.user > 0 && req.user) {
+      checks.push({ key: `user:${req.user.id}`, limit: limits.user, scope: 'user' });
+    }
+    if (limits.ip > 0) {
+      checks.push({ key: `ip:${req.ip}`, limit: limits.ip, scope: 'ip' });
+    }
+    if (limits.session > 0 && req.body && typeof req.body.sessionId === 'string') {
+      checks.push({ key: `session:${req.body.sessionId}`, limit: limits.session, scope: 'session' });
+    }
+
+    const rate = rateLimiter.consumeAll(checks);
+    if (!rate.allowed) {
+      req.log.warn('Rate limit hit', { scope: rate.scope, user: req.user ? req.user.username : undefined, ip: req.ip });
+      return sendLimitError(res, {
+        error: `Too many requests. Please wait ${rate.retryAfterSeconds} seconds before trying again.`,
+        code: 'too_many_requests',
+        scope: rate.scope,
+        retryAfterSeconds: rate.retryAfterSeconds
+      });
+    }
+
+    if (checks.length > 0) {
+      res.set('X-RateLimit-Limit', String(rate.limit));
+      res.set('X-RateLimit-Remaining', String(rate.remaining));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware limiting sign-in attempts per client IP and per username, so
+ * passwords cannot be guessed at speed.
+ * @param {object} options - { rateLimiter, limit } (attempts per minute; 0 disables)
+ */
+function createLoginLimitMiddleware({ rateLimiter, limit }) {
+  return (req, res, next) => {
+    if (!(limit > 0)) return next();
+
+    const checks = [{ key: `login-ip:${req.ip}`, limit, scope: 'ip' }];
+    const username = req.body && req.body.username;
+    if (typeof username === 'string' && username) {
+      checks.push({ key: `login-user:${username.trim().toLowerCase()}`, limit, scope: 'user' });
+    }
+
+    const rate = rateLimiter.consumeAll(checks);
+    if (!rate.allowed) {
+      req.log.warn('Login rate limit hit', { scope: rate.scope, ip: req.ip });
+      return sendLimitError(res, {
+        error: `Too many sign-in attempts. Please wait ${rate.retryAfterSeconds} seconds before trying again.`,
+        code: 'too_many_requests',
+        scope: rate.scope,
+        retryAfterSeconds: rate.retryAfterSeconds
+      });
+    }
+    next();
+  };
+}
+
+function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.ceil(seconds / 60)} min`;
+  return `${Math.ceil(seconds / 3600)} h`;
+}
+
+module.exports = { RateLimiter, createChatLimitMiddleware, createLoginLimitMiddleware };
@@ -0,0 +1,239 @@
+// Plan recommendations for a customer's monthly usage. Every offer available
+// in the customer's city is priced for a month of use (bought again as often
+// as its validity requires) and ranked: offers covering all of the usage
+// first, within budget before over budget, then by how much of the usage
+// they cover and by monthly cost. The ranking is computed here from the
+// reference data; the model only writes the explanation.
+
+const { PLAN_TYPES } = require('./offerStore');
+const { canonicalCity } = require('./cities');
+const { LANGUAGES, resolveLanguage, languageInstruction } = require('./language');
+const { comparisonRow } = require('./tools');
+const { observeCompletion } = require('./chat');
+
+const MONTH_DAYS = 30;
+const USAGE_FIELDS = ['dataGB', 'onNetMinutes', 'offNetMinutes', 'sms'];
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+
+const USAGE_LABELS = {
+  dataGB: 'GB of data',
+  onNetMinutes: 'on-net minutes',
+  offNetMinutes: 'off-net minutes',
+  sms: 'SMS'
+};
+
+const EXPLAIN_INSTRUCTION = [
+  'A staff member is choosing a package for a customer. The offers below were ranked from the reference data for the customer\'s monthly usage.',
+  'Monthly cost is the price times the number of purchases needed to cover 30 days; "shortfall" lists usage an offer does not cover.',
+  'In a few short paragraphs, explain why the top offer fits best, when one of the others would be the better choice, and any shortfall or budget problem.',
+  'Do not change the ranking or the numbers, and cite offers by their ID in square brackets.'
+].join(' ');
+
+/**
+ * Parse and validate a usage profile:
+ * { city, planType, dataGB, onNetMinutes, offNetMinutes, sms, budgetPKR, language, limit, explain }
+ * Usage amounts are per month. Returns { usageProfile } or { error }.
+ */
+function parseUsageProfile(body = {}) {
+  const usageProfile = {
+    city: null,
+    planType: null,
+    budgetPKR: null,
+    language: body.language || 'auto',
+    limit: DEFAULT_LIMIT,
+    explain: body.explain !== false
+  };
+
+  if (body.city !== undefined && body.city !== null && body.city !== '') {
+    if (typeof body.city !== 'string') return { error: 'city must be a string' };
+    // Aliases and Urdu spellings ("Pindi", "لاہور") give the name used in the
+    // offer data; anything else would quietly match only nationwide offers
+    if (body.city.trim()) {
+      usageProfile.city = canonicalCity(body.city);
+      if (!usageProfile.city) return { error: 'city must be a known Pakistani city or Nationwide' };
+    }
+  }
+
+  if (body.planType) {
+    const planType = String(body.planType).toLowerCase();
+    if (!PLAN_TYPES.includes(planType)) {
+      return { error: `planType must be one of: ${PLAN_TYPES.join(', ')}` };
+    }
+    usageProfile.planType = planType;
+  }
+
+  for (const field of USAGE_FIELDS) {
+    const value = body[field] === undefined || body[field] === null || body[field] === '' ? 0 : Number(body[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${field} must be a non-negative number` };
+    }
+    usageProfile[field] = value;
+  }
+  if (USAGE_FIELDS.every(field => usageProfile[field] === 0)) {
+    return { error: `Enter some monthly usage: ${USAGE_FIELDS.join(', ')}` };
+  }
+
+  if (body.budgetPKR !== undefined && body.budgetPKR !== null && body.budgetPKR !== '') {
+    const budget = Number(body.budgetPKR);
+    if (!Number.isFinite(budget) || budget <= 0) {
+      return { error: 'budgetPKR must be a positive number' };
+    }
+    usageProfile.budgetPKR = budget;
+  }
+
+  if (usageProfile.language !== 'auto' && !LANGUAGES[usageProfile.language]) {
+    return { error: `language must be one of: auto, ${Object.keys(LANGUAGES).join(', ')}` };
+  }
+
+  if (body.limit !== undefined) {
+    const limit = Number(body.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+    usageProfile.limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  return { usageProfile };
+}
+
+// An offer priced and measured for a month of the customer's usage
+function monthlyPlan(offer, usageProfile) {
+  const purchases = Math.ceil(MONTH_DAYS / offer.validityDays);
+  const monthlyCostPKR = offer.pricePKR * purchases;
+
+  const included = {};
+  const coverage = [];
+  const shortfall = [];
+  for (const field of USAGE_FIELDS) {
+    included[field] = offer[field] * purchases;
+    const needed = usageProfile[field];
+    if (needed === 0) continue;
+    coverage.push(Math.min(included[field] / needed, 1));
+    if (included[field] < needed) {
+      shortfall.push({ field, needed, included: included[field] });
+    }
+  }
+
+  return {
+    offer: comparisonRow(offer),
+    purchasesPerMonth: purchases,
+    monthlyCostPKR,
+    included,
+    fitPercent: Math.round((coverage.reduce((sum, value) => sum + value, 0) / coverage.length) * 100),
+    coversUsage: shortfall.length === 0,
+    shortfall,
+    withinBudget: usageProfile.budgetPKR === null || monthlyCostPKR <= usageProfile.budgetPKR
+  };
+}
+
+function compareRecommendations(a, b) {
+  return (b.coversUsage - a.coversUsage) ||
+    (b.withinBudget - a.withinBudget) ||
+    (b.fitPercent - a.fitPercent) ||
+    (a.monthlyCostPKR - b.monthlyCostPKR) ||
+    a.offer.id.localeCompare(b.offer.id);
+}
+
+/**
+ * Rank the offers available in the customer's city (and plan type) for
+ * their monthly usage.
+ * @returns {{ considered, covering, recommendations }} the best `limit` offers, with rank
+ */
+function rankOffers(offerStore, usageProfile) {
+  const candidates = [];
+  for (let page = 1; ; page++) {
+    const { items, totalPages } = offerStore.search({
+      city: usageProfile.city || undefined,
+      planType: usageProfile.planType || undefined,
+      page,
+      pageSize: 100
+    });
+    candidates.push(...items);
+    if (page >= totalPages) break;
+  }
+
+  const plans = candidates.map(offer => monthlyPlan(offer, usageProfile)).sort(compareRecommendations);
+  return {
+    considered: plans.length,
+    covering: plans.filter(plan => plan.coversUsage).length,
+    recommendations: plans.slice(0, usageProfile.limit).map((plan, index) => ({ rank: index + 1, ...plan }))
+  };
+}
+
+// The customer's usage in one sentence, as the question for the model
+function describeUsage(usageProfile) {
+  const amounts = USAGE_FIELDS
+    .filter(field => usageProfile[field] > 0)
+    .map(field => `${usageProfile[field]} ${USAGE_LABELS[field]}`);
+  return [
+    `Which package fits a customer using ${amounts.join(', ')} a month`,
+    usageProfile.city ? ` in ${usageProfile.city}` : '',
+    usageProfile.planType ? ` on a ${usageProfile.planType} plan` : '',
+    usageProfile.budgetPKR !== null ? ` with a budget of PKR ${usageProfile.budgetPKR}` : '',
+    '?'
+  ].join('');
+}
+
+/**
+ * Ask the model to explain a ranking.
+ * @param {object} deps - { provider, profile, metrics, guardrails, auditContext } (metrics
+ *   and guardrails are optional)
+ * @param {object} options - { signal }
+ * @returns {Promise<{ explanation, usage, language }>}
+ * @throws {GuardrailError} when the question or the explanation is refused
+ */
+async function explainRecommendations(deps, usageProfile, ranking, options = {}) {
+  const { provider, profile } = deps;
+  let question = describeUsage(usageProfile);
+  // Screened like a chat message before it reaches the prompt
+  if (deps.guardrails) question = deps.guardrails.screenInput(question, deps.auditContext).text;
+  const language = resolveLanguage(usageProfile.language, question);
+
+  const { limit, explain, ...customer } = usageProfile;
+  const offers = ranking.recommendations.map(({ rank, offer, purchasesPerMonth, monthlyCostPKR, fitPercent, shortfall, withinBudget }) => ({
+    rank, ...offer, purchasesPerMonth, monthlyCostPKR, fitPercent, shortfall, withinBudget
+  }));
+  const params = {
+    model: profile.model || provider.model,
+    ...profile.settings,
+    messages: [
+      { role: 'system', content: profile.systemPrompt },
+      { role: 'system', content: `${EXPLAIN_INSTRUCTION}\n\n${JSON.stringify({ customer, offers })}` },
+      { role: 'system', content: languageInstruction(language) },
+      { role: 'user', content: question }
+    ]
+  };
+
+  const started = process.hrtime.bigint();
+  let completion;
+  try {
+    completion = await provider.client.chat.completions.create(params, options.signal ? { signal: options.signal } : undefined);
+    observeCompletion(deps, params.model, started, 'success');
+  } catch (error) {
+    observeCompletion(deps, params.model, started, error.name === 'AbortError' ? 'cancelled' : 'error');
+    throw error;
+  }
+
+  const usage = completion.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let explanation = completion.choices[0].message.content || '';
+  if (deps.guardrails) {
+    try {
+      explanation = deps.guardrails.screenOutput(explanation, { ...deps.auditContext, systemPrompt: profile.systemPrompt }).text;
+    } catch (error) {
+      error.usage = usage;
+      throw error;
+    }
+  }
+  return { explanation, usage, language };
+}
+
+module.exports = {
+  parseUsageProfile,
+  rankOffers,
+  monthlyPlan,
+  describeUsage,
+  explainRecommendations,
+  USAGE_FIELDS,
+  MONTH_DAYS
+};
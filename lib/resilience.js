@@ -0,0 +1,267 @@
+// Resilient model calls: a per-call timeout, retries with exponential
+// backoff and jitter for errors that are worth retrying, and a circuit
+// breaker that stops calling an upstream that keeps failing so requests fail
+// fast instead of piling up. Wraps the provider's OpenAI-shaped client, so
+// the chat pipeline doesn't change.
+
+const { logger } = require('./logger');
+
+const DEFAULTS = {
+  timeoutMs: 30000,
+  maxRetries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  failureThreshold: 5,
+  resetTimeoutMs: 30000
+};
+
+class UpstreamTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`The model did not respond within ${Math.round(timeoutMs / 1000)} seconds`);
+    this.name = 'UpstreamTimeoutError';
+    this.code = 'upstream_timeout';
+  }
+}
+
+class CircuitOpenError extends Error {
+  constructor(retryAfterSeconds) {
+    super('The model provider is failing; calls are paused');
+    this.name = 'CircuitOpenError';
+    this.code = 'circuit_open';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// Errors that say nothing about the request itself: timeouts, dropped
+// connections, rate limits and server errors. Cancellations and client
+// errors (bad key, quota, context length) are final.
+function isRetryable(error) {
+  if (error.name === 'AbortError' || error instanceof CircuitOpenError) return false;
+  if (error instanceof UpstreamTimeoutError) return true;
+  if (['insufficient_quota', 'invalid_api_key', 'context_length_exceeded'].includes(error.code)) return false;
+  if (error.status === undefined) return !/abort/i.test(error.message); // connection errors
+  return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+}
+
+// Full jitter: a random delay up to the exponential backoff for this attempt
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+function abortError() {
+  const error = new Error('Request was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Call fn(signal) with a time limit. The signal is aborted on timeout and
+ * whenever the caller's signal is, so cancellation still reaches a stream
+ * that outlives the call. For streams the limit covers the wait for the
+ * response to start, not the whole stream.
+ */
+function withTimeout(fn, timeoutMs, parentSignal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (parentSignal) {
+    if (parentSignal.aborted) controller.abort();
+    else parentSignal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  let timer;
+  const calls = [fn(controller.signal)];
+  if (timeoutMs) {
+    calls.push(new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new UpstreamTimeoutError(timeoutMs));
+      }, timeoutMs);
+    }));
+  }
+
+  // The caller's signal outlives the attempt (retries, long requests), so
+  // stop listening to it once the attempt is over. A stream that is still
+  // being read keeps the listener, so cancelling still ends the stream.
+  const stopForwarding = () => {
+    if (parentSignal) parentSignal.removeEventListener('abort', onAbort);
+  };
+  return Promise.race(calls).then(result => {
+    if (!isStream(result)) stopForwarding();
+    return result;
+  }, error => {
+    stopForwarding();
+    throw error;
+  }).finally(() => clearTimeout(timer));
+}
+
+function isStream(value) {
+  return !!value && typeof value[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * Run fn(attempt) and retry retryable failures with backoff.
+ * @param {object} options - { maxRetries, baseDelayMs, maxDelayMs, signal, onRetry }
+ */
+async function retryWithBackoff(fn, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const cancelled = settings.signal && settings.signal.aborted;
+      if (cancelled || attempt >= settings.maxRetries || !isRetryable(error)) throw error;
+
+      const delayMs = backoffDelay(attempt, settings);
+      if (settings.onRetry) settings.onRetry(error, attempt + 1, delayMs);
+      await sleep(delayMs, settings.signal);
+    }
+  }
+}
+
+/**
+ * Closed: calls go through. After failureThreshold consecutive upstream
+ * failures it opens and rejects calls with CircuitOpenError. Once
+ * resetTimeoutMs has passed it is half-open: one trial call goes through,
+ * and its result closes the breaker or opens it again.
+ */
+class CircuitBreaker {
+  /**
+   * @param {object} options - { failureThreshold, resetTimeoutMs, onStateChange, clock }
+   *   (clock: current time in milliseconds, Date.now by default)
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || DEFAULTS.failureThreshold;
+    this.resetTimeoutMs = options.resetTimeoutMs || DEFAULTS.resetTimeoutMs;
+    this.onStateChange = options.onStateChange || null;
+    this.clock = options.clock || Date.now;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialRunning = false;
+    this.lastError = null;
+  }
+
+  async execute(fn) {
+    if (this.state === 'open') {
+      if (this.clock() - this.openedAt < this.resetTimeoutMs) {
+        throw new CircuitOpenError(this.retryAfterSeconds());
+      }
+      this.transition('half-open');
+    }
+    // Only the trial call clears the flag; calls started while closed may
+    // still finish during half-open
+    const isTrial = this.state === 'half-open';
+    if (isTrial) {
+      if (this.trialRunning) throw new CircuitOpenError(Math.ceil(this.resetTimeoutMs / 1000));
+      this.trialRunning = true;
+    }
+
+    // While the breaker is not closed, only the trial's result changes its state
+    try {
+      const result = await fn();
+      if (isTrial) {
+        this.transition('closed');
+      } else if (this.state === 'closed') {
+        this.failures = 0;
+      }
+      return result;
+    } catch (error) {
+      // Only failures of the upstream count; a cancelled or invalid request doesn't
+      if (isRetryable(error)) {
+        this.failures++;
+        this.lastError = error.message;
+        if (isTrial || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+          this.openedAt = this.clock();
+          this.transition('open');
+        }
+      } else if (isTrial) {
+        this.transition('closed');
+      }
+      throw error;
+    } finally {
+      if (isTrial) this.trialRunning = false;
+    }
+  }
+
+  transition(state) {
+    const from = this.state;
+    this.state = state;
+    if (state === 'closed') this.failures = 0;
+    if (this.onStateChange) this.onStateChange(state, from);
+  }
+
+  retryAfterSeconds() {
+    return Math.max(1, Math.ceil((this.openedAt + this.resetTimeoutMs - this.clock()) / 1000));
+  }
+
+  // For health checks
+  status() {
+    const status = { state: this.state, failures: this.failures };
+    if (this.state === 'open') {
+      status.openedAt = new Date(this.openedAt).toISOString();
+      status.retryAfterSeconds = this.retryAfterSeconds();
+    }
+    if (this.state !== 'closed' && this.lastError) status.lastError = this.lastError;
+    return status;
+  }
+}
+
+/**
+ * Wrap an OpenAI-shaped client so chat.completions.create gets a timeout,
+ * retries and the circuit breaker.
+ * @param {object} client - the provider's client
+ * @param {object} options - { timeoutMs, maxRetries, baseDelayMs, maxDelayMs, breaker, onRetry }, plus the
+ *   CircuitBreaker options (failureThreshold, resetTimeoutMs, onStateChange, clock) for a new breaker
+ */
+function createResilientClient(client, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const breaker = options.breaker || new CircuitBreaker(settings);
+
+  const create = (params, requestOptions = {}) => {
+    const signal = requestOptions.signal;
+    return retryWithBackoff(
+      () => breaker.execute(() => withTimeout(
+        attemptSignal => client.chat.completions.create(params, { ...requestOptions, signal: attemptSignal }),
+        settings.timeoutMs,
+        signal
+      )),
+      {
+        ...settings,
+        signal,
+        onRetry: (error, attempt, delayMs) => {
+          logger.warn('Retrying model call', { attempt, delayMs, error: error.message, status: error.status });
+          if (settings.onRetry) settings.onRetry(error, attempt, delayMs);
+        }
+      }
+    );
+  };
+
+  return { chat: { completions: { create } }, breaker };
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  UpstreamTimeoutError,
+  createResilientClient,
+  retryWithBackoff,
+  withTimeout,
+  isRetryable,
+  DEFAULTS
+};
@@ -0,0 +1,87 @@
+// Cache of chat answers for repeated questions (the example questions,
+// the same "cheapest Jazz data bundle?" asked by many users). Least recently
+// used entries are evicted once the cache is full and every entry expires
+// after a TTL. Only opening questions are cached: a follow-up depends on the
+// conversation before it.
+
+const crypto = require('crypto');
+
+const DEFAULT_MAX_ENTRIES = 200;
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+
+// Same question, different spelling: case, spacing and trailing punctuation
+function normalizePrompt(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[\s?!.,؟۔]+$/, '')
+    .trim();
+}
+
+/**
+ * Key for a cached answer. Editing the profile or changing the offer data
+ * gives a new key, so stale answers are never served.
+ * @param {object} input - { question, profile, language, offersVersion }
+ */
+function cacheKey({ question, profile, language, offersVersion }) {
+  const profileHash = crypto.createHash('sha1')
+    .update(JSON.stringify([profile.systemPrompt, profile.model, profile.settings]))
+    .digest('hex');
+  return JSON.stringify([normalizePrompt(question), profile.id, profileHash, language, offersVersion]);
+}
+
+class ResponseCache {
+  /**
+   * @param {object} options - { maxEntries (0 disables the cache), ttlMs, clock }
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || Date.now;
+    this.maxEntries = options.maxEntries === undefined ? DEFAULT_MAX_ENTRIES : options.maxEntries;
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.entries = new Map(); // key -> { value, expiresAt }, least recently used first
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get enabled() {
+    return this.maxEntries > 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= this.clock()) {
+      if (entry) this.entries.delete(key);
+      this.misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  set(key, value) {
+    if (!this.enabled) return;
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: this.clock() + this.ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  stats() {
+    return { enabled: this.enabled, size: this.size, maxEntries: this.maxEntries, hits: this.hits, misses: this.misses };
+  }
+}
+
+module.exports = { ResponseCache, cacheKey, normalizePrompt, DEFAULT_MAX_ENTRIES, DEFAULT_TTL_MS };
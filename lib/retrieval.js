@@ -0,0 +1,201 @@
+// Retrieval of reference offers relevant to a chat question.
+// Extracts carriers, cities, categories and plan types mentioned in the
+// question, scores offers against them and formats the best matches as
+// grounding context for the model. Questions may be in English, Urdu or
+// Roman Urdu and use other names for carriers and cities ("Mobilink", "Isb").
+
+const { findCarriers } = require('./carriers');
+const { findCities } = require('./cities');
+
+const DEFAULT_LIMIT = 8;
+
+const CATEGORY_KEYWORDS = {
+  data: ['data', 'internet', 'mb', 'gb', 'browsing', '4g', 'broadband', 'net', 'ڈیٹا', 'انٹرنیٹ', 'نیٹ'],
+  voice: ['call', 'calls', 'minutes', 'mins', 'voice', 'minute', 'کال', 'کالز', 'منٹ'],
+  sms: ['sms', 'text', 'texts', 'messages', 'message', 'msg', 'میسج', 'میسجز', 'پیغام'],
+  hybrid: ['bundle', 'package', 'hybrid', 'all-in-one', 'pack', 'پیکج', 'بنڈل'],
+  enterprise: ['enterprise', 'business', 'corporate', 'sme', 'company', 'karobar', 'کاروبار', 'کاروباری']
+};
+
+const VALIDITY_KEYWORDS = {
+  daily: 1,
+  day: 1,
+  weekly: 7,
+  week: 7,
+  fortnightly: 14,
+  monthly: 30,
+  month: 30,
+  // Roman Urdu
+  rozana: 1,
+  hafta: 7,
+  haftay: 7,
+  haftawar: 7,
+  mahana: 30,
+  mahina: 30,
+  mahine: 30,
+  // Urdu
+  'روزانہ': 1,
+  'ہفتہ': 7,
+  'ہفتے': 7,
+  'ماہانہ': 30,
+  'مہینہ': 30,
+  'مہینے': 30
+};
+
+// Words of Latin or Urdu script; Urdu digits are read as ASCII digits
+function tokenize(text) {
+  const value = String(text || '').toLowerCase().replace(/[\u06F0-\u06F9]/g, d => String(d.charCodeAt(0) - 0x06F0));
+  return value.match(/[a-z0-9]+(?:-[a-z0-9]+)*|[\u0621-\u064A\u0679-\u06D3]+/g) || [];
+}
+
+// Work out which carriers, cities, categories, plan types and validities a
+// piece of text refers to
+function extractCriteria(text, offerStore) {
+  const tokens = new Set(tokenize(text));
+  const mentionedCarriers = findCarriers(text);
+  const mentionedCities = findCities(text);
+
+  const carriers = offerStore.listCarriers()
+    .map(c => c.name)
+    .filter(name => tokens.has(name.toLowerCase()) || mentionedCarriers.includes(name));
+
+  const cities = offerStore.listCities()
+    .filter(city => tokens.has(city.toLowerCase()) || mentionedCities.includes(city));
+
+  const categories = Object.keys(CATEGORY_KEYWORDS)
+    .filter(category => CATEGORY_KEYWORDS[category].some(keyword => tokens.has(keyword)));
+
+  const planTypes = ['prepaid', 'postpaid'].filter(type => tokens.has(type));
+
+  const validities = Object.keys(VALIDITY_KEYWORDS)
+    .filter(keyword => tokens.has(keyword))
+    .map(keyword => VALIDITY_KEYWORDS[keyword]);
+
+  return { carriers, cities, categories, planTypes, validities, tokens };
+}
+
+function hasCriteria(criteria) {
+  return criteria.carriers.length > 0 || criteria.cities.length > 0 ||
+    criteria.categories.length > 0 || criteria.planTypes.length > 0 ||
+    criteria.validities.length > 0;
+}
+
+function scoreOffer(offer, criteria) {
+  let score = 0;
+
+  if (criteria.carriers.length) {
+    if (!criteria.carriers.includes(offer.carrier)) return 0;
+    score += 3;
+  }
+
+  if (criteria.cities.length) {
+    if (offer.cities.some(city => criteria.cities.includes(city))) {
+      score += 3;
+    } else if (offer.cities.includes('Nationwide')) {
+      score += 1;
+    } else {
+      return 0;
+    }
+  }
+
+  if (criteria.planTypes.length) {
+    if (!criteria.planTypes.includes(offer.planType)) return 0;
+    score += 1;
+  }
+
+  if (criteria.categories.includes(offer.category)) score += 2;
+  if (criteria.validities.includes(offer.validityDays)) score += 2;
+
+  // Direct mentions of an offer ID or title words
+  if (criteria.tokens.has(offer.id)) score += 5;
+  for (const word of tokenize(offer.title)) {
+    if (word.length > 3 && criteria.tokens.has(word)) score += 0.5;
+  }
+
+  return score;
+}
+
+// Find the offers most relevant to a question. Follow-ups such as
+// "and what about Lahore?" inherit carriers/categories from the previous
+// user turn when the question doesn't name any itself.
+function retrieveOffers(offerStore, question, options = {}) {
+  const { history = [], limit = DEFAULT_LIMIT } = options;
+  const criteria = extractCriteria(question, offerStore);
+
+  const previousQuestion = [...history].reverse().find(m => m.role === 'user');
+  if (previousQuestion) {
+    const previous = extractCriteria(previousQuestion.content, offerStore);
+    for (const key of ['carriers', 'categories', 'planTypes', 'validities']) {
+      if (criteria[key].length === 0) criteria[key] = previous[key];
+    }
+    if (criteria.cities.length === 0 && criteria.carriers.length === 0) {
+      criteria.cities = previous.cities;
+    }
+  }
+
+  if (!hasCriteria(criteria) && !offerStore.all().some(o => criteria.tokens.has(o.id))) {
+    return [];
+  }
+
+  return offerStore.active()
+    .map(offer => ({ offer, score: scoreOffer(offer, criteria) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.offer.pricePKR - b.offer.pricePKR)
+    .slice(0, limit)
+    .map(result => result.offer);
+}
+
+// One-line summary of an offer for the model's context
+function formatOffer(offer) {
+  const allowances = [
+    offer.dataGB ? `${offer.dataGB} GB data` : null,
+    offer.onNetMinutes ? `${offer.onNetMinutes} on-net min` : null,
+    offer.offNetMinutes ? `${offer.offNetMinutes} off-net min` : null,
+    offer.sms ? `${offer.sms} SMS` : null
+  ].filter(Boolean).join(', ') || 'no bundled allowances';
+
+  const effective = offer.effectiveTo
+    ? `effective ${offer.effectiveFrom} to ${offer.effectiveTo}`
+    : `effective from ${offer.effectiveFrom}`;
+
+  return `[${offer.id}] ${offer.carrier} ${offer.title} | ${offer.planType} ${offer.category} | ` +
+    `${offer.cities.join(', ')} | Rs ${offer.pricePKR} for ${offer.validityDays} days | ` +
+    `${allowances} | ${effective}${offer.notes ? ` | ${offer.notes}` : ''}`;
+}
+
+// System message carrying the retrieved records
+function buildContextMessage(offers) {
+  if (offers.length === 0) {
+    return {
+      role: 'system',
+      content: 'No reference offer records matched this question. Do not quote specific prices; ' +
+        'say that no matching record was found and suggest how to refine the question.'
+    };
+  }
+
+  return {
+    role: 'system',
+    content: 'Reference offer records from the database (the only source of truth for prices and allowances):\n' +
+      offers.map(formatOffer).join('\n') +
+      '\n\nQuote prices and allowances only from these records and cite the record ID in square brackets, ' +
+      'e.g. [jazz-monthly-hybrid]. If the records do not answer the question, say so.'
+  };
+}
+
+// Sources for the response: the retrieved records the reply cites, or all
+// retrieved records when the reply cites none
+function collectSources(offers, reply) {
+  const cited = offers.filter(offer => reply.includes(`[${offer.id}]`));
+  return (cited.length > 0 ? cited : offers).map(offer => ({
+    id: offer.id,
+    title: offer.title.startsWith(offer.carrier) ? offer.title : `${offer.carrier} ${offer.title}`
+  }));
+}
+
+module.exports = {
+  retrieveOffers,
+  extractCriteria,
+  formatOffer,
+  buildContextMessage,
+  collectSources
+};
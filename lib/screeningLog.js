@@ -0,0 +1,95 @@
+// Audit log of guardrail decisions (see lib/guardrails.js): every chat
+// message or reply that was refused or had personal data masked, appended
+// to a JSON-lines file. Records carry who, when, which stage and why, and
+// for refusals a short masked excerpt, never the full text.
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+class ScreeningLog {
+  /**
+   * @param {object} options - { file, clock }
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.clock = options.clock || Date.now;
+    this.records = [];
+  }
+
+  get size() {
+    return this.records.length;
+  }
+
+  load() {
+    let content;
+    try {
+      content = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw new Error(`Failed to read ${this.file}: ${error.message}`);
+    }
+
+    this.records = [];
+    let skipped = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.records.push(JSON.parse(line));
+      } catch (error) {
+        skipped++;
+      }
+    }
+    if (skipped > 0) {
+      logger.warn('Skipped unreadable lines', { file: this.file, lines: skipped });
+    }
+  }
+
+  /**
+   * Record one screening decision.
+   * @param {object} entry - { requestId, userId, username, sessionId, endpoint,
+   *   stage (input|output), action (blocked|masked), category, types, excerpt }
+   */
+  record(entry) {
+    const record = {
+      timestamp: new Date(this.clock()).toISOString(),
+      requestId: entry.requestId || null,
+      userId: entry.userId || null,
+      username: entry.username || null,
+      sessionId: entry.sessionId || null,
+      endpoint: entry.endpoint || null,
+      stage: entry.stage,
+      action: entry.action,
+      category: entry.category,
+      types: entry.types || [],
+      excerpt: entry.excerpt || null
+    };
+
+    this.records.push(record);
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(this.file, JSON.stringify(record) + '\n');
+    } catch (error) {
+      logger.error('Failed to write screening record', { file: this.file, error: error.message });
+    }
+    return record;
+  }
+
+  /**
+   * Records matching filters, newest first.
+   * @param {object} filters - { from, to (YYYY-MM-DD, inclusive), userId, stage, action, category }
+   */
+  query(filters = {}) {
+    return this.records.filter(record => {
+      const day = record.timestamp.slice(0, 10);
+      if (filters.from && day < filters.from) return false;
+      if (filters.to && day > filters.to) return false;
+      for (const name of ['userId', 'stage', 'action', 'category']) {
+        if (filters[name] && record[name] !== filters[name]) return false;
+      }
+      return true;
+    }).reverse();
+  }
+}
+
+module.exports = { ScreeningLog };
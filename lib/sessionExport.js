@@ -0,0 +1,262 @@
+// Conversation exports: Markdown, JSON, CSV and PDF.
+// Transcripts include timestamps and sources; offer comparisons made with
+// the compare_offers tool are exported as tables (and as their own CSV).
+
+const PDFDocument = require('pdfkit');
+const { stringify } = require('./csv');
+
+const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const TRANSCRIPT_COLUMNS = ['timestamp', 'role', 'content', 'sources'];
+const COMPARISON_COLUMNS = [
+  'comparison', 'askedAt', 'question', 'id', 'carrier', 'title', 'planType', 'category', 'cities',
+  'pricePKR', 'validityDays', 'dataGB', 'onNetMinutes', 'offNetMinutes', 'sms',
+  'pricePerGB', 'pricePerMinute', 'pricePerDay', 'cheapest', 'bestValuePerGB'
+];
+// Columns shown in Markdown and PDF comparison tables
+const COMPARISON_TABLE = [
+  ['carrier', 'Carrier'],
+  ['title', 'Offer'],
+  ['pricePKR', 'Price (PKR)'],
+  ['validityDays', 'Days'],
+  ['dataGB', 'Data (GB)'],
+  ['pricePerGB', 'PKR/GB'],
+  ['pricePerMinute', 'PKR/min']
+];
+
+function formatSources(sources) {
+  return (sources || [])
+    .map(source => typeof source === 'string' ? source : `${source.title} (${source.id})`)
+    .join('; ');
+}
+
+function roleLabel(role) {
+  return role === 'user' ? 'User' : 'Assistant';
+}
+
+function displayValue(value) {
+  return value === null || value === undefined ? '-' : String(value);
+}
+
+// Every comparison in the conversation with the question that led to it
+function collectComparisons(session) {
+  const comparisons = [];
+  let question = '';
+
+  for (const message of session.messages) {
+    if (message.role === 'user') {
+      question = message.content;
+      continue;
+    }
+    for (const comparison of message.comparisons || []) {
+      comparisons.push({ ...comparison, number: comparisons.length + 1, askedAt: message.timestamp, question });
+    }
+  }
+
+  return comparisons;
+}
+
+function markdownTable(comparison) {
+  const escapeCell = value => displayValue(value).replace(/\|/g, '\\|');
+  const lines = [
+    `| ${COMPARISON_TABLE.map(([, label]) => label).join(' | ')} |`,
+    `|${COMPARISON_TABLE.map(() => '---').join('|')}|`
+  ];
+
+  for (const row of comparison.offers) {
+    const cells = COMPARISON_TABLE.map(([field]) => escapeCell(row[field]));
+    if (row.id === comparison.cheapest) cells[1] += ' (cheapest)';
+    lines.push(`| ${cells.join(' | ')} |`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * @param {object} session - stored session ({ id, title, messages, profile, createdAt, updatedAt })
+ * @param {object} meta - { username, exportedAt }
+ */
+function toMarkdown(session, meta) {
+  const lines = [
+    `# ${session.title || 'Conversation'}`,
+    '',
+    `- Session: ${session.id}`,
+    `- User: ${meta.username}`,
+    `- Started: ${session.createdAt}`,
+    `- Exported: ${meta.exportedAt}`
+  ];
+  if (session.profile) lines.push(`- Profile: ${session.profile}`);
+
+  for (const message of session.messages) {
+    lines.push('', `## ${roleLabel(message.role)} — ${message.timestamp}`, '', message.content);
+
+    for (const comparison of message.comparisons || []) {
+      lines.push('', markdownTable(comparison));
+    }
+    if (message.sources && message.sources.length > 0) {
+      lines.push('', `*Sources: ${formatSources(message.sources)}*`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function toJSON(session, meta) {
+  return {
+    sessionId: session.id,
+    title: session.title,
+    user: meta.username,
+    profile: session.profile,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    exportedAt: meta.exportedAt,
+    messages: session.messages,
+    comparisons: collectComparisons(session).map(({ number, ...comparison }) => comparison)
+  };
+}
+
+function transcriptCSV(session) {
+  const records = session.messages.map(message => ({
+    timestamp: message.timestamp,
+    role: message.role,
+    content: message.content,
+    sources: formatSources(message.sources)
+  }));
+  return stringify(records, TRANSCRIPT_COLUMNS);
+}
+
+// One row per compared offer, numbered by comparison
+function comparisonsCSV(session) {
+  const records = [];
+  for (const comparison of collectComparisons(session)) {
+    for (const row of comparison.offers) {
+      records.push({
+        ...row,
+        comparison: comparison.number,
+        askedAt: comparison.askedAt,
+        question: comparison.question,
+        cheapest: row.id === comparison.cheapest,
+        bestValuePerGB: row.id === comparison.bestValuePerGB
+      });
+    }
+  }
+  return stringify(records, COMPARISON_COLUMNS);
+}
+
+// Markdown markers are noise in a PDF; keep the text
+function plainText(markdown) {
+  return String(markdown)
+    .replace(/```[\w+-]*\n?/g, '')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/__(.+?)__/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/\[([^\]]+)\]\((https?:[^)]+)\)/g, '$1 ($2)');
+}
+
+function pdfTable(doc, comparison) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const widths = [0.13, 0.33, 0.12, 0.08, 0.11, 0.11, 0.12].map(share => share * width);
+
+  const drawRow = (cells, bold) => {
+    const height = Math.max(...cells.map((cell, col) =>
+      doc.heightOfString(cell, { width: widths[col] - 4 }))) + 4;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+    const top = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    let x = left;
+    cells.forEach((cell, col) => {
+      doc.text(cell, x + 2, top + 2, { width: widths[col] - 4 });
+      x += widths[col];
+    });
+    doc.moveTo(left, top + height).lineTo(left + width, top + height).strokeColor('#cbd5e0').stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  doc.fontSize(8);
+  drawRow(COMPARISON_TABLE.map(([, label]) => label), true);
+  for (const row of comparison.offers) {
+    const cells = COMPARISON_TABLE.map(([field]) => displayValue(row[field]));
+    if (row.id === comparison.cheapest) cells[1] += ' (cheapest)';
+    drawRow(cells, false);
+  }
+  doc.font('Helvetica').fontSize(10).moveDown(0.5);
+}
+
+// Render the transcript to a PDF. Resolves with a Buffer.
+function toPDF(session, meta) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: session.title || 'Conversation' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(16).text(session.title || 'Conversation');
+    doc.font('Helvetica').fontSize(9).fillColor('#4a5568')
+      .text(`Session ${session.id} · ${meta.username} · started ${session.createdAt} · exported ${meta.exportedAt}` +
+        (session.profile ? ` · profile ${session.profile}` : ''))
+      .moveDown();
+
+    for (const message of session.messages) {
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(message.role === 'user' ? '#5a67d8' : '#2d3748')
+        .text(`${roleLabel(message.role)} — ${message.timestamp}`);
+      doc.font('Helvetica').fontSize(10).fillColor('#1a202c').text(plainText(message.content)).moveDown(0.3);
+
+      for (const comparison of message.comparisons || []) {
+        pdfTable(doc, comparison);
+      }
+      if (message.sources && message.sources.length > 0) {
+        doc.fontSize(8).fillColor('#718096').text(`Sources: ${formatSources(message.sources)}`);
+      }
+      doc.fillColor('#1a202c').moveDown();
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Export a session.
+ * @param {object} session
+ * @param {string} format - md | json | csv | pdf
+ * @param {object} options - { username, content: 'transcript' | 'comparisons' (csv only) }
+ * @returns {Promise<string|Buffer>}
+ */
+async function exportSession(session, format, options = {}) {
+  const meta = { username: options.username, exportedAt: new Date().toISOString() };
+
+  switch (format) {
+    case 'md':
+      return toMarkdown(session, meta);
+    case 'json':
+      return JSON.stringify(toJSON(session, meta), null, 2);
+    case 'csv':
+      return options.content === 'comparisons' ? comparisonsCSV(session) : transcriptCSV(session);
+    case 'pdf':
+      return toPDF(session, meta);
+    default:
+      throw new Error(`Unsupported export format "${format}"`);
+  }
+}
+
+// File name for a download, e.g. "cheapest-data-in-karachi-2024-10-19.md"
+function exportFileName(session, format, content) {
+  const slug = String(session.title || 'conversation')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50) || 'conversation';
+  const suffix = format === 'csv' && content === 'comparisons' ? '-comparisons' : '';
+  return `${slug}${suffix}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+module.exports = { exportSession, exportFileName, collectComparisons, EXPORT_FORMATS };
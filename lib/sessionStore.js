@@ -0,0 +1,318 @@
+// Conversation store keyed by sessionId.
+// Keeps the message history for each session so follow-up questions can be
+// answered with context and trims replayed history to a token budget.
+// Sessions belong to the user that created them and session IDs are issued
+// by the server.
+//
+// With a `dir`, conversations are saved as one JSON file each and survive
+// restarts; idle sessions are only unloaded from memory and are read back
+// on demand. Without one, idle sessions expire for good.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJson } = require('./jsonFile');
+const { logger } = require('./logger');
+
+const DEFAULT_MAX_HISTORY_TOKENS = 3000;
+const DEFAULT_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000; // 1 minute
+const MAX_TITLE_LENGTH = 80;
+
+// Rough token estimate (~4 characters per token for English text).
+// Good enough for budgeting without pulling in a tokenizer.
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 4) + 4; // +4 for per-message overhead
+}
+
+// Default conversation title: the start of the first question
+function titleFrom(text) {
+  const title = String(text || '').replace(/\s+/g, ' ').trim();
+  return title.length > 60 ? `${title.slice(0, 60).trim()}…` : title;
+}
+
+// Listing entry for a session (everything except the messages)
+function summarize(session) {
+  return {
+    sessionId: session.id,
+    userId: session.userId,
+    title: session.title || 'New conversation',
+    profile: session.profile,
+    messageCount: session.messages.length,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+}
+
+class SessionStore {
+  constructor(options = {}) {
+    this.maxHistoryTokens = options.maxHistoryTokens || DEFAULT_MAX_HISTORY_TOKENS;
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.dir = options.dir || null;
+    this.clock = options.clock || Date.now;
+    this.sessions = new Map(); // Loaded sessions
+    this.index = new Map(); // sessionId -> summary, for every saved conversation
+
+    const sweepIntervalMs = options.sweepIntervalMs || DEFAULT_SWEEP_INTERVAL_MS;
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    // Don't keep the process alive just for the sweeper
+    this.sweepTimer.unref();
+  }
+
+  // Index the conversations saved on disk
+  load() {
+    if (!this.dir) return;
+
+    let files = [];
+    try {
+      files = fs.readdirSync(this.dir).filter(file => /^sess_[\w-]+\.json$/.test(file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    this.index.clear();
+    for (const file of files) {
+      try {
+        const session = readJson(path.join(this.dir, file), null);
+        if (session && session.id && session.userId) {
+          this.index.set(session.id, summarize(session));
+        }
+      } catch (error) {
+        logger.warn('Skipping unreadable conversation', { file, error: error.message });
+      }
+    }
+  }
+
+  fileFor(sessionId) {
+    return path.join(this.dir, `${sessionId}.json`);
+  }
+
+  // Write a session to disk once it has messages
+  save(session) {
+    if (session.messages.length === 0) return;
+
+    this.index.set(session.id, summarize(session));
+    if (this.dir) {
+      const { lastActivity, ...stored } = session;
+      writeJson(this.fileFor(session.id), stored);
+    }
+  }
+
+  // Returns the session if it exists and has not expired
+  get(sessionId) {
+    let session = this.sessions.get(sessionId);
+
+    // Read saved conversations back in on demand
+    if (!session && this.dir && this.index.has(sessionId)) {
+      const stored = readJson(this.fileFor(sessionId), null);
+      if (stored) {
+        session = { ...stored, lastActivity: this.clock() };
+        this.sessions.set(sessionId, session);
+      }
+    }
+
+    if (!session) return null;
+
+    if (!this.dir && this.isExpired(session)) {
+      this.forget(sessionId);
+      return null;
+    }
+
+    return session;
+  }
+
+  // The session if it exists and belongs to the user
+  getForUser(sessionId, userId) {
+    const session = this.get(sessionId);
+    return session && session.userId === userId ? session : null;
+  }
+
+  // Start a new session for a user with a server-issued ID
+  create(userId) {
+    const now = new Date(this.clock()).toISOString();
+    const session = {
+      id: `sess_${crypto.randomUUID()}`,
+      userId,
+      title: null,
+      messages: [],
+      profile: null,
+      createdAt: now,
+      updatedAt: now,
+      lastActivity: this.clock()
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  // The user's session with this ID, or a new session when the ID is
+  // missing, expired or belongs to someone else
+  resolveForUser(sessionId, userId) {
+    return (sessionId && this.getForUser(sessionId, userId)) || this.create(userId);
+  }
+
+  getRequired(sessionId) {
+    const session = this.get(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    return session;
+  }
+
+  // Remember the prompt profile chosen for a session
+  setProfile(sessionId, profileId) {
+    const session = this.getRequired(sessionId);
+    session.profile = profileId;
+    session.lastActivity = this.clock();
+    this.save(session);
+    return session;
+  }
+
+  // Rename a conversation
+  rename(sessionId, title) {
+    const session = this.getRequired(sessionId);
+    session.title = String(title).replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+    session.lastActivity = this.clock();
+    this.save(session);
+    return session;
+  }
+
+  // Append one or more { role, content, sources?, comparisons?, profile? } messages
+  // to a session. Each stored message gets an ID (used to attach feedback).
+  append(sessionId, ...messages) {
+    const session = this.getRequired(sessionId);
+    const now = new Date(this.clock()).toISOString();
+
+    for (const message of messages) {
+      const entry = {
+        id: `msg_${crypto.randomBytes(8).toString('hex')}`,
+        role: message.role,
+        content: message.content,
+        timestamp: now
+      };
+      if (message.profile) {
+        entry.profile = message.profile;
+      }
+      if (message.sources && message.sources.length > 0) {
+        entry.sources = message.sources;
+      }
+      if (message.comparisons && message.comparisons.length > 0) {
+        entry.comparisons = message.comparisons;
+      }
+      session.messages.push(entry);
+
+      if (!session.title && message.role === 'user') {
+        session.title = titleFrom(message.content);
+      }
+    }
+
+    session.updatedAt = now;
+    session.lastActivity = this.clock();
+    this.save(session);
+    return session;
+  }
+
+  // Returns the most recent messages that fit within the token budget,
+  // formatted for the chat completions API
+  getHistory(sessionId, maxTokens = this.maxHistoryTokens) {
+    const session = this.get(sessionId);
+    if (!session) return [];
+
+    const history = [];
+    let usedTokens = 0;
+
+    for (let i = session.messages.length - 1; i >= 0; i--) {
+      const { role, content } = session.messages[i];
+      const tokens = estimateTokens(content);
+      if (usedTokens + tokens > maxTokens) break;
+      usedTokens += tokens;
+      history.unshift({ role, content });
+    }
+
+    // Never start the replayed history with an orphaned assistant reply
+    while (history.length > 0 && history[0].role !== 'user') {
+      history.shift();
+    }
+
+    return history;
+  }
+
+  /**
+   * A user's conversations, most recently updated first.
+   * @param {string} userId
+   * @param {object} [options] - { q (matches titles and message text), limit }
+   */
+  listForUser(userId, options = {}) {
+    const query = String(options.q || '').trim().toLowerCase();
+
+    let conversations = Array.from(this.index.values())
+      .filter(summary => summary.userId === userId);
+
+    if (query) {
+      conversations = conversations.filter(summary =>
+        summary.title.toLowerCase().includes(query) || this.messagesMatch(summary.sessionId, query));
+    }
+
+    conversations.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    return conversations
+      .slice(0, options.limit || conversations.length)
+      .map(({ userId: owner, ...summary }) => summary);
+  }
+
+  // Does any message of a saved conversation contain the (lowercase) query?
+  // Unloaded conversations are read from disk without caching them.
+  messagesMatch(sessionId, query) {
+    const session = this.sessions.get(sessionId) ||
+      (this.dir ? readJson(this.fileFor(sessionId), null) : null);
+    return !!session && session.messages.some(message =>
+      String(message.content).toLowerCase().includes(query));
+  }
+
+  delete(sessionId) {
+    const existed = this.sessions.has(sessionId) || this.index.has(sessionId);
+    this.forget(sessionId);
+
+    if (this.dir && existed) {
+      try {
+        fs.unlinkSync(this.fileFor(sessionId));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return existed;
+  }
+
+  forget(sessionId) {
+    this.sessions.delete(sessionId);
+    this.index.delete(sessionId);
+  }
+
+  isExpired(session) {
+    return this.clock() - session.lastActivity > this.ttlMs;
+  }
+
+  // Unload idle sessions (saved conversations stay on disk)
+  sweep() {
+    let removed = 0;
+    for (const [sessionId, session] of this.sessions) {
+      if (this.isExpired(session)) {
+        if (this.dir) {
+          this.sessions.delete(sessionId);
+        } else {
+          this.forget(sessionId);
+        }
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      logger.info(this.dir ? 'Unloaded idle sessions' : 'Expired idle sessions', { sessions: removed });
+    }
+    return removed;
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+}
+
+module.exports = { SessionStore, estimateTokens };
@@ -0,0 +1,52 @@
+// Graceful shutdown of the HTTP server: stop accepting connections, let
+// requests in flight (including chat streams) finish, then close what is
+// left once the drain timeout runs out. Keep-alive connections are closed as
+// soon as they go idle, so they cannot hold the drain open.
+
+/**
+ * Track a listening server's requests and return its shutdown function.
+ * @param {http.Server} server
+ * @param {object} [options] - { timeoutMs (drain limit, default 30000), logger }
+ * @returns {Function} shutdown(reason) -> Promise resolved with
+ *   { drained, abandoned } once the server is closed (the same promise on
+ *   every call)
+ */
+function createGracefulShutdown(server, options = {}) {
+  const timeoutMs = options.timeoutMs === undefined ? 30000 : options.timeoutMs;
+  const logger = options.logger;
+  const inFlight = new Set();
+  let closing = null;
+
+  server.on('request', (req, res) => {
+    inFlight.add(res);
+    res.on('close', () => {
+      inFlight.delete(res);
+      // The connection only counts as idle once the response is done with it
+      if (closing) setImmediate(() => server.closeIdleConnections());
+    });
+  });
+
+  return function shutdown(reason) {
+    if (closing) return closing;
+
+    closing = new Promise(resolve => {
+      if (logger) logger.info('Draining connections', { reason, inFlight: inFlight.size, timeoutMs });
+
+      let abandoned = 0;
+      const timer = setTimeout(() => {
+        abandoned = inFlight.size;
+        if (logger) logger.warn('Drain timed out, closing open connections', { inFlight: abandoned });
+        server.closeAllConnections();
+      }, timeoutMs);
+
+      server.close(() => {
+        clearTimeout(timer);
+        resolve({ drained: abandoned === 0, abandoned });
+      });
+      server.closeIdleConnections();
+    });
+    return closing;
+  };
+}
+
+module.exports = { createGracefulShutdown };
@@ -0,0 +1,277 @@
+// Function-calling tools exposed to the model.
+// Each tool runs against the local reference offer data so the model can
+// fetch exact figures instead of guessing them.
+
+const { PLAN_TYPES, CATEGORIES, SORT_FIELDS, TRACKED_FIELDS } = require('./offerStore');
+const { CHANGE_TYPES } = require('./offerHistory');
+
+const MAX_COMPARE_OFFERS = 10;
+const DEFAULT_CHANGE_DAYS = 7;
+const MAX_CHANGES = 50;
+
+const TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'search_offers',
+      description: 'Search carrier reference offers by carrier, city, plan type, category, price and validity. Returns matching offers with exact prices and allowances.',
+      parameters: {
+        type: 'object',
+        properties: {
+          carrier: { type: 'string', description: 'Carrier name, or several separated by commas (e.g. "Jazz,Telenor")' },
+          city: { type: 'string', description: 'City name, e.g. Karachi. Nationwide offers always match.' },
+          planType: { type: 'string', enum: PLAN_TYPES },
+          category: { type: 'string', enum: CATEGORIES },
+          minPrice: { type: 'number', description: 'Minimum price in PKR' },
+          maxPrice: { type: 'number', description: 'Maximum price in PKR' },
+          minData: { type: 'number', description: 'Minimum data allowance in GB' },
+          minValidity: { type: 'number', description: 'Minimum validity in days' },
+          maxValidity: { type: 'number', description: 'Maximum validity in days' },
+          q: { type: 'string', description: 'Free-text search over offer titles and notes' },
+          sort: { type: 'string', enum: Object.keys(SORT_FIELDS) },
+          order: { type: 'string', enum: ['asc', 'desc'] },
+          limit: { type: 'integer', description: 'Maximum number of offers to return (default 10, max 25)' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_offer',
+      description: 'Get the full details of a single reference offer by its ID.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Offer ID, e.g. "jazz-monthly-hybrid"' }
+        },
+        required: ['id']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'compare_offers',
+      description: 'Compare reference offers side by side with price per GB, per minute and per day. Pass explicit offer IDs, or carriers plus optional city/category/planType to compare their cheapest matching offers.',
+      parameters: {
+        type: 'object',
+        properties: {
+          offerIds: { type: 'array', items: { type: 'string' }, description: 'Offer IDs to compare' },
+          carriers: { type: 'array', items: { type: 'string' }, description: 'Carriers to compare, e.g. ["Jazz", "Telenor"]' },
+          city: { type: 'string' },
+          category: { type: 'string', enum: CATEGORIES },
+          planType: { type: 'string', enum: PLAN_TYPES },
+          validityDays: { type: 'integer', description: 'Only compare offers with this validity, e.g. 30 for monthly' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_offer_changes',
+      description: 'Get the recorded changes to reference offers (added, changed with old and new values, removed), newest first, with the date each change was recorded. Use it for questions like "what changed this week" or "when did Zong change its monthly price".',
+      parameters: {
+        type: 'object',
+        properties: {
+          days: { type: 'integer', description: 'Look back this many days from today (default 7; 7 for "this week", 30 for "this month"). Ignored when since is given.' },
+          since: { type: 'string', description: 'Only changes recorded on or after this date (YYYY-MM-DD)' },
+          carrier: { type: 'string', description: 'Carrier name, or several separated by commas' },
+          offerId: { type: 'string', description: 'Only changes to this offer. For its full history, pass a large days value (e.g. 3650).' },
+          field: { type: 'string', enum: TRACKED_FIELDS, description: 'Only changes to this field, e.g. pricePKR' },
+          type: { type: 'string', enum: CHANGE_TYPES },
+          limit: { type: 'integer', description: `Maximum number of changes to return (default 20, max ${MAX_CHANGES})` }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_carriers',
+      description: 'List the carriers and cities that have reference offers in the database.',
+      parameters: { type: 'object', properties: {} }
+    }
+  }
+];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Unit prices used for comparisons
+function offerMetrics(offer) {
+  const minutes = offer.onNetMinutes + offer.offNetMinutes;
+  return {
+    pricePerGB: offer.dataGB > 0 ? round(offer.pricePKR / offer.dataGB) : null,
+    pricePerMinute: minutes > 0 ? round(offer.pricePKR / minutes) : null,
+    pricePerDay: round(offer.pricePKR / offer.validityDays)
+  };
+}
+
+// Offer with its unit prices, as shown in comparisons
+function comparisonRow(offer) {
+  return {
+    id: offer.id,
+    carrier: offer.carrier,
+    title: offer.title,
+    planType: offer.planType,
+    category: offer.category,
+    cities: offer.cities,
+    pricePKR: offer.pricePKR,
+    validityDays: offer.validityDays,
+    dataGB: offer.dataGB,
+    onNetMinutes: offer.onNetMinutes,
+    offNetMinutes: offer.offNetMinutes,
+    sms: offer.sms,
+    ...offerMetrics(offer)
+  };
+}
+
+// Lowest value of a metric among rows that have one; returns the row ID
+function lowest(rows, field) {
+  const candidates = rows.filter(row => row[field] !== null);
+  return candidates.length > 0
+    ? candidates.reduce((best, row) => row[field] < best[field] ? row : best).id
+    : null;
+}
+
+// Comparison rows plus the cheapest and best-value offers
+function comparisonTable(offers) {
+  const rows = offers.map(comparisonRow);
+  return {
+    offers: rows,
+    cheapest: lowest(rows, 'pricePKR'),
+    bestValuePerGB: lowest(rows, 'pricePerGB'),
+    bestValuePerMinute: lowest(rows, 'pricePerMinute')
+  };
+}
+
+function compareOffers(offerStore, args = {}) {
+  let offers = [];
+  const missing = [];
+
+  if (Array.isArray(args.offerIds) && args.offerIds.length > 0) {
+    for (const id of args.offerIds.slice(0, MAX_COMPARE_OFFERS)) {
+      const offer = offerStore.get(id);
+      if (offer) offers.push(offer); else missing.push(id);
+    }
+  } else {
+    const carriers = Array.isArray(args.carriers) && args.carriers.length > 0
+      ? args.carriers
+      : offerStore.listCarriers().map(c => c.name);
+
+    // The cheapest matching offers for each carrier
+    for (const carrier of carriers) {
+      let { items } = offerStore.search({
+        carrier,
+        city: args.city,
+        category: args.category,
+        planType: args.planType,
+        sort: 'price',
+        pageSize: 100
+      });
+      if (args.validityDays) {
+        items = items.filter(offer => offer.validityDays === args.validityDays);
+      }
+      offers.push(...items.slice(0, 3));
+    }
+    offers = offers.slice(0, MAX_COMPARE_OFFERS);
+  }
+
+  return { ...comparisonTable(offers), missing };
+}
+
+// Recent offer changes from the revision log, trimmed for the prompt
+function offerChangeLog(offerHistory, args = {}) {
+  const days = Math.max(parseInt(args.days, 10) || DEFAULT_CHANGE_DAYS, 1);
+  const since = /^\d{4}-\d{2}-\d{2}$/.test(args.since || '')
+    ? args.since
+    : new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const limit = Math.min(Math.max(parseInt(args.limit, 10) || 20, 1), MAX_CHANGES);
+
+  const { total, changes } = offerHistory.changes({
+    since,
+    carrier: args.carrier,
+    offerId: args.offerId,
+    field: args.field,
+    type: args.type,
+    limit
+  });
+
+  return {
+    today: new Date().toISOString().slice(0, 10),
+    since,
+    total,
+    changes: changes.map(revision => ({
+      recordedAt: revision.recordedAt,
+      offerId: revision.offerId,
+      carrier: revision.carrier,
+      title: revision.title,
+      type: revision.type,
+      changes: revision.changes,
+      // Key figures of added and removed offers
+      ...(revision.type !== 'changed' && {
+        pricePKR: revision.offer.pricePKR,
+        validityDays: revision.offer.validityDays,
+        dataGB: revision.offer.dataGB
+      })
+    }))
+  };
+}
+
+// Execute a tool by name. Returns a JSON-serialisable result and the offer
+// IDs it touched (used to populate response sources).
+// context: { offerHistory } for tools that read the revision log.
+function executeTool(offerStore, name, args = {}, context = {}) {
+  switch (name) {
+    case 'search_offers': {
+      const limit = Math.min(Math.max(parseInt(args.limit, 10) || 10, 1), 25);
+      const result = offerStore.search({ ...args, pageSize: limit });
+      return {
+        result: { total: result.total, offers: result.items },
+        offerIds: result.items.map(offer => offer.id)
+      };
+    }
+
+    case 'get_offer': {
+      const offer = offerStore.get(args.id || '');
+      return offer
+        ? { result: offer, offerIds: [offer.id] }
+        : { result: { error: `No offer found with id "${args.id}"` }, offerIds: [] };
+    }
+
+    case 'compare_offers': {
+      const result = compareOffers(offerStore, args);
+      return { result, offerIds: result.offers.map(offer => offer.id) };
+    }
+
+    case 'get_offer_changes': {
+      if (!context.offerHistory) {
+        return { result: { error: 'Offer change history is not available' }, offerIds: [] };
+      }
+      const result = offerChangeLog(context.offerHistory, args);
+      return { result, offerIds: Array.from(new Set(result.changes.map(change => change.offerId))) };
+    }
+
+    case 'list_carriers':
+      return {
+        result: { carriers: offerStore.listCarriers(), cities: offerStore.listCities() },
+        offerIds: []
+      };
+
+    default:
+      return { result: { error: `Unknown tool "${name}"` }, offerIds: [] };
+  }
+}
+
+module.exports = {
+  TOOL_DEFINITIONS,
+  executeTool,
+  compareOffers,
+  comparisonTable,
+  comparisonRow,
+  offerChangeLog,
+  offerMetrics
+};
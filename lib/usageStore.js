@@ -0,0 +1,215 @@
+// Usage and cost accounting for chat calls.
+// One record per /api/chat or /api/chat/stream request or batch question
+// (tokens, model, latency, session and outcome), appended to a JSON-lines
+// file so the log survives restarts and never has to be rewritten.
+
+const fs = require('fs');
+const path = require('path');
+const { estimateCost } = require('./pricing');
+const { logger } = require('./logger');
+
+const GROUP_BY = {
+  day: record => record.timestamp.slice(0, 10),
+  user: record => record.username || record.userId || 'unknown',
+  model: record => record.model || 'unknown'
+};
+
+class UsageStore {
+  /**
+   * @param {object} options - { file, pricing (see lib/pricing.js), onRecord (called with each new record),
+   *   clock (current time in milliseconds, Date.now by default) }
+   */
+  constructor(options = {}) {
+    this.file = options.file;
+    this.pricing = options.pricing || {};
+    this.onRecord = options.onRecord || null;
+    this.clock = options.clock || Date.now;
+    this.records = [];
+  }
+
+  get size() {
+    return this.records.length;
+  }
+
+  load() {
+    let content;
+    try {
+      content = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw new Error(`Failed to read ${this.file}: ${error.message}`);
+    }
+
+    this.records = [];
+    let skipped = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.records.push(JSON.parse(line));
+      } catch (error) {
+        skipped++; // e.g. a line cut short by a crash
+      }
+    }
+    if (skipped > 0) {
+      logger.warn('Skipped unreadable lines', { file: this.file, lines: skipped });
+    }
+  }
+
+  /**
+   * Record one chat call.
+   * @param {object} entry - { userId, username, sessionId, endpoint, provider, model,
+   *   profile, usage, latencyMs, status, outcome }
+   */
+  record(entry) {
+    const promptTokens = (entry.usage && entry.usage.prompt_tokens) || 0;
+    const completionTokens = (entry.usage && entry.usage.completion_tokens) || 0;
+
+    const record = {
+      timestamp: new Date(this.clock()).toISOString(),
+      userId: entry.userId || null,
+      username: entry.username || null,
+      sessionId: entry.sessionId || null,
+      endpoint: entry.endpoint,
+      provider: entry.provider || null,
+      model: entry.model || null,
+      profile: entry.profile || null,
+      promptTokens,
+      completionTokens,
+      totalTokens: (entry.usage && entry.usage.total_tokens) || promptTokens + completionTokens,
+      costUSD: estimateCost(this.pricing, entry.model, promptTokens, completionTokens),
+      latencyMs: entry.latencyMs,
+      status: entry.status,
+      outcome: entry.outcome
+    };
+
+    this.records.push(record);
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(this.file, JSON.stringify(record) + '\n');
+    } catch (error) {
+      logger.error('Failed to write usage record', { file: this.file, error: error.message });
+    }
+    if (this.onRecord) this.onRecord(record);
+    return record;
+  }
+
+  /**
+   * Records matching filters, oldest first.
+   * @param {object} filters - { from, to (YYYY-MM-DD, inclusive), userId, model }
+   */
+  query(filters = {}) {
+    return this.records.filter(record => {
+      const day = record.timestamp.slice(0, 10);
+      if (filters.from && day < filters.from) return false;
+      if (filters.to && day > filters.to) return false;
+      if (filters.userId && record.userId !== filters.userId) return false;
+      if (filters.model && record.model !== filters.model) return false;
+      return true;
+    });
+  }
+
+  // Totals per group ("day", "user" or "model"), sorted by group key
+  summarize(records, groupBy) {
+    return this.aggregate(records, groupBy, GROUP_BY[groupBy]);
+  }
+
+  // Totals over all records
+  total(records) {
+    const [totals] = this.aggregate(records, 'all', () => 'all');
+    if (!totals) {
+      return {
+        requests: 0, errors: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0,
+        costUSD: 0, unpricedRequests: 0, avgLatencyMs: 0
+      };
+    }
+    const { all, ...rest } = totals;
+    return rest;
+  }
+
+  aggregate(records, groupBy, keyOf) {
+    const groups = new Map();
+
+    for (const record of records) {
+      const key = keyOf(record);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          [groupBy]: key,
+          requests: 0,
+          errors: 0,
+          promptTokens: 0,
+          completionTokens: 0,
+          totalTokens: 0,
+          costUSD: 0,
+          unpricedRequests: 0,
+          totalLatencyMs: 0
+        });
+      }
+
+      const group = groups.get(key);
+      group.requests++;
+      if (record.outcome !== 'success') group.errors++;
+      group.promptTokens += record.promptTokens;
+      group.completionTokens += record.completionTokens;
+      group.totalTokens += record.totalTokens;
+      if (record.costUSD === null) {
+        if (record.totalTokens > 0) group.unpricedRequests++;
+      } else {
+        group.costUSD += record.costUSD;
+      }
+      group.totalLatencyMs += record.latencyMs || 0;
+    }
+
+    return Array.from(groups.values())
+      .sort((a, b) => String(a[groupBy]).localeCompare(String(b[groupBy])))
+      .map(({ totalLatencyMs, ...group }) => ({
+        ...group,
+        costUSD: Math.round(group.costUSD * 1e6) / 1e6,
+        avgLatencyMs: Math.round(totalLatencyMs / group.requests)
+      }));
+  }
+}
+
+/**
+ * Middleware recording a usage entry when a chat request finishes.
+ * Handlers fill in res.locals.chat ({ sessionId, profile, model, usage,
+ * outcome, pending }); without an outcome the HTTP status decides.
+ */
+function createUsageMiddleware(usageStore, provider, endpoint) {
+  return (req, res, next) => {
+    const startedAt = usageStore.clock();
+    res.locals.chat = {};
+
+    const record = () => {
+      const chat = res.locals.chat;
+      let outcome = chat.outcome;
+      if (!outcome) {
+        if (!res.writableFinished) outcome = 'cancelled';
+        else outcome = res.statusCode < 400 ? 'success' : res.locals.errorCode || `http_${res.statusCode}`;
+      }
+
+      usageStore.record({
+        userId: req.user && req.user.id,
+        username: req.user && req.user.username,
+        sessionId: chat.sessionId,
+        endpoint,
+        provider: provider.name,
+        model: chat.model || provider.model,
+        profile: chat.profile,
+        usage: chat.usage,
+        latencyMs: usageStore.clock() - startedAt,
+        status: res.statusCode,
+        outcome
+      });
+    };
+
+    // A stream closed by the client is recorded once its pipeline
+    // (res.locals.chat.pending) has settled and reported its usage
+    res.on('close', () => {
+      Promise.resolve(res.locals.chat.pending).catch(() => {}).then(record);
+    });
+
+    next();
+  };
+}
+
+module.exports = { UsageStore, createUsageMiddleware, GROUP_BY };
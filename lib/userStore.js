@@ -0,0 +1,203 @@
+// Local user accounts, login tokens and API keys.
+// Passwords are hashed with scrypt; tokens and API keys are random secrets
+// of which only a SHA-256 hash is stored, so the store file never contains
+// usable credentials.
+
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./jsonFile');
+
+const ROLES = ['user', 'admin'];
+const DEFAULT_TOKEN_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+const TOKEN_PREFIX = 'rda_';
+const API_KEY_PREFIX = 'rdak_';
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+// Hash checked when the username is unknown, so a failed login takes as
+// long whether or not the account exists
+let dummyPasswordHash = null;
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Public view of a user (no credentials)
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt
+  };
+}
+
+class UserStore {
+  constructor(options = {}) {
+    this.file = options.file;
+    this.tokenTtlMs = options.tokenTtlMs || DEFAULT_TOKEN_TTL_MS;
+    this.clock = options.clock || Date.now;
+    this.data = { users: [], tokens: [] };
+  }
+
+  load() {
+    this.data = readJson(this.file, { users: [], tokens: [] });
+    this.data.users = this.data.users || [];
+    this.data.tokens = (this.data.tokens || []).filter(token => token.expiresAt > this.clock());
+    return this.data.users.length;
+  }
+
+  save() {
+    writeJson(this.file, this.data);
+  }
+
+  findByUsername(username) {
+    const name = String(username || '').toLowerCase();
+    return this.data.users.find(user => user.username.toLowerCase() === name) || null;
+  }
+
+  findById(id) {
+    return this.data.users.find(user => user.id === id) || null;
+  }
+
+  list() {
+    return this.data.users.map(publicUser);
+  }
+
+  createUser({ username, password, role = 'user' }) {
+    if (!/^[a-zA-Z0-9._-]{3,32}$/.test(username || '')) {
+      throw new Error('Username must be 3-32 characters of letters, digits, ".", "_" or "-"');
+    }
+    if (!password || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (this.findByUsername(username)) {
+      throw new Error(`User "${username}" already exists`);
+    }
+
+    const user = {
+      id: `usr_${crypto.randomBytes(8).toString('hex')}`,
+      username,
+      role,
+      passwordHash: hashPassword(password),
+      apiKeys: [],
+      createdAt: new Date(this.clock()).toISOString()
+    };
+
+    this.data.users.push(user);
+    this.save();
+    return publicUser(user);
+  }
+
+  // Check credentials and issue a login token. Returns null on failure.
+  login(username, password) {
+    const user = this.findByUsername(username);
+    if (!user) {
+      dummyPasswordHash = dummyPasswordHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+      verifyPassword(password, dummyPasswordHash);
+      return null;
+    }
+    if (!verifyPassword(password, user.passwordHash)) {
+      return null;
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const expiresAt = this.clock() + this.tokenTtlMs;
+
+    this.data.tokens = this.data.tokens.filter(t => t.expiresAt > this.clock());
+    this.data.tokens.push({ hash: hashSecret(token), userId: user.id, expiresAt });
+    this.save();
+
+    return { token, expiresAt: new Date(expiresAt).toISOString(), user: publicUser(user) };
+  }
+
+  logout(token) {
+    const hash = hashSecret(token);
+    const before = this.data.tokens.length;
+    this.data.tokens = this.data.tokens.filter(t => t.hash !== hash);
+    if (this.data.tokens.length !== before) this.save();
+    return this.data.tokens.length !== before;
+  }
+
+  // Resolve a bearer token or API key to its user. Returns null when the
+  // credential is unknown or expired.
+  authenticate(credential) {
+    if (!credential) return null;
+    const hash = hashSecret(credential);
+
+    if (credential.startsWith(API_KEY_PREFIX)) {
+      for (const user of this.data.users) {
+        const key = (user.apiKeys || []).find(k => k.hash === hash);
+        if (key) return { user: publicUser(user), authMethod: 'api_key', apiKeyId: key.id };
+      }
+      return null;
+    }
+
+    const token = this.data.tokens.find(t => t.hash === hash);
+    if (!token || token.expiresAt <= this.clock()) return null;
+
+    const user = this.findById(token.userId);
+    return user ? { user: publicUser(user), authMethod: 'token' } : null;
+  }
+
+  // Issue an API key for a user. The key itself is only returned here.
+  createApiKey(userId, name) {
+    const user = this.findById(userId);
+    if (!user) throw new Error('User not found');
+
+    const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id: `key_${crypto.randomBytes(6).toString('hex')}`,
+      name: String(name || 'API key').slice(0, 64),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      hash: hashSecret(key),
+      createdAt: new Date(this.clock()).toISOString()
+    };
+
+    user.apiKeys = user.apiKeys || [];
+    user.apiKeys.push(record);
+    this.save();
+
+    return { key, id: record.id, name: record.name, prefix: record.prefix, createdAt: record.createdAt };
+  }
+
+  listApiKeys(userId) {
+    const user = this.findById(userId);
+    return user
+      ? (user.apiKeys || []).map(({ id, name, prefix, createdAt }) => ({ id, name, prefix, createdAt }))
+      : [];
+  }
+
+  revokeApiKey(userId, keyId) {
+    const user = this.findById(userId);
+    if (!user) return false;
+
+    const before = (user.apiKeys || []).length;
+    user.apiKeys = (user.apiKeys || []).filter(k => k.id !== keyId);
+    if (user.apiKeys.length === before) return false;
+
+    this.save();
+    return true;
+  }
+
+  get size() {
+    return this.data.users.length;
+  }
+}
+
+module.exports = { UserStore, ROLES, hashPassword, verifyPassword };
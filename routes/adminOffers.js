@@ -0,0 +1,227 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const { readSheet, mapColumns, buildOffers, missingFields, ImportError } = require('../lib/offerImport');
+const { batchSummary } = require('../lib/offerBatchStore');
+const { PLAN_TYPES, CATEGORIES } = require('../lib/offerStore');
+
+const IMPORT_MODES = ['replace', 'upsert'];
+const SHEET_FORMATS = { '.csv': 'csv', '.xlsx': 'xlsx' };
+
+// Compact view of a diff for API responses
+function describeDiff(diff) {
+  return {
+    added: diff.added,
+    changed: diff.changed.map(({ id, after, changes }) => ({ id, carrier: after.carrier, title: after.title, changes })),
+    removed: diff.removed,
+    unchanged: diff.unchanged
+  };
+}
+
+// Defaults for columns the sheet does not have, from the upload form
+function parseDefaults(body) {
+  const defaults = {
+    carrier: body.carrier,
+    planType: body.planType,
+    category: body.category,
+    cities: body.cities,
+    effectiveFrom: body.effectiveFrom || new Date().toISOString().slice(0, 10)
+  };
+
+  if (defaults.planType && !PLAN_TYPES.includes(String(defaults.planType).toLowerCase())) {
+    return { error: `planType must be one of: ${PLAN_TYPES.join(', ')}` };
+  }
+  if (defaults.category && !CATEGORIES.includes(String(defaults.category).toLowerCase())) {
+    return { error: `category must be one of: ${CATEGORIES.join(', ')}` };
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(defaults.effectiveFrom)) {
+    return { error: 'effectiveFrom must be a date in YYYY-MM-DD format' };
+  }
+  return { defaults };
+}
+
+/**
+ * Admin endpoints for importing carrier rate sheets.
+ * @param {OfferBatchStore} offerBatchStore
+ * @param {object} [options] - { maxFileBytes }
+ */
+function createAdminOffersRouter(offerBatchStore, options = {}) {
+  const router = express.Router();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: options.maxFileBytes || 5 * 1024 * 1024, files: 1 }
+  }).single('file');
+
+  // Run multer and report its errors as JSON
+  const receiveFile = (req, res, next) => {
+    upload(req, res, error => {
+      if (!error) return next();
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: 'The file is too large', maxBytes: options.maxFileBytes });
+      }
+      res.status(400).json({ error: error.message });
+    });
+  };
+
+  // Upload a sheet: POST /api/admin/offers/import (multipart, field "file")
+  // Optional fields: mode (replace|upsert), mapping (JSON { heading: field }),
+  // carrier, planType, category, cities, effectiveFrom (used when a column is missing).
+  // Nothing is applied yet: the response is a dry-run diff of a pending batch.
+  router.post('/import', receiveFile, async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload a CSV or XLSX file in the "file" field' });
+    }
+
+    const format = SHEET_FORMATS[path.extname(req.file.originalname).toLowerCase()];
+    if (!format) {
+      return res.status(400).json({ error: 'Only .csv and .xlsx files can be imported' });
+    }
+
+    const mode = req.body.mode || 'replace';
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (error) {
+        return res.status(400).json({ error: 'mapping must be a JSON object of { "Sheet heading": "field" }' });
+      }
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return res.status(400).json({ error: 'mapping must be a JSON object of { "Sheet heading": "field" }' });
+      }
+    }
+
+    const { defaults, error: defaultsError } = parseDefaults(req.body);
+    if (defaultsError) {
+      return res.status(400).json({ error: defaultsError });
+    }
+
+    try {
+      const { headers, rows } = await readSheet(req.file.buffer, format, { sheet: req.body.sheet });
+      const { columns, unmapped } = mapColumns(headers, mapping);
+      const { offers, errors } = buildOffers(rows, columns, defaults);
+
+      const { batch, diff } = offerBatchStore.create({
+        fileName: req.file.originalname,
+        format,
+        mode,
+        offers,
+        errors,
+        columns,
+        unmapped,
+        keepFields: missingFields(columns, defaults),
+        createdBy: req.user.username
+      });
+
+      req.log.info('Rate sheet uploaded', {
+        user: req.user.username,
+        batchId: batch.id,
+        fileName: batch.fileName,
+        validOffers: offers.length,
+        invalidRows: errors.length
+      });
+
+      res.status(201).json({
+        batch: batchSummary(batch),
+        diff: describeDiff(diff),
+        errors
+      });
+    } catch (error) {
+      if (error instanceof ImportError) {
+        return res.status(400).json({ error: error.message });
+      }
+      req.log.error('Offer import failed', { error });
+      res.status(500).json({ error: 'Failed to import the sheet' });
+    }
+  });
+
+  // Import history: GET /api/admin/offers/imports
+  router.get('/imports', (req, res) => {
+    res.json({ batches: offerBatchStore.list() });
+  });
+
+  // One batch with its diff (dry run for pending batches) and row errors
+  router.get('/imports/:id', (req, res) => {
+    const batch = offerBatchStore.get(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found', batchId: req.params.id });
+    }
+
+    res.json({
+      batch: batchSummary(batch),
+      diff: batch.status === 'pending' ? describeDiff(offerBatchStore.diff(batch)) : batch.diff || null,
+      errors: batch.errors
+    });
+  });
+
+  // Apply a pending batch: POST /api/admin/offers/imports/:id/commit
+  // Rows that failed validation block the commit unless { skipInvalid: true }.
+  router.post('/imports/:id/commit', (req, res) => {
+    const batch = offerBatchStore.get(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found', batchId: req.params.id });
+    }
+    if (batch.status !== 'pending') {
+      return res.status(409).json({ error: `Import batch is already ${batch.status.replace('_', ' ')}` });
+    }
+    if (batch.errors.length > 0 && !(req.body && req.body.skipInvalid === true)) {
+      return res.status(400).json({
+        error: `${batch.errors.length} row(s) failed validation. Fix the sheet or commit with skipInvalid to import the valid rows only.`,
+        errors: batch.errors
+      });
+    }
+    if (batch.offers.length === 0) {
+      return res.status(400).json({ error: 'The batch has no valid offers to import' });
+    }
+
+    const { batch: applied, diff } = offerBatchStore.commit(batch.id, req.user.username);
+    req.log.info('Offer import committed', {
+      user: req.user.username,
+      batchId: applied.id,
+      version: applied.version,
+      added: diff.added.length,
+      changed: diff.changed.length,
+      removed: diff.removed.length
+    });
+
+    res.json({ batch: batchSummary(applied), diff: describeDiff(diff) });
+  });
+
+  // Undo an applied batch: POST /api/admin/offers/imports/:id/rollback
+  router.post('/imports/:id/rollback', (req, res) => {
+    const batch = offerBatchStore.get(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found', batchId: req.params.id });
+    }
+    if (batch.status !== 'applied') {
+      return res.status(409).json({ error: 'Only applied import batches can be rolled back' });
+    }
+
+    offerBatchStore.rollback(batch.id, req.user.username);
+    req.log.info('Offer import rolled back', { user: req.user.username, batchId: batch.id, version: batch.version });
+
+    res.json({ batch: batchSummary(batch) });
+  });
+
+  // Discard a pending batch: DELETE /api/admin/offers/imports/:id
+  router.delete('/imports/:id', (req, res) => {
+    const batch = offerBatchStore.get(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found', batchId: req.params.id });
+    }
+    if (batch.status !== 'pending') {
+      return res.status(409).json({ error: 'Only pending import batches can be discarded' });
+    }
+
+    offerBatchStore.discard(batch.id, req.user.username);
+    res.json({ success: true, batchId: batch.id });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminOffersRouter };
@@ -0,0 +1,82 @@
+const express = require('express');
+const { requireRole } = require('../lib/auth');
+
+/**
+ * Login, logout, API keys and user accounts: /api/auth
+ * @param {UserStore} userStore
+ * @param {Function} [loginLimits] - middleware limiting sign-in attempts
+ */
+function createAuthRouter(userStore, loginLimits = (req, res, next) => next()) {
+  const router = express.Router();
+
+  // Exchange username/password for a bearer token
+  router.post('/login', loginLimits, (req, res) => {
+    const { username, password } = req.body || {};
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const result = userStore.login(username, password);
+    if (!result) {
+      req.log.warn('Failed login', { username });
+      return res.status(401).json({
+        error: 'Invalid username or password',
+        code: 'invalid_credentials'
+      });
+    }
+
+    req.log.info('Logged in', { user: result.user.username });
+    res.json(result);
+  });
+
+  // Revoke the current login token
+  router.post('/logout', (req, res) => {
+    const loggedOut = req.auth.authMethod === 'token' && userStore.logout(req.token);
+    res.json({ loggedOut });
+  });
+
+  // Current user
+  router.get('/me', (req, res) => {
+    res.json({ user: req.user, authMethod: req.auth.authMethod });
+  });
+
+  // API keys for scripts and integrations
+  router.get('/keys', (req, res) => {
+    res.json({ keys: userStore.listApiKeys(req.user.id) });
+  });
+
+  router.post('/keys', (req, res) => {
+    const apiKey = userStore.createApiKey(req.user.id, req.body && req.body.name);
+    req.log.info('API key created', { user: req.user.username, keyId: apiKey.id });
+    res.status(201).json(apiKey);
+  });
+
+  router.delete('/keys/:id', (req, res) => {
+    const revoked = userStore.revokeApiKey(req.user.id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found', id: req.params.id });
+    }
+    res.json({ revoked: true, id: req.params.id });
+  });
+
+  // User management (admins only)
+  router.get('/users', requireRole('admin'), (req, res) => {
+    res.json({ users: userStore.list() });
+  });
+
+  router.post('/users', requireRole('admin'), (req, res) => {
+    try {
+      const { username, password, role } = req.body || {};
+      const user = userStore.createUser({ username, password, role });
+      req.log.info('User created', { user: req.user.username, newUser: user.username, role: user.role });
+      res.status(201).json({ user });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
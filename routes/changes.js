@@ -0,0 +1,72 @@
+const express = require('express');
+const { TRACKED_FIELDS } = require('../lib/offerStore');
+const { CHANGE_TYPES } = require('../lib/offerHistory');
+
+const DEFAULT_DAYS = 7;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const DATE_OR_TIME = /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/;
+
+// Parse and validate the query string of GET /api/changes.
+// Returns { filters } or { error }.
+function parseChangeQuery(query) {
+  const filters = {
+    since: query.since || new Date(Date.now() - DEFAULT_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    until: query.until,
+    carrier: query.carrier,
+    offerId: query.offerId,
+    type: query.type,
+    field: query.field,
+    limit: DEFAULT_LIMIT
+  };
+
+  for (const name of ['since', 'until']) {
+    if (filters[name] && (!DATE_OR_TIME.test(filters[name]) || isNaN(Date.parse(filters[name])))) {
+      return { error: `${name} must be a date (YYYY-MM-DD) or an ISO timestamp` };
+    }
+  }
+
+  const types = filters.type ? String(filters.type).toLowerCase().split(',') : [];
+  if (types.some(type => !CHANGE_TYPES.includes(type.trim()))) {
+    return { error: `type must be one of: ${CHANGE_TYPES.join(', ')}` };
+  }
+
+  if (filters.field && !TRACKED_FIELDS.includes(filters.field)) {
+    return { error: `field must be one of: ${TRACKED_FIELDS.join(', ')}` };
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+    filters.limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  return { filters };
+}
+
+function createChangesRouter(offerHistory) {
+  const router = express.Router();
+
+  // Offer changes, newest first: GET /api/changes?since=&until=&carrier=&type=&field=&offerId=&limit=
+  router.get('/', (req, res) => {
+    const { filters, error } = parseChangeQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { total, changes } = offerHistory.changes(filters);
+    res.json({
+      since: filters.since,
+      until: filters.until || null,
+      carrier: filters.carrier || null,
+      total,
+      changes
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createChangesRouter, parseChangeQuery };
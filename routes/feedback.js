@@ -0,0 +1,154 @@
+const express = require('express');
+const { requireRole } = require('../lib/auth');
+const { RATINGS, REVIEW_STATUSES, MAX_NOTE_LENGTH } = require('../lib/feedbackStore');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse and validate the query string of GET /api/feedback.
+// Returns { filters } or { error }.
+function parseFeedbackQuery(query) {
+  const filters = {
+    sessionId: query.sessionId,
+    rating: query.rating,
+    status: query.status,
+    profile: query.profile,
+    source: query.source,
+    from: query.from,
+    to: query.to,
+    limit: DEFAULT_LIMIT,
+    offset: 0
+  };
+
+  if (filters.rating && !RATINGS.includes(filters.rating)) {
+    return { error: `rating must be one of: ${RATINGS.join(', ')}` };
+  }
+  if (filters.status && !REVIEW_STATUSES.includes(filters.status)) {
+    return { error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` };
+  }
+  for (const name of ['from', 'to']) {
+    if (filters[name] && !DATE_PATTERN.test(filters[name])) {
+      return { error: `${name} must be a date in YYYY-MM-DD format` };
+    }
+  }
+
+  if (query.hasNote !== undefined) {
+    if (!['true', 'false'].includes(query.hasNote)) {
+      return { error: 'hasNote must be "true" or "false"' };
+    }
+    filters.hasNote = query.hasNote === 'true';
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+    filters.limit = Math.min(limit, MAX_LIMIT);
+  }
+  if (query.offset !== undefined) {
+    const offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return { error: 'offset must be a non-negative integer' };
+    }
+    filters.offset = offset;
+  }
+
+  return { filters };
+}
+
+function createFeedbackRouter(feedbackStore, sessionStore, userStore) {
+  const router = express.Router();
+
+  // Rate an assistant answer: POST /api/feedback
+  // { messageId, sessionId, rating: "up" | "down", note? }. Sending feedback
+  // again for the same message replaces it. The prompt profile and sources
+  // are taken from the stored conversation.
+  router.post('/', (req, res) => {
+    const { messageId, sessionId, rating } = req.body || {};
+    const note = req.body && req.body.note;
+
+    if (typeof messageId !== 'string' || typeof sessionId !== 'string') {
+      return res.status(400).json({ error: 'messageId and sessionId are required' });
+    }
+    if (!RATINGS.includes(rating)) {
+      return res.status(400).json({ error: `rating must be one of: ${RATINGS.join(', ')}` });
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+    if (note && note.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({ error: `note must be at most ${MAX_NOTE_LENGTH} characters` });
+    }
+
+    const session = sessionStore.getForUser(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found or expired', sessionId });
+    }
+
+    const index = session.messages.findIndex(message => message.id === messageId && message.role === 'assistant');
+    if (index === -1) {
+      return res.status(404).json({ error: 'Assistant message not found in this conversation', messageId });
+    }
+    const question = session.messages.slice(0, index).reverse().find(message => message.role === 'user');
+
+    const { feedback, created } = feedbackStore.submit({
+      user: req.user,
+      session,
+      message: session.messages[index],
+      question: question ? question.content : null,
+      rating,
+      note: note && note.trim() ? note.trim() : null
+    });
+
+    if (rating === 'down') {
+      req.log.info('Answer flagged', { user: req.user.username, messageId, feedbackId: feedback.id, hasNote: Boolean(feedback.note) });
+    }
+    res.status(created ? 201 : 200).json({ feedback });
+  });
+
+  // Feedback listing, newest first:
+  // GET /api/feedback?rating=&status=&profile=&source=&hasNote=&from=&to=&user=&sessionId=&limit=&offset=
+  // Admins see everyone's feedback; other users only their own.
+  router.get('/', (req, res) => {
+    const { filters, error } = parseFeedbackQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (req.user.role !== 'admin') {
+      filters.userId = req.user.id;
+    } else if (req.query.user) {
+      const user = userStore.findByUsername(req.query.user) || userStore.findById(req.query.user);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found', user: req.query.user });
+      }
+      filters.userId = user.id;
+    }
+
+    res.json(feedbackStore.list(filters));
+  });
+
+  // Review an entry (admins): PATCH /api/feedback/:id { status, note? }
+  router.patch('/:id', requireRole('admin'), (req, res) => {
+    const { status, note } = req.body || {};
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+
+    const feedback = feedbackStore.review(req.params.id, { status, note: note && note.trim() }, req.user.username);
+    if (!feedback) {
+      return res.status(404).json({ error: 'Feedback not found', feedbackId: req.params.id });
+    }
+
+    res.json({ feedback });
+  });
+
+  return router;
+}
+
+module.exports = { createFeedbackRouter };
@@ -0,0 +1,195 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const { parseRows, stringify } = require('../lib/csv');
+const { validateChatRequest } = require('../lib/chat');
+const { jobSummary } = require('../lib/jobStore');
+
+const RESULT_FORMATS = ['json', 'csv'];
+const RESULT_COLUMNS = ['row', 'question', 'status', 'answer', 'sources', 'error', 'code', 'tokens', 'cached'];
+
+// Questions from an uploaded CSV file (a "question" column, or a file with a
+// single column and no header) or from a JSON body { questions: [...] }.
+// Returns { questions } or { error }.
+function readQuestions(req) {
+  if (req.file) {
+    if (path.extname(req.file.originalname).toLowerCase() !== '.csv') {
+      return { error: 'Only .csv files can be uploaded' };
+    }
+    const rows = parseRows(req.file.buffer.toString('utf8'));
+    if (rows.length === 0) {
+      return { error: 'The CSV file is empty' };
+    }
+
+    const headers = rows[0].map(header => header.trim().toLowerCase());
+    const column = headers.indexOf('question');
+    if (column === -1 && headers.length > 1) {
+      return { error: 'The CSV file needs a "question" column' };
+    }
+    const questionRows = column === -1 ? rows : rows.slice(1);
+    const questions = questionRows
+      .map(row => (row[Math.max(column, 0)] || '').trim())
+      .filter(Boolean);
+    return { questions };
+  }
+
+  const { questions } = req.body || {};
+  if (!Array.isArray(questions) || questions.some(question => typeof question !== 'string')) {
+    return { error: 'Send questions as a JSON array of strings, or upload a CSV file in the "file" field' };
+  }
+  return { questions: questions.map(question => question.trim()).filter(Boolean) };
+}
+
+/**
+ * Batch questions: POST /api/chat/batch queues a background job.
+ * @param {object} options - { jobStore, batchRunner, profileStore, provider, chatLimits,
+ *   maxQuestions, maxFileBytes }
+ */
+function createBatchRouter(options) {
+  const { jobStore, batchRunner, profileStore, provider } = options;
+  const router = express.Router();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: options.maxFileBytes, files: 1 }
+  }).single('file');
+
+  // Run multer and report its errors as JSON
+  const receiveFile = (req, res, next) => {
+    upload(req, res, error => {
+      if (!error) return next();
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: 'The file is too large', maxBytes: options.maxFileBytes });
+      }
+      res.status(400).json({ error: error.message });
+    });
+  };
+
+  // Queue a batch: a JSON body { questions: [...], profile?, language? } or
+  // a multipart upload of a CSV file in "file" (profile and language as
+  // fields). Every question is answered on its own, without conversation
+  // memory. Responds 202 with the job; poll GET /api/jobs/:id for progress.
+  router.post('/', options.chatLimits, receiveFile, (req, res) => {
+    const { questions, error } = readQuestions(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (questions.length === 0) {
+      return res.status(400).json({ error: 'No questions found' });
+    }
+    if (questions.length > options.maxQuestions) {
+      return res.status(400).json({
+        error: `Too many questions: ${questions.length}. A batch can have at most ${options.maxQuestions}.`
+      });
+    }
+
+    const { profile, language } = req.body || {};
+    for (const [index, question] of questions.entries()) {
+      const validationError = validateChatRequest({ message: question, language: language || undefined });
+      if (validationError) {
+        return res.status(400).json({ error: `Question ${index + 1}: ${validationError}` });
+      }
+    }
+
+    if (profile && !profileStore.has(profile)) {
+      return res.status(400).json({
+        error: `Unknown profile "${profile}". Available profiles: ${profileStore.list().map(p => p.id).join(', ')}`
+      });
+    }
+    const resolvedProfile = profileStore.resolve(profile);
+    if (!resolvedProfile) {
+      return res.status(400).json({ error: 'No prompt profile is available. Please check the profiles directory.' });
+    }
+
+    if (!provider.client) {
+      return res.status(500).json({ error: provider.configError });
+    }
+
+    // One batch at a time per user keeps the shared slots fair
+    const active = jobStore.active(req.user.id);
+    if (active) {
+      return res.status(409).json({
+        error: 'You already have a batch in progress. Wait for it to finish or cancel it.',
+        code: 'job_in_progress',
+        jobId: active.id
+      });
+    }
+
+    const job = jobStore.create({
+      type: 'chat-batch',
+      userId: req.user.id,
+      username: req.user.username,
+      profile: resolvedProfile.id,
+      language,
+      questions,
+      source: req.file ? req.file.originalname : null
+    });
+    batchRunner.enqueue(job);
+
+    req.log.info('Batch job queued', { jobId: job.id, user: req.user.username, questions: questions.length });
+    res.status(202).location(`/api/jobs/${job.id}`).json({ job: jobSummary(job) });
+  });
+
+  return router;
+}
+
+function createJobsRouter(jobStore, batchRunner) {
+  const router = express.Router();
+
+  // Jobs are visible to their owner and to admins
+  const findJob = (req, res, next) => {
+    const job = jobStore.get(req.params.id);
+    if (!job || (job.userId !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ error: 'Job not found', jobId: req.params.id });
+    }
+    req.job = job;
+    next();
+  };
+
+  // Background jobs, newest first. Admins see everyone's jobs.
+  router.get('/', (req, res) => {
+    const jobs = jobStore.list(req.user.role === 'admin' ? {} : { userId: req.user.id });
+    res.json({ jobs: jobs.map(jobSummary) });
+  });
+
+  // Status and progress of a job
+  router.get('/:id', findJob, (req, res) => {
+    res.json({ job: jobSummary(req.job) });
+  });
+
+  // Answers so far, one row per question: GET /api/jobs/:id/results?format=json|csv
+  router.get('/:id/results', findJob, (req, res) => {
+    const format = req.query.format || 'json';
+    if (!RESULT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${RESULT_FORMATS.join(', ')}` });
+    }
+
+    const { job } = req;
+    if (format === 'csv') {
+      const rows = job.items.map(item => ({
+        ...item,
+        answer: item.reply,
+        sources: item.sources.map(source => source.id)
+      }));
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${job.id}-results.csv"`);
+      return res.send(stringify(rows, RESULT_COLUMNS));
+    }
+
+    res.json({ job: jobSummary(job), results: job.items });
+  });
+
+  // Stop a job: questions not answered yet are skipped
+  router.post('/:id/cancel', findJob, (req, res) => {
+    if (!batchRunner.cancel(req.job)) {
+      return res.status(409).json({ error: `The job has already finished (${req.job.status})`, code: 'job_finished' });
+    }
+
+    req.log.info('Batch job cancelled', { jobId: req.job.id, user: req.user.username });
+    res.json({ job: jobSummary(req.job) });
+  });
+
+  return router;
+}
+
+module.exports = { createBatchRouter, createJobsRouter, readQuestions };
@@ -0,0 +1,127 @@
+const express = require('express');
+const { PLAN_TYPES, CATEGORIES, SORT_FIELDS } = require('../lib/offerStore');
+const { comparisonTable } = require('../lib/tools');
+
+const NUMERIC_FILTERS = ['minPrice', 'maxPrice', 'minData', 'minValidity', 'maxValidity', 'page', 'pageSize'];
+
+// Parse and validate the query string of GET /api/offers.
+// Returns { filters } or { error }.
+function parseOfferQuery(query) {
+  const filters = {
+    carrier: query.carrier,
+    city: query.city,
+    planType: query.planType,
+    category: query.category,
+    q: query.q,
+    activeOn: query.activeOn,
+    includeExpired: query.includeExpired === 'true',
+    sort: query.sort || 'price',
+    order: query.order || 'asc'
+  };
+
+  for (const name of NUMERIC_FILTERS) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${name} must be a non-negative number` };
+    }
+    filters[name] = value;
+  }
+
+  if (filters.planType && !PLAN_TYPES.includes(String(filters.planType).toLowerCase())) {
+    return { error: `planType must be one of: ${PLAN_TYPES.join(', ')}` };
+  }
+
+  const categories = filters.category ? String(filters.category).toLowerCase().split(',') : [];
+  const unknownCategory = categories.find(c => !CATEGORIES.includes(c.trim()));
+  if (unknownCategory) {
+    return { error: `category must be one of: ${CATEGORIES.join(', ')}` };
+  }
+
+  if (!SORT_FIELDS[filters.sort]) {
+    return { error: `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+  }
+
+  if (!['asc', 'desc'].includes(filters.order)) {
+    return { error: 'order must be "asc" or "desc"' };
+  }
+
+  if (filters.activeOn && !/^\d{4}-\d{2}-\d{2}$/.test(filters.activeOn)) {
+    return { error: 'activeOn must be a date in YYYY-MM-DD format' };
+  }
+
+  return { filters };
+}
+
+function createOffersRouter(offerStore, offerHistory) {
+  const router = express.Router();
+
+  // Search reference offers
+  router.get('/', (req, res) => {
+    const { filters, error } = parseOfferQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(offerStore.search(filters));
+  });
+
+  // Values for filter pickers: carriers, cities, plan types and categories
+  router.get('/facets', (req, res) => {
+    res.json({
+      carriers: offerStore.listCarriers(),
+      cities: offerStore.listCities(),
+      planTypes: PLAN_TYPES,
+      categories: CATEGORIES
+    });
+  });
+
+  // Matching offers with price per GB/minute/day and the cheapest and
+  // best-value offers marked: same filters as GET /api/offers
+  router.get('/compare', (req, res) => {
+    const { filters, error } = parseOfferQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { items, total } = offerStore.search({ ...filters, page: 1, pageSize: 100 });
+    res.json({ total, ...comparisonTable(items) });
+  });
+
+  // Get a single offer by ID
+  router.get('/:id', (req, res) => {
+    const offer = offerStore.get(req.params.id);
+
+    if (!offer) {
+      return res.status(404).json({
+        error: 'Offer not found',
+        id: req.params.id
+      });
+    }
+
+    res.json(offer);
+  });
+
+  // Dated revisions of an offer, oldest first (also for removed offers)
+  router.get('/:id/history', (req, res) => {
+    const revisions = offerHistory.history(req.params.id);
+    const offer = offerStore.get(req.params.id);
+
+    if (!offer && revisions.length === 0) {
+      return res.status(404).json({
+        error: 'Offer not found',
+        id: req.params.id
+      });
+    }
+
+    res.json({
+      id: req.params.id.toLowerCase(),
+      current: offer,
+      revisions
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createOffersRouter, parseOfferQuery };
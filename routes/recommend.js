@@ -0,0 +1,112 @@
+const express = require('express');
+const { parseUsageProfile, rankOffers, explainRecommendations } = require('../lib/recommend');
+const { mapChatError } = require('../lib/errors');
+const { createUsageMiddleware } = require('../lib/usageStore');
+
+/**
+ * Plan recommendations: POST /api/recommend
+ * @param {object} options - { offerStore, profileStore, provider, usageStore, quotaStore,
+ *   chatLimits, metrics, guardrails, errorOptions (for mapChatError), clock }
+ */
+function createRecommendRouter(options) {
+  const { offerStore, profileStore, provider, quotaStore } = options;
+  const clock = options.clock || Date.now;
+  const router = express.Router();
+
+  // Invalid usage profiles are rejected before they count against the limits
+  const parseBody = (req, res, next) => {
+    const { usageProfile, error } = parseUsageProfile(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.locals.usageProfile = usageProfile;
+    next();
+  };
+
+  // Rank offers for a customer's monthly usage:
+  // { city?, planType?, dataGB, onNetMinutes, offNetMinutes, sms, budgetPKR?, language?, limit?,
+  //   explain? (default true), profile? }
+  // The ranking comes from the offer data; the explanation from the model.
+  // If the explanation fails the ranking is still returned, with explanationError.
+  // Closing the connection aborts the model call.
+  router.post('/', parseBody, createUsageMiddleware(options.usageStore, provider, 'recommend'), options.chatLimits, async (req, res) => {
+    const { usageProfile } = res.locals;
+
+    const requestedProfile = req.body.profile;
+    if (requestedProfile && !profileStore.has(requestedProfile)) {
+      return res.status(400).json({
+        error: `Unknown profile "${requestedProfile}". Available profiles: ${profileStore.list().map(p => p.id).join(', ')}`
+      });
+    }
+    const profile = profileStore.resolve(requestedProfile);
+    if (!profile) {
+      return res.status(400).json({ error: 'No prompt profile is available. Please check the profiles directory.' });
+    }
+    res.locals.chat.profile = profile.id;
+    res.locals.chat.model = profile.model || provider.model;
+
+    const ranking = rankOffers(offerStore, usageProfile);
+    req.log.info('Plans ranked', { user: req.user.username, considered: ranking.considered, covering: ranking.covering });
+
+    let explanation = null;
+    let explanationError = null;
+    let language = null;
+    if (usageProfile.explain && ranking.recommendations.length > 0) {
+      if (!provider.client) {
+        explanationError = { error: provider.configError, code: 'not_configured' };
+      } else {
+        // Abort the model call if the client goes away
+        const controller = new AbortController();
+        res.on('close', () => {
+          if (!res.writableEnded) controller.abort();
+        });
+
+        try {
+          const pending = explainRecommendations({
+            provider,
+            profile,
+            metrics: options.metrics,
+            guardrails: options.guardrails,
+            auditContext: { requestId: req.id, userId: req.user.id, username: req.user.username, endpoint: 'recommend' }
+          }, usageProfile, ranking, { signal: controller.signal });
+          res.locals.chat.pending = pending;
+
+          const result = await pending;
+          ({ explanation, language } = result);
+          res.locals.chat.usage = result.usage;
+          quotaStore.record(req.user.id, result.usage.total_tokens);
+        } catch (explainError) {
+          res.locals.chat.usage = explainError.usage;
+          if (explainError.usage) quotaStore.record(req.user.id, explainError.usage.total_tokens);
+          if (controller.signal.aborted) {
+            req.log.info('Recommendation cancelled by client');
+            res.locals.chat.outcome = 'cancelled';
+            return;
+          }
+
+          req.log.error('Recommendation explanation failed', { error: explainError });
+          const { body } = mapChatError(explainError, options.errorOptions);
+          explanationError = body;
+          res.locals.chat.outcome = body.code;
+        }
+      }
+    }
+
+    const { limit, explain, ...customer } = usageProfile;
+    res.json({
+      customer,
+      considered: ranking.considered,
+      covering: ranking.covering,
+      recommendations: ranking.recommendations,
+      explanation,
+      explanationError,
+      language,
+      profile: profile.id,
+      timestamp: new Date(clock()).toISOString()
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createRecommendRouter };
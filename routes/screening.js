@@ -0,0 +1,91 @@
+const express = require('express');
+const { stringify } = require('../lib/csv');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const STAGES = ['input', 'output'];
+const ACTIONS = ['blocked', 'masked'];
+const CATEGORIES = ['prompt_injection', 'off_topic', 'prompt_leak', 'pii'];
+
+const COLUMNS = [
+  'timestamp', 'requestId', 'username', 'sessionId', 'endpoint', 'stage', 'action', 'category', 'types', 'excerpt'
+];
+
+// Parse and validate the query string of GET /api/admin/screening.
+// Returns { filters } or { error }.
+function parseScreeningQuery(query) {
+  const filters = {
+    from: query.from,
+    to: query.to,
+    stage: query.stage,
+    action: query.action,
+    category: query.category,
+    limit: DEFAULT_LIMIT
+  };
+
+  for (const [name, values] of [['stage', STAGES], ['action', ACTIONS], ['category', CATEGORIES]]) {
+    if (filters[name] && !values.includes(filters[name])) {
+      return { error: `${name} must be one of: ${values.join(', ')}` };
+    }
+  }
+  for (const name of ['from', 'to']) {
+    if (filters[name] && !DATE_PATTERN.test(filters[name])) {
+      return { error: `${name} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+    filters.limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  return { filters };
+}
+
+function createScreeningRouter(screeningLog, userStore) {
+  const router = express.Router();
+
+  // Guardrail audit log, newest first (admins):
+  // GET /api/admin/screening?from=&to=&user=&stage=&action=&category=&limit=&format=json|csv
+  router.get('/', (req, res) => {
+    const { filters, error } = parseScreeningQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be "json" or "csv"' });
+    }
+
+    if (req.query.user) {
+      const user = userStore.findByUsername(req.query.user) || userStore.findById(req.query.user);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found', user: req.query.user });
+      }
+      filters.userId = user.id;
+    }
+
+    const matches = screeningLog.query(filters);
+    const records = matches.slice(0, filters.limit);
+
+    if (format === 'csv') {
+      const rows = records.map(record => ({ ...record, types: record.types.join(' ') }));
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="screening.csv"');
+      return res.send(stringify(rows, COLUMNS));
+    }
+
+    const counts = {};
+    for (const record of matches) {
+      counts[record.category] = (counts[record.category] || 0) + 1;
+    }
+    res.json({ total: matches.length, counts, records });
+  });
+
+  return router;
+}
+
+module.exports = { createScreeningRouter };
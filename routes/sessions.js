@@ -0,0 +1,104 @@
+const express = require('express');
+const { exportSession, exportFileName, EXPORT_FORMATS } = require('../lib/sessionExport');
+
+function createSessionsRouter(sessionStore) {
+  const router = express.Router();
+
+  // The caller's saved conversations: GET /api/sessions?q=&limit=
+  router.get('/', (req, res) => {
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    res.json({
+      sessions: sessionStore.listForUser(req.user.id, { q: req.query.q, limit })
+    });
+  });
+
+  // Get a session's conversation history
+  router.get('/:id', (req, res) => {
+    const session = sessionStore.getForUser(req.params.id, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found or expired',
+        sessionId: req.params.id
+      });
+    }
+
+    res.json({
+      sessionId: session.id,
+      title: session.title,
+      messages: session.messages,
+      profile: session.profile,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    });
+  });
+
+  // Download a conversation: GET /api/sessions/:id/export?format=md|json|csv|pdf
+  // (csv takes content=transcript|comparisons)
+  router.get('/:id/export', async (req, res) => {
+    const format = req.query.format || 'md';
+    const content = req.query.content || 'transcript';
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    if (!['transcript', 'comparisons'].includes(content)) {
+      return res.status(400).json({ error: 'content must be "transcript" or "comparisons"' });
+    }
+
+    const session = sessionStore.getForUser(req.params.id, req.user.id);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found or expired',
+        sessionId: req.params.id
+      });
+    }
+
+    try {
+      const body = await exportSession(session, format, { username: req.user.username, content });
+      res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+      res.set('Content-Disposition', `attachment; filename="${exportFileName(session, format, content)}"`);
+      res.send(body);
+    } catch (error) {
+      req.log.error('Conversation export failed', { sessionId: session.id, format, error });
+      res.status(500).json({ error: 'Failed to export the conversation' });
+    }
+  });
+
+  // Rename a conversation
+  router.patch('/:id', (req, res) => {
+    const title = req.body && req.body.title;
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ error: 'title must be a non-empty string' });
+    }
+
+    if (!sessionStore.getForUser(req.params.id, req.user.id)) {
+      return res.status(404).json({
+        error: 'Session not found or expired',
+        sessionId: req.params.id
+      });
+    }
+
+    const session = sessionStore.rename(req.params.id, title);
+    res.json({ sessionId: session.id, title: session.title });
+  });
+
+  // Delete a conversation (used by the sidebar and the "clear chat" button)
+  router.delete('/:id', (req, res) => {
+    const deleted = !!sessionStore.getForUser(req.params.id, req.user.id) &&
+      sessionStore.delete(req.params.id);
+
+    res.json({
+      deleted,
+      sessionId: req.params.id
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createSessionsRouter };
@@ -0,0 +1,68 @@
+const express = require('express');
+const { stringify } = require('../lib/csv');
+const { GROUP_BY } = require('../lib/usageStore');
+
+const RECORD_COLUMNS = [
+  'timestamp', 'username', 'sessionId', 'endpoint', 'provider', 'model', 'profile',
+  'promptTokens', 'completionTokens', 'totalTokens', 'costUSD', 'latencyMs', 'status', 'outcome'
+];
+const SUMMARY_COLUMNS = [
+  'requests', 'errors', 'promptTokens', 'completionTokens', 'totalTokens',
+  'costUSD', 'unpricedRequests', 'avgLatencyMs'
+];
+
+function createUsageRouter(usageStore, userStore) {
+  const router = express.Router();
+
+  // Usage report: GET /api/usage?groupBy=day|user|model|none&from=&to=&user=&model=&format=json|csv
+  // Admins see everyone's usage; other users only their own.
+  router.get('/', (req, res) => {
+    const groupBy = req.query.groupBy || 'day';
+    const format = req.query.format || 'json';
+
+    if (groupBy !== 'none' && !GROUP_BY[groupBy]) {
+      return res.status(400).json({ error: `groupBy must be one of: ${Object.keys(GROUP_BY).join(', ')}, none` });
+    }
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be "json" or "csv"' });
+    }
+    for (const name of ['from', 'to']) {
+      if (req.query[name] && !/^\d{4}-\d{2}-\d{2}$/.test(req.query[name])) {
+        return res.status(400).json({ error: `${name} must be a date in YYYY-MM-DD format` });
+      }
+    }
+
+    const filters = { from: req.query.from, to: req.query.to, model: req.query.model };
+    if (req.user.role !== 'admin') {
+      filters.userId = req.user.id;
+    } else if (req.query.user) {
+      const user = userStore.findByUsername(req.query.user) || userStore.findById(req.query.user);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found', user: req.query.user });
+      }
+      filters.userId = user.id;
+    }
+
+    const records = usageStore.query(filters);
+    const rows = groupBy === 'none' ? records : usageStore.summarize(records, groupBy);
+    const totals = usageStore.total(records);
+
+    if (format === 'csv') {
+      const columns = groupBy === 'none' ? RECORD_COLUMNS : [groupBy, ...SUMMARY_COLUMNS];
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="usage-${groupBy}.csv"`);
+      return res.send(stringify(rows, columns));
+    }
+
+    res.json({
+      groupBy,
+      filters: { from: filters.from || null, to: filters.to || null, user: req.query.user || null, model: filters.model || null },
+      totals,
+      rows
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createUsageRouter };
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// Create a user account in the local user store.
+// Usage: npm run create-user -- --username alice --role admin [--password secret]
+// Without --password the password is read from the terminal.
+
+const path = require('path');
+const readline = require('readline');
+require('dotenv').config();
+const { loadConfig, ConfigError } = require('../lib/config');
+const { UserStore } = require('../lib/userStore');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.username) {
+    console.error('Usage: npm run create-user -- --username <name> [--role user|admin] [--password <password>]');
+    process.exit(1);
+  }
+
+  // Same settings, and the same checks, as the server
+  let config;
+  try {
+    config = loadConfig(process.env);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ Invalid configuration:\n  ${error.problems.join('\n  ')}`);
+    process.exit(1);
+  }
+
+  const userStore = new UserStore({ file: path.join(config.storageDir, 'users.json') });
+  userStore.load();
+
+  const password = args.password || await prompt('Password: ');
+
+  try {
+    const user = userStore.createUser({ username: args.username, password, role: args.role || 'user' });
+    console.log(`✅ Created ${user.role} "${user.username}" (${user.id})`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,232 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+const { OfferStore, normalizeOffer } = require('../lib/offerStore');
+const { retrieveOffers } = require('../lib/retrieval');
+
+describe('offer retrieval', () => {
+  it('scores every active offer, not only the first page', () => {
+    const offerStore = new OfferStore();
+    const offer = (id, pricePKR, extra = {}) => normalizeOffer({
+      id, carrier: 'Jazz', title: `Bundle ${id}`, planType: 'prepaid', category: 'data',
+      pricePKR, validityDays: 30, dataGB: 10, effectiveFrom: '2020-01-01', ...extra
+    }).offer;
+    const filler = Array.from({ length: 150 }, (_, i) => offer(`jazz-filler-${i}`, 100 + i));
+    offerStore.apply({
+      upserts: [...filler, offer('jazz-premium-max', 5000), offer('jazz-retired-max', 6000, { effectiveTo: '2020-12-31' })]
+    });
+
+    const ids = retrieveOffers(offerStore, 'Tell me about jazz-premium-max and jazz-retired-max').map(match => match.id);
+
+    assert.equal(ids[0], 'jazz-premium-max');
+    assert.ok(!ids.includes('jazz-retired-max'));
+  });
+});
+
+describe('POST /api/chat', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('answers with the model reply, sources and a session', async () => {
+    ctx.fake.reply('Jazz Monthly Mega Data [jazz-monthly-data-60] costs Rs 1250.');
+
+    const { status, body } = await ctx.request('POST', '/api/chat', {
+      body: { message: 'Cheapest Jazz monthly data bundle?' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.reply, 'Jazz Monthly Mega Data [jazz-monthly-data-60] costs Rs 1250.');
+    assert.ok(body.sources.some(source => source.id === 'jazz-monthly-data-60'));
+    assert.match(body.sessionId, /^sess_/);
+    assert.match(body.messageId, /^msg_/);
+    assert.equal(body.profile, 'default');
+    assert.equal(body.language, 'en');
+  });
+
+  it('sends the question to the model with the offer context', async () => {
+    await ctx.request('POST', '/api/chat', { body: { message: 'Zong data offers in Karachi' } });
+
+    const { messages } = ctx.fake.requests[ctx.fake.requests.length - 1];
+    assert.equal(messages[0].role, 'system');
+    assert.deepEqual(messages[messages.length - 1], { role: 'user', content: 'Zong data offers in Karachi' });
+    assert.ok(messages.some(message => /^Reference offer records/.test(message.content)));
+  });
+
+  it('requires a bearer token', async () => {
+    const { status, body } = await ctx.request('POST', '/api/chat', {
+      body: { message: 'hello' },
+      token: null
+    });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'unauthorized');
+  });
+
+  describe('validation', () => {
+    it('rejects a missing message', async () => {
+      const { status, body } = await ctx.request('POST', '/api/chat', { body: {} });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Message is required and must be a non-empty string');
+    });
+
+    it('rejects an empty message', async () => {
+      const { status, body } = await ctx.request('POST', '/api/chat', { body: { message: '   ' } });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Message is required and must be a non-empty string');
+    });
+
+    it('rejects a message that is not a string', async () => {
+      const { status } = await ctx.request('POST', '/api/chat', { body: { message: 42 } });
+
+      assert.equal(status, 400);
+    });
+
+    it('does not count rejected requests as usage', async () => {
+      const before = ctx.services.usageStore.query().length;
+
+      await ctx.request('POST', '/api/chat', { body: { message: '' } });
+      await ctx.request('POST', '/api/chat/stream', { body: { message: 'Jazz offers', language: 'fr' } });
+
+      assert.equal(ctx.services.usageStore.query().length, before);
+    });
+
+    it('rejects a message over 4000 characters', async () => {
+      const { status, body } = await ctx.request('POST', '/api/chat', {
+        body: { message: 'a'.repeat(4001) }
+      });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Message too long. Please limit to 4000 characters.');
+    });
+
+    it('accepts a message of exactly 4000 characters', async () => {
+      const { status } = await ctx.request('POST', '/api/chat', {
+        body: { message: 'a'.repeat(4000) }
+      });
+
+      assert.equal(status, 200);
+    });
+
+    it('rejects an unknown language', async () => {
+      const { status, body } = await ctx.request('POST', '/api/chat', {
+        body: { message: 'hello', language: 'fr' }
+      });
+
+      assert.equal(status, 400);
+      assert.match(body.error, /^language must be one of/);
+    });
+
+    it('rejects an unknown profile', async () => {
+      const { status, body } = await ctx.request('POST', '/api/chat', {
+        body: { message: 'hello', profile: 'nope' }
+      });
+
+      assert.equal(status, 400);
+      assert.match(body.error, /^Unknown profile "nope"/);
+    });
+
+    it('does not call the model for invalid requests', async () => {
+      const before = ctx.fake.requests.length;
+      await ctx.request('POST', '/api/chat', { body: { message: '' } });
+      await ctx.request('POST', '/api/chat', { body: { message: 'a'.repeat(4001) } });
+
+      assert.equal(ctx.fake.requests.length, before);
+    });
+  });
+
+  describe('model errors', () => {
+    const cases = [
+      { code: 'insufficient_quota', status: 429, expectedStatus: 429, expectedCode: 'quota_exceeded' },
+      { code: 'invalid_api_key', status: 401, expectedStatus: 401, expectedCode: 'invalid_key' },
+      { code: 'rate_limit_exceeded', status: 429, expectedStatus: 429, expectedCode: 'rate_limit' },
+      { code: 'context_length_exceeded', status: 400, expectedStatus: 400, expectedCode: 'context_length' },
+      { code: 'something_else', status: 500, expectedStatus: 500, expectedCode: 'server_error' }
+    ];
+
+    for (const { code, status, expectedStatus, expectedCode } of cases) {
+      it(`maps ${code} to ${expectedStatus} ${expectedCode}`, async () => {
+        ctx.fake.fail(code, status);
+
+        const response = await ctx.request('POST', '/api/chat', { body: { message: 'Telenor weekly bundles' } });
+
+        assert.equal(response.status, expectedStatus);
+        assert.equal(response.body.code, expectedCode);
+        assert.equal(typeof response.body.error, 'string');
+      });
+    }
+
+    it('does not add a failed turn to the conversation', async () => {
+      ctx.fake.reply('First answer.');
+      const first = await ctx.request('POST', '/api/chat', { body: { message: 'Ufone packages' } });
+      ctx.fake.fail('rate_limit_exceeded', 429);
+      await ctx.request('POST', '/api/chat', { body: { message: 'And weekly?', sessionId: first.body.sessionId } });
+
+      const { body } = await ctx.request('GET', `/api/sessions/${first.body.sessionId}`);
+      assert.deepEqual(body.messages.map(message => message.content), ['Ufone packages', 'First answer.']);
+    });
+
+    it('records the error code in the usage log', async () => {
+      ctx.fake.fail('insufficient_quota', 429);
+      await ctx.request('POST', '/api/chat', { body: { message: 'Jazz SMS bundles' } });
+
+      const records = ctx.services.usageStore.query();
+      assert.equal(records[records.length - 1].outcome, 'quota_exceeded');
+    });
+  });
+});
+
+describe('POST /api/chat/stream', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp();
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('streams the reply as delta events followed by done', async () => {
+    ctx.fake.reply('Zong has the cheapest monthly bundle.');
+
+    const { status, headers, text } = await ctx.request('POST', '/api/chat/stream', {
+      body: { message: 'Cheapest monthly bundle?' }
+    });
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/event-stream/);
+    const events = text.trim().split('\n\n').map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+    const deltas = events.filter(event => event.event === 'delta').map(event => event.data.content);
+    assert.equal(deltas.join(''), 'Zong has the cheapest monthly bundle.');
+    assert.equal(events[events.length - 1].event, 'done');
+    assert.match(events[events.length - 1].data.messageId, /^msg_/);
+  });
+
+  it('reports model errors as an error event', async () => {
+    ctx.fake.fail('invalid_api_key', 401);
+
+    const { status, text } = await ctx.request('POST', '/api/chat/stream', { body: { message: 'Jazz offers' } });
+
+    assert.equal(status, 200);
+    assert.match(text, /event: error\ndata: \{"error":"Invalid OpenAI API key[^"]*","code":"invalid_key"\}/);
+  });
+
+  it('validates the request before streaming', async () => {
+    const { status, body } = await ctx.request('POST', '/api/chat/stream', { body: { message: '' } });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Message is required and must be a non-empty string');
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../lib/config');
+const { createLogger } = require('../lib/logger');
+const { mapChatError } = require('../lib/errors');
+const { loadPricing } = require('../lib/pricing');
+
+describe('loadConfig', () => {
+  it('uses the defaults for unset and empty variables', () => {
+    const config = loadConfig({ PORT: '', RATE_LIMIT_USER_PER_MINUTE: '  ' });
+
+    assert.equal(config.port, 5000);
+    assert.equal(config.rateLimitUserPerMinute, 20);
+    assert.equal(config.llmProvider, 'openai');
+    assert.equal(config.llmSupportsTools, true);
+    assert.equal(config.publicApiBaseUrl, '');
+    assert.equal(config.offersDataDir, path.join(__dirname, '..', 'data', 'offers'));
+    assert.deepEqual(config.corsOrigins, ['http://localhost:3001', 'http://localhost:3000', 'http://127.0.0.1:3001', 'http://127.0.0.1:3000']);
+    assert.ok(Object.isFrozen(config));
+  });
+
+  it('parses valid values', () => {
+    const config = loadConfig({
+      NODE_ENV: 'production',
+      PORT: '8080',
+      CORS_ORIGINS: 'https://rda.example.com, http://localhost:8000/',
+      PUBLIC_API_BASE_URL: 'https://api.example.com/',
+      LLM_PROVIDER: 'mock',
+      LLM_SUPPORTS_TOOLS: 'false',
+      RATE_LIMIT_IP_PER_MINUTE: '0',
+      PROFILES_DIR: path.join(__dirname, '..', 'profiles')
+    });
+
+    assert.equal(config.port, 8080);
+    assert.deepEqual(config.corsOrigins, ['https://rda.example.com', 'http://localhost:8000']);
+    assert.equal(config.publicApiBaseUrl, 'https://api.example.com');
+    assert.equal(config.llmProvider, 'mock');
+    assert.equal(config.llmSupportsTools, false);
+    assert.equal(config.rateLimitIpPerMinute, 0);
+  });
+
+  it('allows no cross-origin callers in production unless listed', () => {
+    assert.deepEqual(loadConfig({ NODE_ENV: 'production' }).corsOrigins, []);
+  });
+
+  it('reports every bad value at once', () => {
+    assert.throws(() => loadConfig({
+      PORT: '70000',
+      RATE_LIMIT_USER_PER_MINUTE: 'twenty',
+      CIRCUIT_FAILURE_THRESHOLD: '0',
+      LLM_PROVIDER: 'anthropic',
+      LLM_SUPPORTS_TOOLS: 'yes',
+      LOG_LEVEL: 'verbose',
+      LLM_BASE_URL: 'ftp://models.local',
+      OFFERS_DATA_DIR: path.join(__dirname, 'no-such-dir'),
+      PRICING_FILE: path.join(__dirname, 'no-such-file.json')
+    }), error => {
+      assert.ok(error instanceof ConfigError);
+      assert.deepEqual(error.problems, [
+        'PORT must be between 0 and 65535',
+        'LLM_PROVIDER must be one of: openai, openai-compatible, mock',
+        'LLM_BASE_URL "ftp://models.local" must be an http(s) URL',
+        'LLM_SUPPORTS_TOOLS must be true or false',
+        'CIRCUIT_FAILURE_THRESHOLD must be at least 1',
+        'LOG_LEVEL must be one of: debug, info, warn, error, silent',
+        `OFFERS_DATA_DIR "${path.join(__dirname, 'no-such-dir')}" is not a directory`,
+        `PRICING_FILE "${path.join(__dirname, 'no-such-file.json')}" is not a file`,
+        'RATE_LIMIT_USER_PER_MINUTE must be a whole number'
+      ]);
+      return true;
+    });
+  });
+
+  it('rejects "*" and origins with a path', () => {
+    assert.throws(() => loadConfig({ CORS_ORIGINS: '*' }), /CORS_ORIGINS must list the allowed origins/);
+    assert.throws(() => loadConfig({ CORS_ORIGINS: 'https://rda.example.com/app' }), /is not an origin/);
+    assert.throws(() => loadConfig({ CORS_ORIGINS: 'rda.example.com' }), /"rda.example.com" is not a URL/);
+  });
+});
+
+describe('settings from the config', () => {
+  it('builds the logger from the checked logging settings', () => {
+    const logger = createLogger(loadConfig({ LOG_LEVEL: 'warn', LOG_FORMAT: 'pretty', LOG_REDACT_PII: 'false', LOG_CHAT_CONTENT: 'true' }));
+
+    assert.equal(logger.level, 'warn');
+    assert.equal(logger.format, 'pretty');
+    assert.equal(logger.redactPII, false);
+    assert.equal(logger.chatContent, true);
+  });
+
+  it('reports a bad pricing file as a settings error', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rda-pricing-'));
+    const file = path.join(dir, 'pricing.json');
+    try {
+      fs.writeFileSync(file, JSON.stringify({ 'gpt-4o': { input: 2.5, output: 10 }, 'gpt-x': { input: 'free' } }));
+      assert.throws(() => loadPricing(file), error => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.problems, [
+          `PRICING_FILE "${file}": invalid price for "gpt-x", expected { "input": number, "output": number }`
+        ]);
+        return true;
+      });
+
+      fs.writeFileSync(file, '{ "gpt-4o": ');
+      assert.throws(() => loadPricing(file), { name: 'ConfigError', problems: [`PRICING_FILE "${file}" is not valid JSON`] });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('shows unexpected error messages only when asked to', () => {
+    const error = new Error('disk full');
+
+    assert.equal(mapChatError(error).body.details, undefined);
+    assert.equal(mapChatError(error, { details: true }).body.details, 'disk full');
+  });
+});
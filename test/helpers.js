@@ -0,0 +1,152 @@
+// Shared setup for the HTTP tests: an app built in-process with a fake
+// model and a throwaway storage directory, listening on a random port.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../app');
+const { loadConfig } = require('../lib/config');
+const { configureLogger } = require('../lib/logger');
+
+// Quiet unless LOG_LEVEL asks for logs, also in tests that build no app
+const LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+configureLogger(loadConfig({ LOG_LEVEL }));
+
+// Wait ms milliseconds, or reject like the OpenAI client once signal aborts
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(Object.assign(new Error('Request was aborted'), { name: 'AbortError' }));
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Stand-in for the OpenAI client. Answers from a queue of scripted replies
+ * and errors (a plain "Fake answer." once the queue is empty) and keeps
+ * every request it was sent.
+ */
+function createFakeModel() {
+  const queue = [];
+  const requests = [];
+
+  const create = async (params, options = {}) => {
+    requests.push(params);
+    const next = queue.shift() || { reply: 'Fake answer.' };
+    if (next.delayMs) await delay(next.delayMs, options.signal);
+
+    if (next.error) {
+      const error = new Error(next.error.message || `Fake error: ${next.error.code}`);
+      Object.assign(error, next.error);
+      throw error;
+    }
+
+    const message = { role: 'assistant', content: next.reply };
+    const usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 };
+    if (!params.stream) {
+      return { choices: [{ index: 0, message, finish_reason: 'stop' }], usage };
+    }
+
+    return (async function* () {
+      for (const piece of next.reply.match(/\S+\s*/g) || []) {
+        yield { choices: [{ index: 0, delta: { content: piece } }] };
+      }
+      yield { choices: [], usage };
+    })();
+  };
+
+  return {
+    provider: { name: 'fake', model: 'fake-1', client: { chat: { completions: { create } } }, supportsTools: false },
+    requests,
+    reply(text, { delayMs } = {}) {
+      queue.push({ reply: text, delayMs });
+    },
+    fail(code, status) {
+      queue.push({ error: { code, status } });
+    }
+  };
+}
+
+/**
+ * Build and start an app for a test file.
+ * @param {object} [options] - { env, clock } plus anything createApp takes
+ * @returns {Promise<{ baseUrl, server, fake, services, tokens: { user, admin }, request, close }>}
+ */
+async function startTestApp(options = {}) {
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rda-test-'));
+  const fake = createFakeModel();
+
+  const { app, services, close } = createApp({
+    provider: fake.provider,
+    ...options,
+    env: {
+      NODE_ENV: 'test',
+      LOG_LEVEL,
+      STORAGE_DIR: storageDir,
+      CACHE_MAX_ENTRIES: '0',
+      RATE_LIMIT_USER_PER_MINUTE: '0',
+      RATE_LIMIT_IP_PER_MINUTE: '0',
+      RATE_LIMIT_SESSION_PER_MINUTE: '0',
+      ...options.env
+    }
+  });
+
+  const { userStore } = services;
+  userStore.createUser({ username: 'ana', password: 'ana-password', role: 'user' });
+  userStore.createUser({ username: 'boss', password: 'boss-password', role: 'admin' });
+  const tokens = {
+    user: userStore.login('ana', 'ana-password').token,
+    admin: userStore.login('boss', 'boss-password').token
+  };
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // fetch() against the app; body objects are sent as JSON and the user's
+  // token is attached unless token is null
+  const request = async (method, urlPath, { body, token = tokens.user, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      // Not JSON (event streams, metrics)
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  };
+
+  return {
+    baseUrl,
+    server,
+    fake,
+    services,
+    tokens,
+    request,
+    async close() {
+      const closed = new Promise(resolve => server.close(resolve));
+      // fetch() may have opened a spare connection (e.g. after an aborted
+      // request) that would hold the server open until it times out
+      server.closeAllConnections();
+      await closed;
+      close();
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { createFakeModel, startTestApp };
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown, escapeMarkdownHtml } = require('../frontend-html/markdown');
+
+// Every tag in the output, as { name, attributes } with attributes in source order
+function tags(html) {
+  return [...html.matchAll(/<([a-z][a-z0-9]*)((?:\s+[a-z-]+="[^"]*")*)\s*\/?>/g)].map(([, name, attributes]) => ({
+    name,
+    attributes: [...attributes.matchAll(/([a-z-]+)="([^"]*)"/g)].map(([, key, value]) => [key, value])
+  }));
+}
+
+const SAFE_TAGS = new Set(['p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'a', 'h3', 'blockquote']);
+
+describe('markdown renderer', () => {
+  it('escapes the five HTML special characters', () => {
+    assert.equal(escapeMarkdownHtml(`<a href="x" title='y'>&</a>`),
+      '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  });
+
+  it('shows raw HTML as text in paragraphs, headings, code and quotes', () => {
+    const html = renderMarkdown([
+      '<script>alert(1)</script>',
+      '',
+      '# <img src=x onerror=alert(1)>',
+      '',
+      '`<script>alert(2)</script>`',
+      '',
+      '```html',
+      '<script>alert(3)</script>',
+      '```',
+      '',
+      '> <iframe src="https://evil.example"></iframe>'
+    ].join('\n'));
+
+    assert.doesNotMatch(html, /<script|<img|<iframe/);
+    assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(html, /<pre><code class="language-html">&lt;script&gt;alert\(3\)&lt;\/script&gt;<\/code><\/pre>/);
+    for (const tag of tags(html)) {
+      assert.ok(SAFE_TAGS.has(tag.name), `unexpected <${tag.name}>`);
+    }
+  });
+
+  it('keeps links to their href, target and rel attributes', () => {
+    const html = renderMarkdown([
+      '[<img src=x onerror=alert(1)>](https://example.com)',
+      '[quote](https://example.com/"onmouseover="alert(1))',
+      `[single](https://example.com/'onclick='alert(1))`,
+      '[title](https://example.com "x\\" onmouseover=\\"alert(1)")',
+      'https://example.com/"onfocus="alert(1)" autofocus="'
+    ].join('\n'));
+
+    const links = tags(html).filter(tag => tag.name === 'a');
+    assert.equal(links.length, 5);
+    for (const link of links) {
+      assert.deepEqual(link.attributes.map(([key]) => key), ['href', 'target', 'rel']);
+      assert.match(link.attributes[0][1], /^https:\/\/example\.com/);
+    }
+    assert.doesNotMatch(html, /<img|on(mouseover|click|focus|error)="/);
+  });
+
+  it('drops links to javascript:, data: and other unsafe URLs', () => {
+    const html = renderMarkdown([
+      '[one](javascript:alert%281%29)',
+      '[two](JavaScript:alert%282%29)',
+      '[three](data:text/html,<script>alert%283%29</script>)',
+      '[four](vbscript:msgbox%284%29)',
+      '[five](//evil.example)',
+      'javascript:alert(6)'
+    ].join('\n'));
+
+    assert.doesNotMatch(html, /<a\b|href=/);
+    assert.match(html, /^<p>one<br>two<br>three<br>four<br>five<br>javascript:alert\(6\)<\/p>$/);
+  });
+
+  it('still links http(s) and mailto URLs', () => {
+    const html = renderMarkdown('[Mail](mailto:jobs@example.com) or https://example.com/jobs?a=1&b=2.');
+
+    assert.equal(html, '<p>' +
+      '<a href="mailto:jobs@example.com" target="_blank" rel="noopener noreferrer">Mail</a> or ' +
+      '<a href="https://example.com/jobs?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">https://example.com/jobs?a=1&amp;b=2</a>.' +
+      '</p>');
+  });
+});
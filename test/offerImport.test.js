@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { readSheet, mapColumns, buildOffers } = require('../lib/offerImport');
+
+async function importCsv(text) {
+  const { headers, rows } = await readSheet(Buffer.from(text), 'csv');
+  const { columns } = mapColumns(headers);
+  return buildOffers(rows, columns, { planType: 'prepaid', category: 'data', effectiveFrom: '2025-01-01' });
+}
+
+describe('rate sheet import', () => {
+  it('files old brand names under the carrier and refuses unknown carriers', async () => {
+    const { offers, errors } = await importCsv([
+      'carrier,title,pricePKR,validityDays,cities',
+      'Mobilink,Weekly Data,300,7,Lahore',
+      '"Acme"" onfocus=""alert(1)",Weekly Data,300,7,Lahore',
+      'Jazz,Monthly Data,900,30,Atlantis'
+    ].join('\n'));
+
+    assert.deepEqual(offers.map(offer => [offer.id, offer.carrier]), [['jazz-weekly-data', 'Jazz']]);
+    assert.deepEqual(errors.map(({ row, errors }) => [row, errors]), [
+      [3, ['unknown carrier "Acme" onfocus="alert(1)"']],
+      [4, ['unknown city "Atlantis"']]
+    ]);
+  });
+});
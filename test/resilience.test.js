@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('events');
+require('./helpers');
+const { CircuitBreaker, CircuitOpenError, withTimeout } = require('../lib/resilience');
+
+const upstreamError = () => Object.assign(new Error('Service unavailable'), { status: 503 });
+
+describe('circuit breaker', () => {
+  it('opens after repeated failures and lets one trial through once the reset time has passed', async () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, clock: () => now });
+    const fail = () => breaker.execute(async () => { throw upstreamError(); });
+
+    await assert.rejects(fail(), /Service unavailable/);
+    await assert.rejects(fail(), /Service unavailable/);
+    assert.equal(breaker.state, 'open');
+    await assert.rejects(breaker.execute(async () => 'ok'), CircuitOpenError);
+
+    now = 1000;
+    assert.equal(await breaker.execute(async () => 'ok'), 'ok');
+    assert.equal(breaker.state, 'closed');
+  });
+
+  it('keeps the trial slot while a call from before the trial finishes', async () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, clock: () => now });
+    const deferred = () => {
+      let resolve;
+      const promise = new Promise(done => { resolve = done; });
+      return { promise, resolve };
+    };
+
+    // Started while closed, finishes while the breaker is half-open
+    const slow = deferred();
+    const early = breaker.execute(() => slow.promise);
+    await assert.rejects(breaker.execute(async () => { throw upstreamError(); }));
+    assert.equal(breaker.state, 'open');
+
+    now = 1000;
+    const trial = deferred();
+    const trialCall = breaker.execute(() => trial.promise);
+    assert.equal(breaker.state, 'half-open');
+
+    slow.resolve('late');
+    await early;
+    await assert.rejects(breaker.execute(async () => 'second trial'), CircuitOpenError);
+
+    trial.resolve('ok');
+    assert.equal(await trialCall, 'ok');
+  });
+});
+
+describe('withTimeout', () => {
+  it('stops listening to the caller\'s signal after each attempt, except for a stream being read', async () => {
+    const parent = new AbortController();
+    const listeners = () => getEventListeners(parent.signal, 'abort').length;
+
+    await assert.rejects(withTimeout(async () => { throw upstreamError(); }, 1000, parent.signal));
+    await assert.rejects(withTimeout(() => new Promise(() => {}), 10, parent.signal), { name: 'UpstreamTimeoutError' });
+    assert.equal(await withTimeout(async () => 'ok', 1000, parent.signal), 'ok');
+    assert.equal(await withTimeout(async () => 'ok', 0, parent.signal), 'ok');
+    assert.equal(listeners(), 0);
+
+    let streamSignal;
+    await withTimeout(async signal => {
+      streamSignal = signal;
+      return { async *[Symbol.asyncIterator]() {} };
+    }, 1000, parent.signal);
+    parent.abort();
+    assert.equal(streamSignal.aborted, true);
+  });
+});
@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+describe('server', () => {
+  let ctx;
+  let now = Date.UTC(2025, 2, 1, 9, 0, 0);
+
+  before(async () => {
+    ctx = await startTestApp({ clock: () => now });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  describe('GET /api/health', () => {
+    it('reports a healthy server without authentication', async () => {
+      const { status, body } = await ctx.request('GET', '/api/health', { token: null });
+
+      assert.equal(status, 200);
+      assert.equal(body.status, 'healthy');
+      assert.equal(body.environment, 'test');
+      assert.equal(body.provider.name, 'fake');
+      assert.equal(body.provider.configured, true);
+      assert.ok(body.offers_loaded > 0);
+      assert.equal(body.timestamp, '2025-03-01T09:00:00.000Z');
+    });
+
+    it('returns a request ID, keeping the caller\'s', async () => {
+      const generated = await ctx.request('GET', '/api/health');
+      const given = await ctx.request('GET', '/api/health', { headers: { 'X-Request-Id': 'support-123' } });
+
+      assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+      assert.equal(given.headers.get('x-request-id'), 'support-123');
+    });
+  });
+
+  describe('404 handler', () => {
+    it('lists the available endpoints for an unknown API path', async () => {
+      const { status, body } = await ctx.request('GET', '/api/nope');
+
+      assert.equal(status, 404);
+      assert.equal(body.error, 'Endpoint not found');
+      assert.equal(body.path, '/api/nope');
+      assert.equal(body.method, 'GET');
+      assert.ok(body.available_endpoints.includes('POST /api/chat'));
+      assert.ok(body.available_endpoints.includes('GET /api/health'));
+    });
+
+    it('answers unknown paths outside /api without a token', async () => {
+      const { status, body } = await ctx.request('DELETE', '/nothing/here?x=1', { token: null });
+
+      assert.equal(status, 404);
+      assert.equal(body.path, '/nothing/here?x=1');
+      assert.equal(body.method, 'DELETE');
+    });
+
+    it('asks for a token before revealing unknown API paths', async () => {
+      const { status, body } = await ctx.request('GET', '/api/nope', { token: null });
+
+      assert.equal(status, 401);
+      assert.equal(body.code, 'unauthorized');
+    });
+  });
+
+  describe('GET /config.js', () => {
+    it('gives the HTML frontend its API base without authentication', async () => {
+      const { status, headers, text } = await ctx.request('GET', '/config.js', { token: null });
+
+      assert.equal(status, 200);
+      assert.match(headers.get('content-type'), /^application\/javascript/);
+      assert.equal(text, 'window.RDA_CONFIG = {"apiBaseUrl":""};\n');
+    });
+  });
+
+  describe('GET /metrics', () => {
+    it('serves Prometheus metrics', async () => {
+      await ctx.request('GET', '/api/nope');
+      const { status, headers, text } = await ctx.request('GET', '/metrics', { token: null });
+
+      assert.equal(status, 200);
+      assert.match(headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+      assert.match(text, /^http_requests_total\{method="GET",route="unmatched",status="404"\} \d+$/m);
+      assert.match(text, /^# TYPE llm_request_duration_seconds histogram$/m);
+    });
+  });
+
+  describe('usage records', () => {
+    it('are stamped with the injected clock', async () => {
+      await ctx.request('POST', '/api/chat', { body: { message: 'Cheapest Jazz weekly bundle?' } });
+
+      const [record] = ctx.services.usageStore.query().slice(-1);
+      assert.equal(record.timestamp, new Date(now).toISOString());
+      assert.equal(record.latencyMs, 0);
+    });
+  });
+
+  describe('login tokens', () => {
+    it('expire after their lifetime on the injected clock', async () => {
+      const { body: login } = await ctx.request('POST', '/api/auth/login', {
+        body: { username: 'ana', password: 'ana-password' },
+        token: null
+      });
+      assert.equal((await ctx.request('GET', '/api/auth/me', { token: login.token })).status, 200);
+
+      now += 13 * 60 * 60 * 1000;
+      const { status } = await ctx.request('GET', '/api/auth/me', { token: login.token });
+
+      assert.equal(status, 401);
+    });
+  });
+});
+
+describe('sign-in limits', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp({ env: { RATE_LIMIT_LOGIN_PER_MINUTE: '2' } });
+  });
+
+  after(async () => {
+    await ctx.close();
+  });
+
+  it('limits attempts per client, whether or not the username exists', async () => {
+    const attempt = username => ctx.request('POST', '/api/auth/login', {
+      body: { username, password: 'wrong-password' },
+      token: null
+    });
+
+    assert.equal((await attempt('ana')).status, 401);
+    assert.equal((await attempt('nobody')).status, 401);
+    const limited = await attempt('ana');
+
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'too_many_requests');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  });
+});
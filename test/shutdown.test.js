@@ -0,0 +1,68 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGracefulShutdown } = require('../lib/shutdown');
+const { startTestApp } = require('./helpers');
+
+describe('graceful shutdown', () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await startTestApp();
+  });
+
+  afterEach(async () => {
+    await ctx.close();
+  });
+
+  it('lets a chat request in flight finish before closing', async () => {
+    const shutdown = createGracefulShutdown(ctx.server, { timeoutMs: 5000 });
+    ctx.fake.reply('Answered while draining.', { delayMs: 200 });
+
+    const pending = ctx.request('POST', '/api/chat', { body: { message: 'Jazz weekly offers' } });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const result = await shutdown('test');
+    const { status, body } = await pending;
+
+    assert.deepEqual(result, { drained: true, abandoned: 0 });
+    assert.equal(status, 200);
+    assert.equal(body.reply, 'Answered while draining.');
+    assert.equal(ctx.server.listening, false);
+  });
+
+  it('finishes an open stream before closing', async () => {
+    const shutdown = createGracefulShutdown(ctx.server, { timeoutMs: 5000 });
+    ctx.fake.reply('Streamed while draining.', { delayMs: 200 });
+
+    const pending = ctx.request('POST', '/api/chat/stream', { body: { message: 'Zong daily offers' } });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await shutdown('test');
+    const { text } = await pending;
+
+    assert.match(text, /event: done\n/);
+  });
+
+  it('closes what is still open after the timeout', async () => {
+    const shutdown = createGracefulShutdown(ctx.server, { timeoutMs: 50 });
+    ctx.fake.reply('Too late.', { delayMs: 1000 });
+
+    const pending = ctx.request('POST', '/api/chat', { body: { message: 'Ufone offers' } }).catch(error => error);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const result = await shutdown('test');
+
+    assert.deepEqual(result, { drained: false, abandoned: 1 });
+    assert.ok(await pending instanceof Error);
+  });
+
+  it('refuses new connections while draining', async () => {
+    const shutdown = createGracefulShutdown(ctx.server, { timeoutMs: 5000 });
+    ctx.fake.reply('Slow answer.', { delayMs: 200 });
+
+    const pending = ctx.request('POST', '/api/chat', { body: { message: 'Telenor offers' } });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const draining = shutdown('test');
+
+    await assert.rejects(fetch(`${ctx.baseUrl}/api/health`, { headers: { Connection: 'close' } }));
+    assert.equal((await pending).status, 200);
+    await draining;
+  });
+});